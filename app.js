@@ -1,14 +1,49 @@
 /**
  * Pixel Art Studio Pro++ — Enhanced Application Logic
  * Features: Undo/Redo, Keyboard Shortcuts, Toast Notifications,
- *           Coordinate Tracking, Improved Touch, Zoom Slider
+ *           Coordinate Tracking, Improved Touch, Zoom Slider, Layers,
+ *           Animation Frames, Project Files, Autosave & Gallery,
+ *           Canvas Renderer, Canvas Resize, Shape Tools, Selection & Clipboard,
+ *           Transforms, Transparency, Image Import, Palette Files,
+ *           Indexed Color, Export Dialog, History Panel, Symmetry, Tile Mode,
+ *           Brush Sizes, Dither & Gradient, Fill Options, Pan & Zoom,
+ *           Reference Image, Command Registry & Palette, Internationalization
  */
 
 // ==================== State Management ====================
 
 let lastValidState = { rows: 16, cols: 16 };
 
-const MAX_HISTORY = 50;
+const MAX_HISTORY = 500;
+const MAX_HISTORY_VALUES = 16 * 1024 * 1024;
+const EXPORT_SCALE = 20;
+const MAX_ANIMATION_EXPORT_SIZE = 2048;
+const DEFAULT_FRAME_DURATION = 100;
+const MIN_GRID_SIZE = 8;
+const MAX_GRID_SIZE = 512;
+const MAX_CANVAS_DISPLAY = 1280;
+const PROJECT_FORMAT = 'pixel-art-studio';
+const PROJECT_VERSION = 2;
+const AUTOSAVE_DELAY = 1000;
+const LAST_PROJECT_KEY = 'lastProjectId';
+const MIRROR_TYPES = ['vertical', 'horizontal', 'quad', 'radial'];
+const DEFAULT_SYMMETRY_SEGMENTS = 6;
+const MIN_SYMMETRY_SEGMENTS = 2;
+const MAX_SYMMETRY_SEGMENTS = 12;
+const SYMMETRY_GUIDE_COLOR = 'rgba(56, 189, 248, 0.9)';
+const MAX_BRUSH_SIZE = 16;
+const MIN_ZOOM = 1 / 32;
+const MAX_ZOOM = 64;
+const ZOOM_STEP = 1.25;
+const DITHER_PATTERN_KEY = 'ditherPattern';
+const KEY_BINDINGS_KEY = 'keyBindings';
+const LOCALE_KEY = 'locale';
+const BAYER_2 = [0, 2, 3, 1];
+const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+const DB_NAME = 'pixel-art-studio';
+const DB_VERSION = 2;
+const PROJECT_STORE = 'projects';
+const HISTORY_STORE = 'histories';
 
 const state = {
     currentColor: '#ff0000',
@@ -16,15 +51,68 @@ const state = {
     gridVisible: true,
     isDrawing: false,
     currentZoom: 1,
-    deleteQueue: null,
-    mirrorMode: { active: false, type: 'vertical' },
+    pan: { x: 0, y: 0 },
+    panDrag: null,
+    spacePan: false,
+    reference: {
+        url: null, width: 0, height: 0, fit: 1, visible: true, locked: true,
+        placement: 'above', opacity: 0.5, x: 0, y: 0, scale: 1, rotation: 0
+    },
+    referenceDrag: null,
+    locale: 'es',
+    keyBindings: {},
+    keyCapture: null,
+    keyConflict: null,
+    commandPalette: null,
+    confirmAction: null,
+    mirrorMode: { active: false, type: 'vertical', segments: DEFAULT_SYMMETRY_SEGMENTS, centerX: null, centerY: null },
+    axisDrag: false,
+    tileMode: false,
+    brush: { size: 1, shape: 'square', pixelPerfect: false },
+    secondaryColor: '#ffffff',
+    fill: { tolerance: 0, global: false, diagonal: false, sampleMerged: false },
+    dither: { pattern: 'checker', mode: 'brush', level: 50, custom: loadDitherPattern() },
+    stroke: null,
     paletas: JSON.parse(localStorage.getItem('paletas')) || {
         'default': ['#000000', '#ffffff', '#ff0000', '#00ff00', '#0000ff', '#ffff00',
             '#ff6b6b', '#feca57', '#48dbfb', '#ff9ff3', '#54a0ff', '#5f27cd']
     },
     currentPalette: 'default',
+    indexedPalette: null,
+    indexedColors: null,
+    paletteDrag: null,
     history: [],
     historyIndex: -1,
+    historyRevision: 0,
+    historyBase: null,
+    layers: [],
+    activeLayerIndex: 0,
+    nextLayerId: 1,
+    frames: [],
+    currentFrameIndex: 0,
+    nextFrameId: 1,
+    onionSkin: { active: false, previous: true, next: true, opacity: 0.3 },
+    playback: { playing: false, timer: null, frameIndex: 0 },
+    project: { id: null, name: '' },
+    resize: { mode: 'canvas', anchor: 4 },
+    exportSettings: {
+        format: 'png',
+        scale: EXPORT_SCALE,
+        background: 'transparent',
+        backgroundColor: '#ffffff',
+        grid: false,
+        trim: false
+    },
+    shapeFilled: false,
+    shape: null,
+    selection: null,
+    selectionDrag: null,
+    clipboard: null,
+    antsOffset: 0,
+    antsTimer: null,
+    importing: null,
+    strokeChanged: false,
+    lastDrawnIndex: -1,
 };
 
 // ==================== DOM References ====================
@@ -33,35 +121,186 @@ const dom = {};
 
 function cacheDom() {
     dom.grid = document.getElementById('grid');
+    dom.pixelCanvas = document.getElementById('pixelCanvas');
+    dom.selectionCanvas = document.getElementById('selectionCanvas');
+    dom.guidesCanvas = document.getElementById('guidesCanvas');
+    dom.tileCanvas = document.getElementById('tileCanvas');
+    dom.cursorCanvas = document.getElementById('cursorCanvas');
     dom.colorInput = document.getElementById('colorInput');
     dom.colorHexInput = document.getElementById('colorHexInput');
+    dom.alphaSlider = document.getElementById('alphaSlider');
+    dom.alphaValue = document.getElementById('alphaValue');
     dom.colorPreview = document.getElementById('colorPreview');
     dom.confirmDialog = document.getElementById('confirmDialog');
+    dom.confirmIcon = document.getElementById('confirmIcon');
+    dom.confirmMessage = document.getElementById('confirmDialogTitle');
     dom.dialogOverlay = document.getElementById('dialogOverlay');
     dom.paletteSelector = document.getElementById('paletteSelector');
+    dom.paletteLoader = document.getElementById('paletteLoader');
+    dom.exportPaletteBtn = document.getElementById('exportPaletteBtn');
+    dom.paletteFormatSelector = document.getElementById('paletteFormatSelector');
+    dom.exportAllPalettesBtn = document.getElementById('exportAllPalettesBtn');
     dom.zoomLevel = document.getElementById('zoomLevel');
     dom.confirmYes = document.getElementById('confirmYes');
     dom.confirmNo = document.getElementById('confirmNo');
     dom.newPaletteBtn = document.getElementById('newPaletteBtn');
     dom.addToPaletteBtn = document.getElementById('addToPaletteBtn');
+    dom.renamePaletteBtn = document.getElementById('renamePaletteBtn');
+    dom.duplicatePaletteBtn = document.getElementById('duplicatePaletteBtn');
+    dom.deletePaletteBtn = document.getElementById('deletePaletteBtn');
+    dom.sortPaletteHueBtn = document.getElementById('sortPaletteHueBtn');
+    dom.sortPaletteLumaBtn = document.getElementById('sortPaletteLumaBtn');
+    dom.toggleIndexedBtn = document.getElementById('toggleIndexedBtn');
+    dom.indexedPaletteLabel = document.getElementById('indexedPaletteLabel');
+    dom.replaceFromSelector = document.getElementById('replaceFromSelector');
+    dom.replaceToSelector = document.getElementById('replaceToSelector');
+    dom.replaceColorBtn = document.getElementById('replaceColorBtn');
     dom.toggleMirrorBtn = document.getElementById('toggleMirrorBtn');
     dom.toggleGridBtn = document.getElementById('toggleGridBtn');
     dom.clearGridBtn = document.getElementById('clearGridBtn');
     dom.saveArtBtn = document.getElementById('saveArtBtn');
     dom.imageLoader = document.getElementById('imageLoader');
+    dom.importDialog = document.getElementById('importDialog');
+    dom.importSource = document.getElementById('importSource');
+    dom.importPreview = document.getElementById('importPreview');
+    dom.importInfo = document.getElementById('importInfo');
+    dom.importWidth = document.getElementById('importWidth');
+    dom.importHeight = document.getElementById('importHeight');
+    dom.importKeepAspect = document.getElementById('importKeepAspect');
+    dom.importCropX = document.getElementById('importCropX');
+    dom.importCropY = document.getElementById('importCropY');
+    dom.importCropW = document.getElementById('importCropW');
+    dom.importCropH = document.getElementById('importCropH');
+    dom.importResample = document.getElementById('importResample');
+    dom.importReduce = document.getElementById('importReduce');
+    dom.importColorCount = document.getElementById('importColorCount');
+    dom.importDither = document.getElementById('importDither');
+    dom.importApply = document.getElementById('importApply');
+    dom.importCancel = document.getElementById('importCancel');
     dom.mirrorTypeSelector = document.getElementById('mirrorTypeSelector');
+    dom.symmetrySegmentsRow = document.getElementById('symmetrySegmentsRow');
+    dom.symmetrySegments = document.getElementById('symmetrySegments');
+    dom.symmetryCenterX = document.getElementById('symmetryCenterX');
+    dom.symmetryCenterY = document.getElementById('symmetryCenterY');
+    dom.centerSymmetryBtn = document.getElementById('centerSymmetryBtn');
+    dom.toggleShapeFillBtn = document.getElementById('toggleShapeFillBtn');
+    dom.toggleTileModeBtn = document.getElementById('toggleTileModeBtn');
+    dom.brushSize = document.getElementById('brushSize');
+    dom.brushSizeValue = document.getElementById('brushSizeValue');
+    dom.brushShapeSelector = document.getElementById('brushShapeSelector');
+    dom.togglePixelPerfectBtn = document.getElementById('togglePixelPerfectBtn');
+    dom.fillOptions = document.getElementById('fillOptions');
+    dom.fillTolerance = document.getElementById('fillTolerance');
+    dom.fillToleranceValue = document.getElementById('fillToleranceValue');
+    dom.fillModeSelector = document.getElementById('fillModeSelector');
+    dom.fillConnectivitySelector = document.getElementById('fillConnectivitySelector');
+    dom.fillSampleMerged = document.getElementById('fillSampleMerged');
+    dom.ditherOptions = document.getElementById('ditherOptions');
+    dom.ditherPatternSelector = document.getElementById('ditherPatternSelector');
+    dom.ditherModeSelector = document.getElementById('ditherModeSelector');
+    dom.ditherLevelRow = document.getElementById('ditherLevelRow');
+    dom.ditherLevel = document.getElementById('ditherLevel');
+    dom.ditherLevelValue = document.getElementById('ditherLevelValue');
+    dom.ditherPatternEditor = document.getElementById('ditherPatternEditor');
+    dom.secondaryColorPreview = document.getElementById('secondaryColorPreview');
+    dom.secondaryColorInput = document.getElementById('secondaryColorInput');
     dom.undoBtn = document.getElementById('undoBtn');
     dom.redoBtn = document.getElementById('redoBtn');
     dom.zoomInBtn = document.getElementById('zoomInBtn');
     dom.zoomOutBtn = document.getElementById('zoomOutBtn');
     dom.zoomSlider = document.getElementById('zoomSlider');
+    dom.zoomFitBtn = document.getElementById('zoomFitBtn');
+    dom.zoomActualBtn = document.getElementById('zoomActualBtn');
     dom.cursorCoords = document.getElementById('cursorCoords');
     dom.toastContainer = document.getElementById('toastContainer');
     dom.shortcutsPanel = document.getElementById('shortcutsPanel');
     dom.shortcutsBtn = document.getElementById('shortcutsBtn');
     dom.closeShortcuts = document.getElementById('closeShortcuts');
+    dom.shortcutsList = document.getElementById('shortcutsList');
+    dom.customizeShortcutsBtn = document.getElementById('customizeShortcutsBtn');
+    dom.keyBindingsDialog = document.getElementById('keyBindingsDialog');
+    dom.keyBindingsList = document.getElementById('keyBindingsList');
+    dom.keyBindingConflict = document.getElementById('keyBindingConflict');
+    dom.keyBindingConflictText = document.getElementById('keyBindingConflictText');
+    dom.keyBindingReassign = document.getElementById('keyBindingReassign');
+    dom.keyBindingKeep = document.getElementById('keyBindingKeep');
+    dom.resetKeyBindingsBtn = document.getElementById('resetKeyBindingsBtn');
+    dom.closeKeyBindingsBtn = document.getElementById('closeKeyBindingsBtn');
+    dom.commandPalette = document.getElementById('commandPalette');
+    dom.commandSearch = document.getElementById('commandSearch');
+    dom.commandResults = document.getElementById('commandResults');
+    dom.languageSelector = document.getElementById('languageSelector');
     dom.updateGridBtn = document.getElementById('updateGridBtn');
+    dom.trimCanvasBtn = document.getElementById('trimCanvasBtn');
+    dom.transformActions = document.getElementById('transformActions');
+    dom.resizeDialog = document.getElementById('resizeDialog');
+    dom.resizeWidth = document.getElementById('resizeWidth');
+    dom.resizeHeight = document.getElementById('resizeHeight');
+    dom.resizeMode = document.getElementById('resizeMode');
+    dom.resizeAnchor = document.getElementById('resizeAnchor');
+    dom.resizeApply = document.getElementById('resizeApply');
+    dom.resizeCancel = document.getElementById('resizeCancel');
     dom.gridContainer = document.getElementById('gridContainer');
+    dom.mainArea = document.getElementById('mainArea');
+
+    // Reference image
+    dom.referenceLayer = document.getElementById('referenceLayer');
+    dom.referenceImage = document.getElementById('referenceImage');
+    dom.referenceLoader = document.getElementById('referenceLoader');
+    dom.toggleReferenceBtn = document.getElementById('toggleReferenceBtn');
+    dom.referenceOptions = document.getElementById('referenceOptions');
+    dom.referenceOpacity = document.getElementById('referenceOpacity');
+    dom.referenceOpacityValue = document.getElementById('referenceOpacityValue');
+    dom.referenceX = document.getElementById('referenceX');
+    dom.referenceY = document.getElementById('referenceY');
+    dom.referenceScale = document.getElementById('referenceScale');
+    dom.referenceRotation = document.getElementById('referenceRotation');
+    dom.referencePlacement = document.getElementById('referencePlacement');
+    dom.referenceLocked = document.getElementById('referenceLocked');
+    dom.removeReferenceBtn = document.getElementById('removeReferenceBtn');
+
+    // Layers
+    dom.layersList = document.getElementById('layersList');
+    dom.historyList = document.getElementById('historyList');
+    dom.addLayerBtn = document.getElementById('addLayerBtn');
+    dom.duplicateLayerBtn = document.getElementById('duplicateLayerBtn');
+    dom.deleteLayerBtn = document.getElementById('deleteLayerBtn');
+    dom.moveLayerUpBtn = document.getElementById('moveLayerUpBtn');
+    dom.moveLayerDownBtn = document.getElementById('moveLayerDownBtn');
+    dom.mergeLayerDownBtn = document.getElementById('mergeLayerDownBtn');
+    dom.layerOpacity = document.getElementById('layerOpacity');
+    dom.layerOpacityValue = document.getElementById('layerOpacityValue');
+
+    // Animation
+    dom.framesList = document.getElementById('framesList');
+    dom.addFrameBtn = document.getElementById('addFrameBtn');
+    dom.duplicateFrameBtn = document.getElementById('duplicateFrameBtn');
+    dom.deleteFrameBtn = document.getElementById('deleteFrameBtn');
+    dom.moveFrameLeftBtn = document.getElementById('moveFrameLeftBtn');
+    dom.moveFrameRightBtn = document.getElementById('moveFrameRightBtn');
+    dom.frameDuration = document.getElementById('frameDuration');
+    dom.animationFps = document.getElementById('animationFps');
+    dom.playAnimationBtn = document.getElementById('playAnimationBtn');
+    dom.animationPreview = document.getElementById('animationPreview');
+    dom.toggleOnionBtn = document.getElementById('toggleOnionBtn');
+    dom.onionPrevious = document.getElementById('onionPrevious');
+    dom.onionNext = document.getElementById('onionNext');
+    dom.exportGifBtn = document.getElementById('exportGifBtn');
+    dom.exportSheetBtn = document.getElementById('exportSheetBtn');
+    dom.sheetLayoutSelector = document.getElementById('sheetLayoutSelector');
+
+    // Project files
+    dom.saveProjectBtn = document.getElementById('saveProjectBtn');
+    dom.projectLoader = document.getElementById('projectLoader');
+    dom.includeHistoryToggle = document.getElementById('includeHistoryToggle');
+
+    // Gallery
+    dom.galleryBtn = document.getElementById('galleryBtn');
+    dom.galleryPanel = document.getElementById('galleryPanel');
+    dom.closeGallery = document.getElementById('closeGallery');
+    dom.galleryList = document.getElementById('galleryList');
+    dom.newProjectBtn = document.getElementById('newProjectBtn');
+    dom.projectNameInput = document.getElementById('projectNameInput');
 
     // Mobile-specific elements
     dom.mobilePanelToggle = document.getElementById('mobilePanelToggle');
@@ -72,6 +311,20 @@ function cacheDom() {
     dom.mobileUndoBtn = document.getElementById('mobileUndoBtn');
     dom.mobileRedoBtn = document.getElementById('mobileRedoBtn');
     dom.mobileSaveBtn = document.getElementById('mobileSaveBtn');
+    dom.exportDialog = document.getElementById('exportDialog');
+    dom.exportFilename = document.getElementById('exportFilename');
+    dom.exportFormat = document.getElementById('exportFormat');
+    dom.exportScale = document.getElementById('exportScale');
+    dom.exportScaleValue = document.getElementById('exportScaleValue');
+    dom.exportBackground = document.getElementById('exportBackground');
+    dom.exportBackgroundColor = document.getElementById('exportBackgroundColor');
+    dom.exportGrid = document.getElementById('exportGrid');
+    dom.exportTrim = document.getElementById('exportTrim');
+    dom.exportPreview = document.getElementById('exportPreview');
+    dom.exportInfo = document.getElementById('exportInfo');
+    dom.exportApply = document.getElementById('exportApply');
+    dom.exportCopy = document.getElementById('exportCopy');
+    dom.exportCancel = document.getElementById('exportCancel');
 }
 
 // ==================== Toast Notifications ====================
@@ -84,9 +337,12 @@ function showToast(message, type = 'info') {
         info: 'ℹ️'
     };
 
+    // Messages often carry names from files or the user, so they stay plain text
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
-    toast.innerHTML = `<span>${icons[type] || ''}</span> ${message}`;
+    const icon = document.createElement('span');
+    icon.textContent = icons[type] || '';
+    toast.append(icon, ` ${message}`);
     dom.toastContainer.appendChild(toast);
 
     setTimeout(() => {
@@ -96,593 +352,6284 @@ function showToast(message, type = 'info') {
 
 // ==================== History (Undo/Redo) ====================
 
-function getGridState() {
-    const pixels = dom.grid.querySelectorAll('.pixel');
-    return Array.from(pixels).map(p => p.style.backgroundColor || '#ffffff');
+// History is a list of labeled entries, each storing only what its action
+// changed: the document structure before and after (size, color mode, layers,
+// frames), the changed pixels of every cel, and the indexed palette's colors or
+// mirror settings when it touched them. Other palettes are global and stay out
+// of history. state.historyBase mirrors the document at the current entry so
+// pushHistory() can diff against it; undo and redo replay an entry's `before`
+// or `after` side on both the document and the base.
+function getDocumentState() {
+    return {
+        rows: lastValidState.rows,
+        cols: lastValidState.cols,
+        indexedPalette: state.indexedPalette,
+        layers: state.layers,
+        frames: state.frames,
+        activeLayerIndex: state.activeLayerIndex,
+        currentFrameIndex: state.currentFrameIndex,
+        paletteColors: state.indexedPalette ? state.paletas[state.indexedPalette] : null,
+        mirrorMode: state.mirrorMode
+    };
+}
+
+function cloneDocumentState(doc) {
+    return {
+        ...doc,
+        layers: doc.layers.map(layer => ({ ...layer })),
+        frames: doc.frames.map(cloneFrame),
+        paletteColors: doc.paletteColors && doc.paletteColors.slice(),
+        mirrorMode: JSON.parse(JSON.stringify(doc.mirrorMode))
+    };
+}
+
+function getDocumentStructure(doc) {
+    return {
+        rows: doc.rows,
+        cols: doc.cols,
+        indexedPalette: doc.indexedPalette,
+        layers: doc.layers.map(layer => ({ ...layer })),
+        frames: doc.frames.map(({ id, duration }) => ({ id, duration })),
+        activeLayerIndex: doc.activeLayerIndex,
+        currentFrameIndex: doc.currentFrameIndex
+    };
 }
 
-function setGridState(stateArr) {
-    const pixels = dom.grid.querySelectorAll('.pixel');
-    stateArr.forEach((color, i) => {
-        if (pixels[i]) pixels[i].style.backgroundColor = color;
+// Returns null when nothing changed
+function diffDocumentStates(base, doc) {
+    const cels = [];
+    const baseFrames = new Map(base.frames.map(frame => [frame.id, frame.cels]));
+    const docFrames = new Map(doc.frames.map(frame => [frame.id, frame.cels]));
+    new Set([...baseFrames.keys(), ...docFrames.keys()]).forEach(frameId => {
+        const before = baseFrames.get(frameId) || {};
+        const after = docFrames.get(frameId) || {};
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(layerId => {
+            const change = diffCel(before[layerId], after[layerId]);
+            if (change) cels.push({ frame: frameId, layer: Number(layerId), ...change });
+        });
     });
+
+    const settings = diffDocumentSettings(base, doc);
+    const structure = [getDocumentStructure(base), getDocumentStructure(doc)];
+    if (!cels.length && !settings && JSON.stringify(structure[0]) === JSON.stringify(structure[1])) return null;
+
+    return { before: structure[0], after: structure[1], cels, settings, size: getDiffSize(cels) };
 }
 
-function pushHistory() {
-    const currentState = getGridState();
+// Number of stored pixel values, which is what MAX_HISTORY_VALUES limits
+function getDiffSize(cels) {
+    return cels.reduce((sum, change) =>
+        sum + (change.indices ? change.indices.length : 0) +
+        (change.before ? change.before.length : 0) + (change.after ? change.after.length : 0), 0);
+}
 
-    // Remove future states if we're in the middle of history
-    if (state.historyIndex < state.history.length - 1) {
-        state.history = state.history.slice(0, state.historyIndex + 1);
+// Changed pixels as parallel index/value lists, or whole copies when the cel was
+// added, removed, resized or mostly repainted.
+function diffCel(before, after) {
+    if (before && after && before.length === after.length) {
+        const indices = [];
+        for (let i = 0; i < after.length; i++) {
+            if (before[i] !== after[i]) indices.push(i);
+        }
+        if (indices.length === 0) return null;
+        if (indices.length < after.length / 3) {
+            return {
+                indices: Uint32Array.from(indices),
+                before: Uint32Array.from(indices, i => before[i]),
+                after: Uint32Array.from(indices, i => after[i])
+            };
+        }
+    }
+    return { before: before ? before.slice() : null, after: after ? after.slice() : null };
+}
+
+function diffDocumentSettings(base, doc) {
+    const before = {};
+    const after = {};
+    if (JSON.stringify(base.paletteColors) !== JSON.stringify(doc.paletteColors)) {
+        before.paletteColors = base.paletteColors && base.paletteColors.slice();
+        after.paletteColors = doc.paletteColors && doc.paletteColors.slice();
+    }
+    if (JSON.stringify(base.mirrorMode) !== JSON.stringify(doc.mirrorMode)) {
+        before.mirrorMode = JSON.parse(JSON.stringify(base.mirrorMode));
+        after.mirrorMode = JSON.parse(JSON.stringify(doc.mirrorMode));
     }
+    return Object.keys(before).length ? { before, after } : null;
+}
+
+// Replays one side of a diff onto a document state. Cels are updated in place;
+// the returned state shares unchanged frames with `doc`.
+function applyDocumentDiff(doc, diff, side) {
+    const structure = diff[side];
+    const frames = new Map(doc.frames.map(frame => [frame.id, frame]));
+    structure.frames.forEach(({ id }) => {
+        if (!frames.has(id)) frames.set(id, { id, duration: DEFAULT_FRAME_DURATION, cels: {} });
+    });
+
+    diff.cels.forEach(change => {
+        const frame = frames.get(change.frame);
+        const values = change[side];
+        if (!frame) return;
+        if (change.indices) {
+            const cel = frame.cels[change.layer];
+            if (!cel) return;
+            change.indices.forEach((index, i) => {
+                cel[index] = values[i];
+            });
+        } else if (values) {
+            frame.cels[change.layer] = values.slice();
+        } else {
+            delete frame.cels[change.layer];
+        }
+    });
 
-    state.history.push(currentState);
+    const settings = diff.settings ? diff.settings[side] : {};
+    return {
+        ...getDocumentStructure(structure),
+        frames: structure.frames.map(({ id, duration }) => Object.assign(frames.get(id), { duration })),
+        paletteColors: 'paletteColors' in settings
+            ? settings.paletteColors && settings.paletteColors.slice()
+            : doc.paletteColors,
+        mirrorMode: settings.mirrorMode ? JSON.parse(JSON.stringify(settings.mirrorMode)) : doc.mirrorMode
+    };
+}
 
-    // Keep history manageable
-    if (state.history.length > MAX_HISTORY) {
-        state.history.shift();
+function restoreDocumentState(doc) {
+    if (doc.rows !== lastValidState.rows || doc.cols !== lastValidState.cols) {
+        setDocumentSize(doc.rows, doc.cols);
     }
+    state.layers = doc.layers;
+    state.frames = doc.frames;
+    state.activeLayerIndex = Math.min(doc.activeLayerIndex, state.layers.length - 1);
+    state.currentFrameIndex = Math.min(doc.currentFrameIndex, state.frames.length - 1);
+    // Only the indexed palette is restored, recreated if it was deleted since
+    const colors = doc.indexedPalette && doc.paletteColors;
+    if (colors && JSON.stringify(colors) !== JSON.stringify(state.paletas[doc.indexedPalette])) {
+        state.paletas[doc.indexedPalette] = colors.slice();
+        initPalettes();
+        savePalettes();
+    }
+    if (doc.mirrorMode !== state.mirrorMode) applyProjectSettings({ mirrorMode: doc.mirrorMode });
+    setColorMode(doc.indexedPalette);
+
+    renderCanvas();
+    renderLayersPanel();
+    renderTimeline();
+    markUnusedSwatches();
+}
+
+function pushHistory(label = 'history.edit', params) {
+    const diff = diffDocumentStates(state.historyBase, getDocumentState());
+    if (!diff) return;
+
+    // Remove future states if we're in the middle of history
+    state.history = state.history.slice(0, state.historyIndex + 1);
+    state.history.push({ label, params, time: Date.now(), diff });
+    state.historyRevision++;
+    state.historyBase = applyDocumentDiff(state.historyBase, diff, 'after');
+    trimHistory();
 
     state.historyIndex = state.history.length - 1;
     updateHistoryButtons();
+    renderTimeline();
+    markUnusedSwatches();
+    renderHistoryPanel();
+    scheduleAutosave();
+}
+
+// Drops the oldest entries past the entry or stored-value limits. The first
+// remaining entry becomes the starting point, so its diff is no longer needed.
+function trimHistory() {
+    const sizeOf = entry => (entry.diff ? entry.diff.size : 0);
+    let total = state.history.reduce((sum, entry) => sum + sizeOf(entry), 0);
+    let trimmed = false;
+    while (state.history.length > 1 && (state.history.length > MAX_HISTORY || total > MAX_HISTORY_VALUES)) {
+        total -= sizeOf(state.history.shift());
+        trimmed = true;
+    }
+    if (trimmed) state.history[0].diff = null;
+}
+
+function resetHistory(label = 'history.newDocument') {
+    state.history = [{ label, time: Date.now(), diff: null }];
+    state.historyRevision++;
+    state.historyIndex = 0;
+    state.historyBase = cloneDocumentState(getDocumentState());
+    updateHistoryButtons();
+    renderHistoryPanel();
+}
+
+// Walks the entries between the current one and `target`, then redraws once
+function goToHistory(target) {
+    if (target < 0 || target >= state.history.length || target === state.historyIndex) return;
+    // A shape being dragged previews into the cel; drop it before the cel is replaced
+    if (state.shape) cancelShape();
+
+    let doc = getDocumentState();
+    while (state.historyIndex > target) {
+        const { diff } = state.history[state.historyIndex--];
+        if (!diff) continue;
+        doc = applyDocumentDiff(doc, diff, 'before');
+        state.historyBase = applyDocumentDiff(state.historyBase, diff, 'before');
+    }
+    while (state.historyIndex < target) {
+        const { diff } = state.history[++state.historyIndex];
+        if (!diff) continue;
+        doc = applyDocumentDiff(doc, diff, 'after');
+        state.historyBase = applyDocumentDiff(state.historyBase, diff, 'after');
+    }
+    restoreDocumentState(doc);
+    updateHistoryButtons();
+    renderHistoryPanel();
+    scheduleAutosave();
 }
 
 function undo() {
     if (state.historyIndex > 0) {
-        state.historyIndex--;
-        setGridState(state.history[state.historyIndex]);
-        updateHistoryButtons();
-        showToast('Acción deshecha', 'info');
+        const label = getHistoryLabel(state.history[state.historyIndex]);
+        goToHistory(state.historyIndex - 1);
+        showToast(t('history.undone', { label }), 'info');
     }
 }
 
 function redo() {
     if (state.historyIndex < state.history.length - 1) {
-        state.historyIndex++;
-        setGridState(state.history[state.historyIndex]);
-        updateHistoryButtons();
-        showToast('Acción rehecha', 'info');
+        goToHistory(state.historyIndex + 1);
+        showToast(t('history.redone', { label: getHistoryLabel(state.history[state.historyIndex]) }), 'info');
     }
 }
 
+// Labels are message keys, translated when shown; files from before i18n hold plain text
+function getHistoryLabel(entry) {
+    return t(entry.label, entry.params);
+}
+
 function updateHistoryButtons() {
     if (dom.undoBtn) dom.undoBtn.disabled = state.historyIndex <= 0;
     if (dom.redoBtn) dom.redoBtn.disabled = state.historyIndex >= state.history.length - 1;
 }
 
+function renderHistoryPanel() {
+    if (!dom.historyList) return;
+    dom.historyList.innerHTML = '';
+    state.history.forEach((entry, index) => {
+        const item = document.createElement('div');
+        item.className = 'layer-item history-item';
+        item.classList.toggle('active', index === state.historyIndex);
+        item.classList.toggle('future', index > state.historyIndex);
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', index === state.historyIndex);
+        item.title = t(index > state.historyIndex ? 'history.redoTo' : 'history.goTo');
+        item.addEventListener('click', () => goToHistory(index));
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = getHistoryLabel(entry);
+
+        const time = document.createElement('span');
+        time.className = 'layer-opacity-badge';
+        time.textContent = new Date(entry.time).toLocaleTimeString(state.locale, { timeStyle: 'short' });
+
+        item.append(name, time);
+        dom.historyList.appendChild(item);
+    });
+
+    const active = dom.historyList.children[state.historyIndex];
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+}
+
+// A full copy of the document, as stored in project files. Indexed documents
+// include their palette colors, which the pixels point into.
+function getGridState() {
+    return {
+        rows: lastValidState.rows,
+        cols: lastValidState.cols,
+        indexed: state.indexedPalette
+            ? { palette: state.indexedPalette, colors: state.paletas[state.indexedPalette].slice() }
+            : null,
+        layers: state.layers.map(layer => ({ ...layer })),
+        frames: state.frames.map(cloneFrame),
+        activeLayerIndex: state.activeLayerIndex,
+        currentFrameIndex: state.currentFrameIndex
+    };
+}
+
 function getPixelSize() {
     return getComputedStyle(document.documentElement).getPropertyValue('--pixel-size').trim() || '20px';
 }
 
 function safeUpdateGrid() {
     try {
-        const rows = Math.max(8, Math.min(64, parseInt(document.getElementById('rows').value) || 16));
-        const cols = Math.max(8, Math.min(64, parseInt(document.getElementById('cols').value) || 16));
-        const pixelSize = getPixelSize();
-
-        dom.grid.style.gridTemplateColumns = `repeat(${cols}, ${pixelSize})`;
-        dom.grid.className = state.gridVisible ? 'grid-visible' : '';
-
-        const fragment = document.createDocumentFragment();
-        for (let i = 0; i < rows * cols; i++) {
-            fragment.appendChild(createPixel());
-        }
-
-        dom.grid.innerHTML = '';
-        dom.grid.appendChild(fragment);
-        state.isDrawing = false;
-
-        lastValidState = { rows, cols };
+        const rows = clampGridSize(parseInt(document.getElementById('rows').value) || 16);
+        const cols = clampGridSize(parseInt(document.getElementById('cols').value) || 16);
+
+        setDocumentSize(rows, cols);
+        stopPlayback();
+        setColorMode(null);
+        state.nextLayerId = 1;
+        state.nextFrameId = 1;
+        state.layers = [createLayer(t('layers.defaultName', { n: 1 }))];
+        state.frames = [createFrame()];
+        state.activeLayerIndex = 0;
+        state.currentFrameIndex = 0;
+        renderCanvas();
+        renderLayersPanel();
+        renderTimeline();
 
         // Initialize history with the blank state
-        state.history = [getGridState()];
-        state.historyIndex = 0;
-        updateHistoryButtons();
+        resetHistory();
 
     } catch (error) {
         console.error('Error al actualizar la cuadrícula:', error);
-        showToast('Error al actualizar la cuadrícula', 'error');
+        showToast(t('grid.updateError'), 'error');
         document.getElementById('rows').value = lastValidState.rows;
         document.getElementById('cols').value = lastValidState.cols;
         safeUpdateGrid();
     }
 }
 
-function createPixel() {
-    const pixel = document.createElement('div');
-    pixel.className = 'pixel';
-    pixel.draggable = false;
-    return pixel;
+function clampGridSize(value) {
+    return Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, value));
+}
+
+// Large documents get smaller on-screen cells so the canvas stays a manageable size.
+function getCellSize(rows, cols) {
+    const preferred = parseInt(getPixelSize()) || 20;
+    return Math.max(1, Math.min(preferred, Math.floor(MAX_CANVAS_DISPLAY / Math.max(rows, cols))));
+}
+
+// Lines are hidden while cells are too small on screen, which depends on the zoom
+function updateGridDensity() {
+    const cell = getCellSize(lastValidState.rows, lastValidState.cols);
+    dom.grid.classList.toggle('grid-dense', cell * state.currentZoom < 4);
+}
+
+function sizeGrid(rows, cols) {
+    const cell = getCellSize(rows, cols);
+    dom.grid.style.width = `${cols * cell}px`;
+    dom.grid.style.height = `${rows * cell}px`;
+    dom.grid.style.setProperty('--cell-size', `${cell}px`);
+    dom.grid.classList.toggle('grid-visible', state.gridVisible);
+    updateGridDensity();
+
+    // Marching ants are drawn at display resolution so edges stay crisp
+    dom.selectionCanvas.width = cols * cell;
+    dom.selectionCanvas.height = rows * cell;
+    dom.guidesCanvas.width = cols * cell;
+    dom.guidesCanvas.height = rows * cell;
+    dom.cursorCanvas.width = cols * cell;
+    dom.cursorCanvas.height = rows * cell;
+    drawSelectionOutline();
+    updateSymmetryControls();
+}
+
+// Switches the document to new dimensions; callers are responsible for the cels.
+function setDocumentSize(rows, cols) {
+    document.getElementById('rows').value = rows;
+    document.getElementById('cols').value = cols;
+    lastValidState = { rows, cols };
+    clearSelection();
+    buildGrid(rows, cols);
+    state.isDrawing = false;
+}
+
+function buildGrid(rows, cols) {
+    sizeGrid(rows, cols);
+
+    dom.pixelCanvas.width = cols;
+    dom.pixelCanvas.height = rows;
+    renderer.ctx = dom.pixelCanvas.getContext('2d');
+    renderer.imageData = renderer.ctx.createImageData(cols, rows);
+    renderer.pixels = new Uint32Array(renderer.imageData.data.buffer);
+    renderer.dirty = null;
+}
+
+function getPixelCount() {
+    return lastValidState.rows * lastValidState.cols;
+}
+
+// Maps a viewport point to a pixel index (-1 outside the canvas). The bounding
+// rect already includes the zoom transform, so no extra scaling is needed. In
+// tile mode points over the repeated copies map back into the central tile.
+function getPixelFromPoint(clientX, clientY) {
+    const point = getCanvasPoint(clientX, clientY);
+    const { rows, cols } = lastValidState;
+    if (!point) return -1;
+    if (state.tileMode && point.x >= -cols && point.y >= -rows && point.x < 2 * cols && point.y < 2 * rows) {
+        return wrapCoordinate(point.y, rows) * cols + wrapCoordinate(point.x, cols);
+    }
+    if (point.x < 0 || point.y < 0 || point.x >= cols || point.y >= rows) return -1;
+    return point.y * cols + point.x;
+}
+
+// Pixel coordinates of a viewport point, which may lie outside the canvas
+function getCanvasPoint(clientX, clientY) {
+    const rect = dom.pixelCanvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    const { rows, cols } = lastValidState;
+    return {
+        x: Math.floor((clientX - rect.left) / rect.width * cols),
+        y: Math.floor((clientY - rect.top) / rect.height * rows)
+    };
+}
+
+// ==================== Rendering ====================
+
+// The composite of the current frame lives in one ImageData; edits update single
+// entries and mark a dirty rectangle that is flushed once per animation frame.
+const renderer = {
+    ctx: null,
+    imageData: null,
+    pixels: null,
+    dirty: null,
+    frameRequested: false
+};
+
+function markDirty(x0, y0, x1 = x0, y1 = y0) {
+    const d = renderer.dirty;
+    renderer.dirty = d
+        ? { x0: Math.min(d.x0, x0), y0: Math.min(d.y0, y0), x1: Math.max(d.x1, x1), y1: Math.max(d.y1, y1) }
+        : { x0, y0, x1, y1 };
+
+    if (!renderer.frameRequested) {
+        renderer.frameRequested = true;
+        requestAnimationFrame(flushRender);
+    }
+}
+
+function flushRender() {
+    renderer.frameRequested = false;
+    const d = renderer.dirty;
+    if (!d || !renderer.ctx) return;
+    renderer.dirty = null;
+    renderer.ctx.putImageData(renderer.imageData, 0, 0, d.x0, d.y0, d.x1 - d.x0 + 1, d.y1 - d.y0 + 1);
+    drawTilePreview();
+}
+
+function renderPixel(index) {
+    let color = compositePixel(index);
+    if (state.onionSkin.active) {
+        color = compositeOnionSkin(index, color);
+    }
+    renderer.pixels[index] = color;
+
+    const cols = lastValidState.cols;
+    markDirty(index % cols, Math.floor(index / cols));
+}
+
+function renderCanvas() {
+    if (!renderer.pixels) return;
+    compositeFrameInto(getCurrentFrame(), renderer.pixels);
+    if (state.onionSkin.active) {
+        const pixels = renderer.pixels;
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = compositeOnionSkin(i, pixels[i]);
+        }
+    }
+    markDirty(0, 0, lastValidState.cols - 1, lastValidState.rows - 1);
+}
+
+// Blends the visible layers bottom-to-top (source-over) for one pixel.
+// Returns the packed color, 0 when nothing visible covers it.
+function compositePixel(index, frame = getCurrentFrame()) {
+    const lookup = state.indexedColors;
+    let result = 0;
+    state.layers.forEach(layer => {
+        if (!layer.visible) return;
+        const value = frame.cels[layer.id][index];
+        const color = lookup ? lookup[value] : value;
+        if (color) result = blendPacked(result, color, layer.opacity);
+    });
+    return result;
+}
+
+function compositeFrameInto(frame, target) {
+    const lookup = state.indexedColors;
+    target.fill(0);
+    state.layers.forEach(layer => {
+        if (!layer.visible || layer.opacity <= 0) return;
+        const cel = frame.cels[layer.id];
+        const opacity = layer.opacity;
+        for (let i = 0; i < cel.length; i++) {
+            const color = lookup ? lookup[cel[i]] : cel[i];
+            if (color) target[i] = blendPacked(target[i], color, opacity);
+        }
+    });
+    return target;
+}
+
+// Composites every pixel of a frame once, for thumbnails, playback and export.
+function compositeFrame(frame) {
+    return compositeFrameInto(frame, new Uint32Array(getPixelCount()));
+}
+
+function pixelsToCanvas(pixels, cols, rows) {
+    const canvas = document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(cols, rows);
+    new Uint32Array(imageData.data.buffer).set(pixels);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+function drawFrame(ctx, frame, offsetX = 0, offsetY = 0, scale = 1) {
+    const { rows, cols } = lastValidState;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(pixelsToCanvas(compositeFrame(frame), cols, rows), offsetX, offsetY, cols * scale, rows * scale);
 }
 
 // ==================== Drawing ====================
 
 let drawingTimeout = null;
 
+function isPaintingTool(tool) {
+    return tool === 'brush' || tool === 'eraser' || tool === 'fill' || tool === 'dither' || isShapeTool(tool);
+}
+
+function beginStroke() {
+    state.isDrawing = true;
+    state.strokeChanged = false;
+    state.lastDrawnIndex = -1;
+    state.stroke = null;
+
+    if (isPaintingTool(state.currentTool)) {
+        const layer = getActiveLayer();
+        if (layer.locked) {
+            showToast(t('layers.locked', { name: layer.name }), 'warning');
+        } else if (!layer.visible) {
+            showToast(t('layers.hidden', { name: layer.name }), 'warning');
+        }
+    }
+}
+
 function startDrawing(e) {
+    if (e.button !== 0 || isPanPointer(e)) return;
     e.preventDefault();
-    state.isDrawing = true;
-    const target = e.target.classList.contains('pixel') ? e.target : null;
-    if (target) {
-        pushHistory(); // Save state before drawing
-        applyColor(target);
-        if (state.mirrorMode.active) applyMirrorEffect(target);
+    if (e.altKey && state.mirrorMode.active) {
+        state.axisDrag = true;
+        moveSymmetryCenter(e.clientX, e.clientY);
+        return;
+    }
+    if (canDragReference()) {
+        state.referenceDrag = { x: e.clientX, y: e.clientY };
+        return;
+    }
+    const index = getPixelFromPoint(e.clientX, e.clientY);
+    if (index >= 0) {
+        beginStroke();
+        if (isShapeTool(state.currentTool)) startShape(index, getTileOffset(e.clientX, e.clientY));
+        else if (isSelectionTool(state.currentTool)) startSelection(index, e.shiftKey);
+        else handleDrawing(index);
     }
 }
 
-function handleDrawing(pixel) {
-    if (!state.isDrawing || !pixel?.classList?.contains('pixel')) return;
-    applyColor(pixel);
-    if (state.mirrorMode.active) applyMirrorEffect(pixel);
+// Brush and eraser strokes are interpolated from the previous pointer position
+// so fast movements don't leave gaps.
+function handleDrawing(index) {
+    if (!state.isDrawing || index < 0 || index === state.lastDrawnIndex) return;
+    const previous = state.lastDrawnIndex;
+    state.lastDrawnIndex = index;
+
+    switch (state.currentTool) {
+        case 'dither':
+            if (state.dither.mode === 'fill') {
+                floodFill(getSymmetryIndices(index), getDitherValue);
+                break;
+            }
+        // falls through
+        case 'brush':
+        case 'eraser':
+            (previous >= 0 ? getStrokeSegment(previous, index) : [index]).forEach(paintStrokePoint);
+            break;
+        case 'fill':
+            floodFill(getSymmetryIndices(index));
+            break;
+        case 'picker':
+            applyColor(index);
+            break;
+    }
 }
 
 function handleTouchDrawing(e) {
+    if (e.touches.length !== 1) return;
     e.preventDefault();
     const touch = e.touches[0];
-    const pixel = document.elementFromPoint(touch.clientX, touch.clientY);
-    if (pixel?.classList?.contains('pixel')) {
-        handleDrawing(pixel);
-    }
+    if (state.shape) moveShape(touch.clientX, touch.clientY, false);
+    else if (state.referenceDrag) moveReferenceDrag(touch.clientX, touch.clientY);
+    else if (state.selectionDrag) moveSelectionDrag(touch.clientX, touch.clientY);
+    else handleDrawing(getPixelFromPoint(touch.clientX, touch.clientY));
 }
 
-function stopDrawing() {
+const STROKE_LABELS = {
+    brush: 'history.brushStroke',
+    eraser: 'tool.eraser',
+    fill: 'tool.fill',
+    dither: 'tool.dither',
+    gradient: 'tool.gradient',
+    line: 'tool.line',
+    rect: 'tool.rect',
+    ellipse: 'tool.ellipse'
+};
+
+function stopDrawing(e) {
+    if (state.panDrag) {
+        endPan();
+        return;
+    }
+    if (state.axisDrag) {
+        state.axisDrag = false;
+        pushHistory('command.view.mirror');
+        return;
+    }
+    if (state.referenceDrag) {
+        state.referenceDrag = null;
+        return;
+    }
+    const label = state.selectionDrag ? 'history.moveSelection' : STROKE_LABELS[state.currentTool];
+    if (state.shape) finishShape(!!(e && e.shiftKey));
+    if (state.selectionDrag) finishSelectionDrag();
+    if (state.isDrawing && state.strokeChanged) {
+        pushHistory(label);
+    }
     state.isDrawing = false;
+    state.strokeChanged = false;
+    state.lastDrawnIndex = -1;
+    state.stroke = null;
+}
+
+function setLayerPixel(layer, index, color) {
+    const cel = getCel(layer);
+    if (cel[index] === color || !isSelected(index)) return;
+    cel[index] = color;
+    state.strokeChanged = true;
+    renderPixel(index);
 }
 
-function applyColor(pixel) {
-    if (!pixel) return;
+function applyColor(index) {
+    if (index < 0 || index >= getPixelCount()) return;
+
+    const layer = getActiveLayer();
+    if (isPaintingTool(state.currentTool) && !isLayerEditable(layer)) return;
 
     switch (state.currentTool) {
         case 'brush':
-            pixel.style.backgroundColor = state.currentColor;
+            setLayerPixel(layer, index, getPaintValue());
             break;
         case 'eraser':
-            pixel.style.backgroundColor = '#ffffff';
+            setLayerPixel(layer, index, 0);
+            break;
+        case 'dither':
+            setLayerPixel(layer, index, getDitherValue(index));
             break;
         case 'fill':
-            floodFill(pixel);
+            floodFill([index]);
             break;
         case 'picker':
-            const pickedColor = rgbToHex(pixel.style.backgroundColor);
-            state.currentColor = pickedColor;
-            dom.colorInput.value = pickedColor;
-            dom.colorHexInput.value = pickedColor.toUpperCase();
-            updateColorPreview();
-            showToast(`Color seleccionado: ${pickedColor}`, 'success');
+            const picked = unpackColor(compositePixel(index));
+            if (!picked) {
+                showToast(t('picker.transparent'), 'info');
+                break;
+            }
+            selectColor(colorToHex(picked));
+            showToast(t('picker.picked', { color: state.currentColor }), 'success');
             break;
     }
 }
 
-function applyMirrorEffect(originalPixel) {
-    const index = Array.from(dom.grid.children).indexOf(originalPixel);
-    const cols = parseInt(document.getElementById('cols').value);
-    const rows = parseInt(document.getElementById('rows').value);
-    const mirrorIndices = [];
+// Every start point is filled against the cel as it was before the fill, so
+// symmetric fills don't depend on the order they run in. `getValue` paints
+// patterns instead of the primary color.
+function floodFill(startIndices, getValue = null) {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) return;
+
+    const pixels = getCel(layer);
+    const source = getFillSource(pixels);
+    const fillColor = getPaintValue();
+    const region = new Uint8Array(pixels.length);
+    startIndices.forEach(start => markFillRegion(source, start, region));
+    region.forEach((filled, index) => {
+        if (filled) setLayerPixel(layer, index, getValue ? getValue(index) : fillColor);
+    });
+}
 
-    switch (state.mirrorMode.type) {
-        case 'vertical':
-            mirrorIndices.push(Math.floor(index / cols) * cols + (cols - 1 - (index % cols)));
-            break;
-        case 'horizontal':
-            mirrorIndices.push((rows - 1 - Math.floor(index / cols)) * cols + (index % cols));
-            break;
-        case 'diagonal':
-            mirrorIndices.push(
-                Math.floor(index / cols) * cols + (cols - 1 - (index % cols)),
-                (rows - 1 - Math.floor(index / cols)) * cols + (index % cols)
-            );
-            break;
+// The colors fills compare: the active cel, or the visible composite when
+// sampling all layers. Indexed cels are resolved so tolerance works on colors.
+function getFillSource(cel) {
+    if (state.fill.sampleMerged) return compositeFrame(getCurrentFrame());
+    return state.indexedColors ? Uint32Array.from(cel, value => state.indexedColors[value]) : cel;
+}
+
+// Marks the selected pixels within tolerance of the start color: the connected
+// area (4 or 8 neighbors) or, in global mode, every match on the canvas.
+function markFillRegion(source, startIndex, region) {
+    const { global, diagonal } = state.fill;
+    const tolerance = Math.round(state.fill.tolerance / 100 * 255);
+    const targetColor = source[startIndex];
+    const matches = index => !region[index] && isSelected(index) && colorsMatch(source[index], targetColor, tolerance);
+
+    if (global) {
+        for (let i = 0; i < source.length; i++) {
+            if (matches(i)) region[i] = 1;
+        }
+        return;
+    }
+
+    const { rows, cols } = lastValidState;
+    const neighbors = diagonal
+        ? [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]]
+        : [[-1, 0], [1, 0], [0, -1], [0, 1]];
+    const stack = [startIndex];
+    while (stack.length > 0) {
+        const index = stack.pop();
+        if (!matches(index)) continue;
+        region[index] = 1;
+
+        // In tile mode the edges wrap around to the opposite side
+        const x = index % cols;
+        const y = Math.floor(index / cols);
+        neighbors.forEach(([dx, dy]) => {
+            let nx = x + dx;
+            let ny = y + dy;
+            if (state.tileMode) {
+                nx = wrapCoordinate(nx, cols);
+                ny = wrapCoordinate(ny, rows);
+            } else if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) {
+                return;
+            }
+            stack.push(ny * cols + nx);
+        });
+    }
+}
+
+// Packed colors match when no RGBA channel differs by more than `tolerance` (0–255)
+function colorsMatch(a, b, tolerance) {
+    if (a === b) return true;
+    if (tolerance === 0) return false;
+    for (let shift = 0; shift < 32; shift += 8) {
+        if (Math.abs(((a >>> shift) & 0xff) - ((b >>> shift) & 0xff)) > tolerance) return false;
+    }
+    return true;
+}
+
+function setFillTolerance(value) {
+    state.fill.tolerance = Math.max(0, Math.min(100, parseInt(value) || 0));
+    dom.fillToleranceValue.textContent = `${state.fill.tolerance}%`;
+}
+
+// Fill options apply to every tool that fills a region
+function updateFillControls() {
+    const tool = state.currentTool;
+    dom.fillOptions.hidden = tool !== 'fill' && tool !== 'gradient' && tool !== 'dither';
+    dom.fillModeSelector.value = state.fill.global ? 'global' : 'contiguous';
+    dom.fillConnectivitySelector.value = state.fill.diagonal ? '8' : '4';
+    dom.fillSampleMerged.checked = state.fill.sampleMerged;
+}
+
+// ==================== Brush ====================
+
+// Brushes are square or round footprints 1–MAX_BRUSH_SIZE pixels wide, centred
+// on the pointer (even sizes lean up and left). Pixel-perfect mode removes the
+// corner pixel of L-shaped steps in 1px strokes by restoring what was under it.
+const brushFootprints = new Map();
+
+function getBrushOffsets() {
+    const { size, shape } = state.brush;
+    const key = `${shape}:${size}`;
+    if (!brushFootprints.has(key)) {
+        const offsets = [];
+        const start = -Math.floor((size - 1) / 2);
+        const center = (size - 1) / 2;
+        const radius = size / 2 - 0.25;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (shape === 'round' && (x - center) ** 2 + (y - center) ** 2 > radius * radius) continue;
+                offsets.push([start + x, start + y]);
+            }
+        }
+        brushFootprints.set(key, offsets);
+    }
+    return brushFootprints.get(key);
+}
+
+// Footprint pixels on the canvas (wrapped around in tile mode)
+function getBrushIndices(index) {
+    const { rows, cols } = lastValidState;
+    const x = index % cols;
+    const y = Math.floor(index / cols);
+    const indices = [];
+    getBrushOffsets().forEach(([dx, dy]) => {
+        const px = x + dx;
+        const py = y + dy;
+        if (state.tileMode) indices.push(wrapCoordinate(py, rows) * cols + wrapCoordinate(px, cols));
+        else if (px >= 0 && py >= 0 && px < cols && py < rows) indices.push(py * cols + px);
+    });
+    return indices;
+}
+
+// Pixels from `from` (exclusive) to `to`. In tile mode a step across an edge
+// continues on the opposite side instead of cutting across the tile.
+function getStrokeSegment(from, to) {
+    const { rows, cols } = lastValidState;
+    const x0 = from % cols;
+    const y0 = Math.floor(from / cols);
+    let x1 = to % cols;
+    let y1 = Math.floor(to / cols);
+    if (state.tileMode) {
+        if (Math.abs(x1 - x0) > cols / 2) x1 -= Math.sign(x1 - x0) * cols;
+        if (Math.abs(y1 - y0) > rows / 2) y1 -= Math.sign(y1 - y0) * rows;
+    }
+    const points = [];
+    plotLine(x0, y0, x1, y1, (x, y) => points.push(wrapCoordinate(y, rows) * cols + wrapCoordinate(x, cols)));
+    return points.slice(1);
+}
+
+function paintStrokePoint(index) {
+    const pixelPerfect = state.brush.pixelPerfect && state.brush.size === 1;
+    if (pixelPerfect && !state.stroke) state.stroke = { base: getCel(getActiveLayer()).slice(), points: [] };
+    getBrushIndices(index).forEach(i => getSymmetryIndices(i).forEach(applyColor));
+    if (pixelPerfect) removeStrokeCorner(index);
+}
+
+function removeStrokeCorner(index) {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) return;
+
+    const { points, base } = state.stroke;
+    points.push(index);
+    if (points.length < 3) return;
+
+    const cols = lastValidState.cols;
+    const [a, b, c] = points.slice(-3).map(i => ({ x: i % cols, y: Math.floor(i / cols) }));
+    const adjacent = (p, q) => Math.abs(p.x - q.x) + Math.abs(p.y - q.y) === 1;
+    if (adjacent(a, b) && adjacent(b, c) && Math.abs(a.x - c.x) === 1 && Math.abs(a.y - c.y) === 1) {
+        const corner = points.splice(-2, 1)[0];
+        getSymmetryIndices(corner).forEach(i => setLayerPixel(layer, i, base[i]));
+    }
+}
+
+function setBrushSize(value) {
+    state.brush.size = Math.max(1, Math.min(MAX_BRUSH_SIZE, parseInt(value) || 1));
+    dom.brushSize.value = state.brush.size;
+    dom.brushSizeValue.textContent = `${state.brush.size}px`;
+}
+
+function setBrushShape(shape) {
+    state.brush.shape = shape === 'round' ? 'round' : 'square';
+}
+
+function togglePixelPerfect() {
+    state.brush.pixelPerfect = !state.brush.pixelPerfect;
+    dom.togglePixelPerfectBtn.classList.toggle('active', state.brush.pixelPerfect);
+    showToast(t(state.brush.pixelPerfect ? 'tools.pixelPerfectOn' : 'tools.pixelPerfectOff'), 'info');
+}
+
+// Shows where the brush, eraser or pattern brush would paint, including symmetric copies
+function drawBrushPreview(index) {
+    const canvas = dom.cursorCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const tool = state.currentTool;
+    const isBrush = tool === 'brush' || tool === 'eraser' || (tool === 'dither' && state.dither.mode === 'brush');
+    if (index < 0 || !isBrush) return;
+
+    const cols = lastValidState.cols;
+    const scale = canvas.width / cols;
+    const pixels = new Set();
+    getBrushIndices(index).forEach(i => getSymmetryIndices(i).forEach(j => pixels.add(j)));
+
+    ctx.fillStyle = state.currentTool === 'eraser' ? 'rgba(255, 255, 255, 0.5)' : state.currentColor;
+    ctx.globalAlpha = state.currentTool === 'eraser' ? 1 : 0.5;
+    pixels.forEach(i => ctx.fillRect((i % cols) * scale, Math.floor(i / cols) * scale, scale, scale));
+    ctx.globalAlpha = 1;
+}
+
+// ==================== Dither & Gradient ====================
+
+// The pattern brush paints the primary color where an ordered-dither pattern is
+// set and the secondary color elsewhere. Patterns are anchored to the canvas,
+// so overlapping strokes line up.
+function isDitherPrimary(x, y) {
+    const { pattern, level, custom } = state.dither;
+    switch (pattern) {
+        case 'checker':
+            return (x + y) % 2 === 0;
+        case 'bayer2':
+            return BAYER_2[(y % 2) * 2 + x % 2] < level / 100 * 4;
+        case 'bayer4':
+            return BAYER_4[(y % 4) * 4 + x % 4] < level / 100 * 16;
+        default:
+            return custom[(y % 8) * 8 + x % 8] === 1;
     }
+}
+
+function getDitherValue(index) {
+    const cols = lastValidState.cols;
+    const primary = isDitherPrimary(index % cols, Math.floor(index / cols));
+    return getPaintValue(primary ? state.currentColor : state.secondaryColor);
+}
+
+function loadDitherPattern() {
+    const saved = localStorage.getItem(DITHER_PATTERN_KEY);
+    if (saved && /^[01]{64}$/.test(saved)) return Array.from(saved, Number);
+    return Array.from({ length: 64 }, (_, i) => (Math.floor(i / 8) + i) % 2 === 0 ? 1 : 0);
+}
+
+function setDitherPattern(pattern) {
+    state.dither.pattern = pattern;
+    updateDitherControls();
+}
+
+function setDitherLevel(value) {
+    state.dither.level = Math.max(0, Math.min(100, parseInt(value) || 0));
+    dom.ditherLevelValue.textContent = `${state.dither.level}%`;
+}
+
+function toggleCustomDitherCell(index) {
+    const { custom } = state.dither;
+    custom[index] = custom[index] ? 0 : 1;
+    localStorage.setItem(DITHER_PATTERN_KEY, custom.join(''));
+    renderDitherPatternEditor();
+}
 
-    mirrorIndices.forEach(idx => {
-        if (dom.grid.children[idx]) {
-            applyColor(dom.grid.children[idx]);
+function updateDitherControls() {
+    const { pattern } = state.dither;
+    dom.ditherOptions.hidden = state.currentTool !== 'dither';
+    dom.ditherPatternSelector.value = pattern;
+    dom.ditherModeSelector.value = state.dither.mode;
+    dom.ditherLevelRow.hidden = pattern !== 'bayer2' && pattern !== 'bayer4';
+    dom.ditherPatternEditor.hidden = pattern !== 'custom';
+    if (pattern === 'custom') renderDitherPatternEditor();
+}
+
+function renderDitherPatternEditor() {
+    dom.ditherPatternEditor.innerHTML = '';
+    state.dither.custom.forEach((value, index) => {
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'dither-cell';
+        cell.classList.toggle('active', value === 1);
+        cell.setAttribute('aria-pressed', value === 1);
+        cell.setAttribute('aria-label', t('dither.cell', { x: index % 8 + 1, y: Math.floor(index / 8) + 1 }));
+        cell.addEventListener('click', () => toggleCustomDitherCell(index));
+        dom.ditherPatternEditor.appendChild(cell);
+    });
+}
+
+// The gradient fills the region under its start point, as the fill tool would,
+// stepping along the dragged line through the palette colors between the
+// primary and secondary color. Steps are blended with a 4×4 Bayer pattern.
+function getGradientRamp() {
+    const palette = state.paletas[state.currentPalette];
+    const from = palette.indexOf(state.currentColor.toLowerCase());
+    const to = palette.indexOf(state.secondaryColor.toLowerCase());
+    if (from < 0 || to < 0 || from === to) return [state.currentColor, state.secondaryColor];
+
+    const step = from < to ? 1 : -1;
+    const ramp = [];
+    for (let i = from; i !== to + step; i += step) ramp.push(palette[i]);
+    return ramp;
+}
+
+function getGradientRegion(cel, index) {
+    const region = new Uint8Array(cel.length);
+    markFillRegion(getFillSource(cel), index, region);
+    const indices = [];
+    region.forEach((filled, i) => {
+        if (filled) indices.push(i);
+    });
+    return indices;
+}
+
+function getGradientValue(index, start, end, ramp) {
+    const cols = lastValidState.cols;
+    const x = index % cols;
+    const y = Math.floor(index / cols);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = dx * dx + dy * dy;
+    const t = length ? Math.max(0, Math.min(1, ((x - start.x) * dx + (y - start.y) * dy) / length)) : 0;
+
+    const position = t * (ramp.length - 1);
+    const step = Math.floor(position);
+    const threshold = (BAYER_4[(y % 4) * 4 + x % 4] + 0.5) / 16;
+    return ramp[Math.min(ramp.length - 1, step + (position - step > threshold ? 1 : 0))];
+}
+
+function setSecondaryColor(color) {
+    const parsed = parseColor(color);
+    if (!parsed) return;
+    state.secondaryColor = colorToHex(parsed);
+    dom.secondaryColorInput.value = state.secondaryColor.slice(0, 7);
+    dom.secondaryColorPreview.style.setProperty('--preview-color', state.secondaryColor);
+}
+
+// ==================== Symmetry ====================
+
+// Painting is copied across the axes (or rotated around the center) of a
+// movable center point. The center lies on pixel edges or pixel centers, so it
+// is kept in multiples of 0.5; null follows the middle of the canvas.
+function getSymmetryCenter() {
+    const { rows, cols } = lastValidState;
+    const { centerX, centerY } = state.mirrorMode;
+    return {
+        x: centerX === null ? cols / 2 : Math.max(0, Math.min(cols, centerX)),
+        y: centerY === null ? rows / 2 : Math.max(0, Math.min(rows, centerY))
+    };
+}
+
+// The pixel and its symmetric copies that land on the canvas (wrapped around in
+// tile mode), without duplicates
+function getSymmetryIndices(index) {
+    if (!state.mirrorMode.active) return [index];
+
+    const { rows, cols } = lastValidState;
+    const { type, segments } = state.mirrorMode;
+    const center = getSymmetryCenter();
+    const x = index % cols;
+    const y = Math.floor(index / cols);
+    const mirrorX = 2 * center.x - 1 - x;
+    const mirrorY = 2 * center.y - 1 - y;
+
+    const points = [[x, y]];
+    if (type === 'vertical' || type === 'quad') points.push([mirrorX, y]);
+    if (type === 'horizontal' || type === 'quad') points.push([x, mirrorY]);
+    if (type === 'quad') points.push([mirrorX, mirrorY]);
+    if (type === 'radial') {
+        // Rotates the pixel's center; the bias settles points that land exactly on an edge
+        const dx = x + 0.5 - center.x;
+        const dy = y + 0.5 - center.y;
+        for (let i = 1; i < segments; i++) {
+            const angle = 2 * Math.PI * i / segments;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            points.push([
+                Math.floor(center.x + dx * cos - dy * sin + 1e-6),
+                Math.floor(center.y + dx * sin + dy * cos + 1e-6)
+            ]);
         }
+    }
+
+    const indices = new Set();
+    points.forEach(([px, py]) => {
+        if (state.tileMode) indices.add(wrapCoordinate(py, rows) * cols + wrapCoordinate(px, cols));
+        else if (px >= 0 && py >= 0 && px < cols && py < rows) indices.add(py * cols + px);
     });
+    return [...indices];
 }
 
-function floodFill(startPixel) {
-    const targetColor = startPixel.style.backgroundColor;
-    if (targetColor === state.currentColor) return;
+function toggleMirrorMode() {
+    state.mirrorMode.active = !state.mirrorMode.active;
+    updateSymmetryControls();
+    pushHistory('command.view.mirror');
+    showToast(t(state.mirrorMode.active ? 'options.mirrorOn' : 'options.mirrorOff'), 'info');
+}
 
-    const queue = [startPixel];
-    const visited = new Set();
-    const cols = parseInt(document.getElementById('cols').value);
+function changeMirrorType(type) {
+    state.mirrorMode.type = type;
+    updateSymmetryControls();
+    pushHistory('command.view.mirror');
+}
 
-    while (queue.length > 0) {
-        const current = queue.shift();
-        if (!visited.has(current) && current.style.backgroundColor === targetColor) {
-            current.style.backgroundColor = state.currentColor;
-            visited.add(current);
+function setSymmetrySegments(value) {
+    state.mirrorMode.segments = Math.max(MIN_SYMMETRY_SEGMENTS, Math.min(MAX_SYMMETRY_SEGMENTS, parseInt(value) || DEFAULT_SYMMETRY_SEGMENTS));
+    updateSymmetryControls();
+    pushHistory('command.view.mirror');
+}
 
-            const index = Array.from(dom.grid.children).indexOf(current);
-            const neighbors = [];
+// `axis` is 'x' or 'y'; an empty value recenters that axis
+function setSymmetryCenter(axis, value) {
+    const key = axis === 'x' ? 'centerX' : 'centerY';
+    const size = axis === 'x' ? lastValidState.cols : lastValidState.rows;
+    const number = parseFloat(value);
+    state.mirrorMode[key] = Number.isFinite(number) ? Math.max(0, Math.min(size, Math.round(number * 2) / 2)) : null;
+    updateSymmetryControls();
+    pushHistory('command.view.mirror');
+}
+
+function resetSymmetryCenter() {
+    state.mirrorMode.centerX = null;
+    state.mirrorMode.centerY = null;
+    updateSymmetryControls();
+    pushHistory('command.view.mirror');
+}
+
+// Alt+drag on the canvas snaps the center to the nearest pixel edge or center
+function moveSymmetryCenter(clientX, clientY) {
+    const rect = dom.pixelCanvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+
+    const { rows, cols } = lastValidState;
+    const snap = (value, size) => Math.max(0, Math.min(size, Math.round(value * 2) / 2));
+    state.mirrorMode.centerX = snap((clientX - rect.left) / rect.width * cols, cols);
+    state.mirrorMode.centerY = snap((clientY - rect.top) / rect.height * rows, rows);
+    updateSymmetryControls();
+}
+
+function updateSymmetryControls() {
+    const { active, type, segments } = state.mirrorMode;
+    const center = getSymmetryCenter();
+    dom.toggleMirrorBtn.classList.toggle('active', active);
+    dom.mirrorTypeSelector.value = type;
+    dom.symmetrySegments.value = segments;
+    dom.symmetrySegmentsRow.hidden = type !== 'radial';
+    dom.symmetryCenterX.value = center.x;
+    dom.symmetryCenterY.value = center.y;
+    drawSymmetryGuides();
+}
+
+function drawSymmetryGuides() {
+    const canvas = dom.guidesCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!state.mirrorMode.active) return;
+
+    const { type, segments } = state.mirrorMode;
+    const scale = canvas.width / lastValidState.cols;
+    const center = getSymmetryCenter();
+    // Half-pixel offsets keep 1px lines sharp
+    const cx = Math.round(center.x * scale) + 0.5;
+    const cy = Math.round(center.y * scale) + 0.5;
+
+    ctx.beginPath();
+    if (type === 'vertical' || type === 'quad') {
+        ctx.moveTo(cx, 0);
+        ctx.lineTo(cx, canvas.height);
+    }
+    if (type === 'horizontal' || type === 'quad') {
+        ctx.moveTo(0, cy);
+        ctx.lineTo(canvas.width, cy);
+    }
+    if (type === 'radial') {
+        const length = canvas.width + canvas.height;
+        for (let i = 0; i < segments; i++) {
+            const angle = 2 * Math.PI * i / segments - Math.PI / 2;
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + Math.cos(angle) * length, cy + Math.sin(angle) * length);
+        }
+    }
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = SYMMETRY_GUIDE_COLOR;
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(cx, cy, 4, 0, 2 * Math.PI);
+    ctx.stroke();
+}
+
+// ==================== Tile Mode ====================
+
+// Tile mode shows the canvas surrounded by eight copies of itself to preview
+// seamless textures. Painting on a copy edits the central tile, and strokes,
+// fills and shapes wrap around the edges.
+function wrapCoordinate(value, size) {
+    return ((value % size) + size) % size;
+}
+
+// Which repeated copy a viewport point is over, as a pixel offset from the central tile
+function getTileOffset(clientX, clientY) {
+    const point = getCanvasPoint(clientX, clientY);
+    if (!state.tileMode || !point) return { x: 0, y: 0 };
+    const { rows, cols } = lastValidState;
+    return { x: Math.floor(point.x / cols) * cols, y: Math.floor(point.y / rows) * rows };
+}
+
+function toggleTileMode() {
+    state.tileMode = !state.tileMode;
+    updateTileMode();
+    showToast(t(state.tileMode ? 'tools.tileModeOn' : 'tools.tileModeOff'), 'info');
+}
+
+function updateTileMode() {
+    dom.grid.classList.toggle('tile-mode', state.tileMode);
+    dom.toggleTileModeBtn.classList.toggle('active', state.tileMode);
+    drawTilePreview();
+}
+
+// The central copy is left empty; the real canvas sits on top of it
+function drawTilePreview() {
+    if (!state.tileMode) return;
+    const { rows, cols } = lastValidState;
+    const canvas = dom.tileCanvas;
+    if (canvas.width !== cols * 3 || canvas.height !== rows * 3) {
+        canvas.width = cols * 3;
+        canvas.height = rows * 3;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    for (let ty = 0; ty < 3; ty++) {
+        for (let tx = 0; tx < 3; tx++) {
+            if (tx !== 1 || ty !== 1) ctx.drawImage(dom.pixelCanvas, tx * cols, ty * rows);
+        }
+    }
+}
+
+// ==================== Shape Tools ====================
+
+// A shape is previewed by writing it into the active cel on top of a saved copy;
+// each pointer move restores the previous preview pixels first. History only
+// sees the result on release, so every shape is a single undo step.
+function isShapeTool(tool) {
+    return tool === 'line' || tool === 'rect' || tool === 'ellipse' || tool === 'gradient';
+}
+
+// `offset` is the tile copy the shape was started on, so the end point can be
+// measured from the same copy.
+function startShape(index, offset = { x: 0, y: 0 }) {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) return;
+
+    const cel = getCel(layer);
+    const cols = lastValidState.cols;
+    const point = { x: index % cols, y: Math.floor(index / cols) };
+    state.shape = { cel, base: cel.slice(), start: point, end: point, offset, constrain: false, preview: [] };
+    if (state.currentTool === 'gradient') {
+        state.shape.region = getGradientRegion(cel, index);
+        state.shape.ramp = getGradientRamp().map(color => getPaintValue(color));
+    }
+    updateShapePreview(false);
+}
+
+function moveShape(clientX, clientY, constrain) {
+    const point = getCanvasPoint(clientX, clientY);
+    if (!point) return;
+
+    // Tile mode lets shapes reach into the neighbouring copies and wrap around
+    const { rows, cols } = lastValidState;
+    const { offset } = state.shape;
+    const reach = state.tileMode ? 1 : 0;
+    const end = {
+        x: Math.max(-reach * cols, Math.min((1 + reach) * cols - 1, point.x - offset.x)),
+        y: Math.max(-reach * rows, Math.min((1 + reach) * rows - 1, point.y - offset.y))
+    };
+    if (end.x === state.shape.end.x && end.y === state.shape.end.y && constrain === state.shape.constrain) return;
+    state.shape.end = end;
+    updateShapePreview(constrain);
+}
+
+function updateShapePreview(constrain) {
+    const shape = state.shape;
+    shape.preview.forEach(index => {
+        shape.cel[index] = shape.base[index];
+        renderPixel(index);
+    });
+
+    shape.constrain = constrain;
+    if (state.currentTool === 'gradient') {
+        const end = constrain ? constrainShapeEnd('line', shape.start, shape.end) : shape.end;
+        shape.preview = shape.region;
+        shape.preview.forEach(index => {
+            shape.cel[index] = getGradientValue(index, shape.start, end, shape.ramp);
+            renderPixel(index);
+        });
+        return;
+    }
+
+    const color = getPaintValue();
+    shape.preview = getShapeIndices(state.currentTool, shape.start, shape.end, constrain);
+    shape.preview.forEach(index => {
+        shape.cel[index] = color;
+        renderPixel(index);
+    });
+}
+
+function finishShape(constrain) {
+    const shape = state.shape;
+    if (constrain !== shape.constrain) updateShapePreview(constrain);
+    state.shape = null;
+    if (shape.preview.some(index => shape.cel[index] !== shape.base[index])) {
+        state.strokeChanged = true;
+    }
+}
+
+function cancelShape() {
+    const shape = state.shape;
+    shape.preview.forEach(index => {
+        shape.cel[index] = shape.base[index];
+        renderPixel(index);
+    });
+    state.shape = null;
+    state.isDrawing = false;
+}
+
+// Rasterizes the shape and its symmetric copies into unique in-bounds indices
+function getShapeIndices(tool, start, end, constrain) {
+    const { rows, cols } = lastValidState;
+    const target = constrain ? constrainShapeEnd(tool, start, end) : end;
+    const indices = new Set();
+    const plot = (x, y) => {
+        if (state.tileMode) {
+            x = wrapCoordinate(x, cols);
+            y = wrapCoordinate(y, rows);
+        } else if (x < 0 || y < 0 || x >= cols || y >= rows) {
+            return;
+        }
+        const index = y * cols + x;
+        indices.add(index);
+        getSymmetryIndices(index).forEach(i => indices.add(i));
+    };
+
+    if (tool === 'line') plotLine(start.x, start.y, target.x, target.y, plot);
+    else if (tool === 'rect') plotRect(start.x, start.y, target.x, target.y, state.shapeFilled, plot);
+    else plotEllipse(start.x, start.y, target.x, target.y, state.shapeFilled, plot);
+    return [...indices].filter(index => isSelected(index));
+}
+
+// Shift snaps lines to multiples of 45° and makes boxes square
+function constrainShapeEnd(tool, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const adx = Math.abs(dx);
+    const ady = Math.abs(dy);
+
+    if (tool === 'line') {
+        const snap = Math.tan(Math.PI / 8);
+        if (ady <= adx * snap) return { x: end.x, y: start.y };
+        if (adx <= ady * snap) return { x: start.x, y: end.y };
+    }
+    const size = Math.max(adx, ady);
+    return { x: start.x + (dx < 0 ? -size : size), y: start.y + (dy < 0 ? -size : size) };
+}
+
+function plotLine(x0, y0, x1, y1, plot) {
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+
+    while (true) {
+        plot(x0, y0);
+        if (x0 === x1 && y0 === y1) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x0 += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            y0 += sy;
+        }
+    }
+}
+
+function plotRect(x0, y0, x1, y1, filled, plot) {
+    const left = Math.min(x0, x1), right = Math.max(x0, x1);
+    const top = Math.min(y0, y1), bottom = Math.max(y0, y1);
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            if (filled || y === top || y === bottom || x === left || x === right) plot(x, y);
+        }
+    }
+}
+
+// Pixels whose centres fall inside the ellipse inscribed in the bounding box;
+// the outline keeps the inside pixels that touch the outside.
+function plotEllipse(x0, y0, x1, y1, filled, plot) {
+    const left = Math.min(x0, x1), right = Math.max(x0, x1);
+    const top = Math.min(y0, y1), bottom = Math.max(y0, y1);
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const rx = (right - left) / 2 + 0.5;
+    const ry = (bottom - top) / 2 + 0.5;
+    const inside = (x, y) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            if (!inside(x, y)) continue;
+            if (filled || !inside(x - 1, y) || !inside(x + 1, y) || !inside(x, y - 1) || !inside(x, y + 1)) {
+                plot(x, y);
+            }
+        }
+    }
+}
+
+function toggleShapeFill() {
+    state.shapeFilled = !state.shapeFilled;
+    dom.toggleShapeFillBtn.classList.toggle('active', state.shapeFilled);
+    dom.toggleShapeFillBtn.textContent = t(state.shapeFilled ? 'tools.shapeFilled' : 'tools.shapeOutline');
+    showToast(t(state.shapeFilled ? 'tools.shapesFilled' : 'tools.shapesOutlined'), 'info');
+}
+
+// ==================== Selection ====================
+
+// The selection is a per-pixel mask shared by all layers and frames. Painting
+// tools only touch selected pixels; with no selection everything is editable.
+function isSelectionTool(tool) {
+    return tool === 'select' || tool === 'wand';
+}
+
+function isSelected(index) {
+    return !state.selection || state.selection.mask[index] === 1;
+}
+
+function setSelection(mask) {
+    const { rows, cols } = lastValidState;
+    let x0 = cols, y0 = rows, x1 = -1, y1 = -1;
+    const edges = [];
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            const index = y * cols + x;
+            if (!mask[index]) continue;
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            if (y > y1) y1 = y;
+            if (y === 0 || !mask[index - cols]) edges.push(x, y, x + 1, y);
+            if (y === rows - 1 || !mask[index + cols]) edges.push(x, y + 1, x + 1, y + 1);
+            if (x === 0 || !mask[index - 1]) edges.push(x, y, x, y + 1);
+            if (x === cols - 1 || !mask[index + 1]) edges.push(x + 1, y, x + 1, y + 1);
+        }
+    }
+
+    state.selection = x1 < 0 ? null : { mask, edges, bounds: { x0, y0, x1, y1 } };
+    updateMarchingAnts();
+}
+
+function clearSelection() {
+    if (!state.selection) return;
+    state.selection = null;
+    updateMarchingAnts();
+}
+
+function selectAll() {
+    setSelection(new Uint8Array(getPixelCount()).fill(1));
+    selectTool('select');
+}
+
+function getSelectedIndices() {
+    const indices = [];
+    if (!state.selection) return indices;
+    const { mask } = state.selection;
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) indices.push(i);
+    }
+    return indices;
+}
+
+// Dragging inside the selection with the marquee moves it; anywhere else starts
+// a new rectangle. Shift adds to the current selection.
+function startSelection(index, additive) {
+    const cols = lastValidState.cols;
+    const point = { x: index % cols, y: Math.floor(index / cols) };
+
+    if (state.currentTool === 'wand') {
+        selectByColor(index, additive);
+        return;
+    }
+    if (state.selection && state.selection.mask[index] && !additive) {
+        startSelectionMove(point);
+        return;
+    }
+
+    state.selectionDrag = {
+        mode: 'rect',
+        start: point,
+        end: point,
+        base: additive && state.selection ? state.selection.mask : null
+    };
+}
+
+function startSelectionMove(point) {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) {
+        showToast(t('layers.notEditable', { name: layer.name }), 'warning');
+        return;
+    }
+
+    const cel = getCel(layer);
+    const indices = getSelectedIndices();
+    const base = cel.slice();
+    indices.forEach(i => {
+        base[i] = 0;
+    });
+    state.selectionDrag = { mode: 'move', start: point, dx: 0, dy: 0, cel, base, source: cel.slice(), indices };
+}
+
+function moveSelectionDrag(clientX, clientY) {
+    const point = getCanvasPoint(clientX, clientY);
+    const drag = state.selectionDrag;
+    if (!point) return;
+
+    if (drag.mode === 'rect') {
+        const { rows, cols } = lastValidState;
+        drag.end = {
+            x: Math.max(0, Math.min(cols - 1, point.x)),
+            y: Math.max(0, Math.min(rows - 1, point.y))
+        };
+        updateRectSelection(drag);
+        return;
+    }
+
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (dx === drag.dx && dy === drag.dy) return;
+    drag.dx = dx;
+    drag.dy = dy;
+    applySelectionMove(drag);
+}
+
+function updateRectSelection(drag) {
+    const cols = lastValidState.cols;
+    const mask = drag.base ? drag.base.slice() : new Uint8Array(getPixelCount());
+    const left = Math.min(drag.start.x, drag.end.x), right = Math.max(drag.start.x, drag.end.x);
+    const top = Math.min(drag.start.y, drag.end.y), bottom = Math.max(drag.start.y, drag.end.y);
+    for (let y = top; y <= bottom; y++) {
+        mask.fill(1, y * cols + left, y * cols + right + 1);
+    }
+    setSelection(mask);
+}
+
+// Lifted pixels are drawn over the layer with the hole they left; transparent
+// pixels in the selection don't erase what they pass over.
+function applySelectionMove(drag) {
+    const { rows, cols } = lastValidState;
+    const mask = new Uint8Array(drag.cel.length);
+    drag.cel.set(drag.base);
+
+    drag.indices.forEach(i => {
+        const x = i % cols + drag.dx;
+        const y = Math.floor(i / cols) + drag.dy;
+        if (x < 0 || y < 0 || x >= cols || y >= rows) return;
+        const target = y * cols + x;
+        mask[target] = 1;
+        if (drag.source[i]) drag.cel[target] = drag.source[i];
+    });
+
+    setSelection(mask);
+    renderCanvas();
+}
+
+function finishSelectionDrag() {
+    const drag = state.selectionDrag;
+    state.selectionDrag = null;
+
+    if (drag.mode === 'move') {
+        if (drag.dx || drag.dy) state.strokeChanged = true;
+    } else if (!drag.base && drag.start.x === drag.end.x && drag.start.y === drag.end.y) {
+        // A plain click with the marquee deselects
+        clearSelection();
+    } else {
+        updateRectSelection(drag);
+    }
+}
+
+// Magic wand: contiguous pixels of the same color on the active layer
+function selectByColor(startIndex, additive) {
+    const pixels = getCel(getActiveLayer());
+    const cols = lastValidState.cols;
+    const target = pixels[startIndex];
+    const mask = additive && state.selection ? state.selection.mask.slice() : new Uint8Array(pixels.length);
+    const visited = new Uint8Array(pixels.length);
+    const stack = [startIndex];
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        if (visited[index] || pixels[index] !== target) continue;
+        visited[index] = 1;
+        mask[index] = 1;
+
+        if (index % cols > 0) stack.push(index - 1);
+        if (index % cols < cols - 1) stack.push(index + 1);
+        if (index >= cols) stack.push(index - cols);
+        if (index < pixels.length - cols) stack.push(index + cols);
+    }
+    setSelection(mask);
+}
+
+function deleteSelection(label = 'command.edit.deleteSelection') {
+    if (!state.selection) return;
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) {
+        showToast(t('layers.notEditable', { name: layer.name }), 'warning');
+        return;
+    }
+
+    const cel = getCel(layer);
+    getSelectedIndices().forEach(i => {
+        cel[i] = 0;
+    });
+    renderCanvas();
+    pushHistory(label);
+}
+
+function updateMarchingAnts() {
+    if (state.selection && !state.antsTimer) {
+        state.antsTimer = setInterval(() => {
+            state.antsOffset = (state.antsOffset + 1) % 8;
+            drawSelectionOutline();
+        }, 120);
+    } else if (!state.selection && state.antsTimer) {
+        clearInterval(state.antsTimer);
+        state.antsTimer = null;
+    }
+    drawSelectionOutline();
+}
+
+function drawSelectionOutline() {
+    const canvas = dom.selectionCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!state.selection) return;
+
+    // Half-pixel offsets keep 1px lines sharp; outer edges are pulled inside the canvas
+    const scale = canvas.width / lastValidState.cols;
+    const toX = x => Math.min(x * scale + 0.5, canvas.width - 0.5);
+    const toY = y => Math.min(y * scale + 0.5, canvas.height - 0.5);
+    const { edges } = state.selection;
+    ctx.beginPath();
+    for (let i = 0; i < edges.length; i += 4) {
+        ctx.moveTo(toX(edges[i]), toY(edges[i + 1]));
+        ctx.lineTo(toX(edges[i + 2]), toY(edges[i + 3]));
+    }
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+    ctx.setLineDash([4, 4]);
+    ctx.lineDashOffset = -state.antsOffset;
+    ctx.strokeStyle = '#000000';
+    ctx.stroke();
+}
+
+// ==================== Clipboard ====================
+
+// The in-app clipboard keeps exact pixels and where they came from; a PNG copy
+// goes to the system clipboard when the browser allows it.
+function copySelection(cut = false) {
+    const layer = getActiveLayer();
+    const cel = getCel(layer);
+    const { rows, cols } = lastValidState;
+    const mask = state.selection ? state.selection.mask : null;
+    const { x0, y0, x1, y1 } = state.selection ? state.selection.bounds : { x0: 0, y0: 0, x1: cols - 1, y1: rows - 1 };
+    const width = x1 - x0 + 1;
+    const height = y1 - y0 + 1;
+    const pixels = new Uint32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y0 + y) * cols + x0 + x;
+            if (!mask || mask[index]) pixels[y * width + x] = resolvePixel(cel[index]);
+        }
+    }
+
+    state.clipboard = { x: x0, y: y0, width, height, pixels };
+    writeSystemClipboard(pixels, width, height);
+
+    if (cut && state.selection) {
+        deleteSelection('command.edit.cut');
+        showToast(t('selection.cut'), 'success');
+    } else {
+        showToast(t(state.selection ? 'selection.copied' : 'selection.layerCopied'), 'success');
+    }
+}
+
+async function writeSystemClipboard(pixels, width, height) {
+    if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') return;
+    try {
+        const canvas = pixelsToCanvas(pixels, width, height);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+    } catch (error) {
+        console.error('No se pudo copiar al portapapeles del sistema:', error);
+    }
+}
+
+// Ctrl+V arrives as a paste event. An image on the system clipboard wins unless
+// it is our own last copy, which keeps its exact pixels and position.
+function handlePaste(e) {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+    const item = Array.from(e.clipboardData ? e.clipboardData.items : []).find(i => i.type.startsWith('image/'));
+    const file = item ? item.getAsFile() : null;
+    e.preventDefault();
+
+    if (!file) {
+        if (state.clipboard) pasteClipboard(state.clipboard);
+        else showToast(t('selection.clipboardEmpty'), 'warning');
+        return;
+    }
+
+    readImagePixels(file).then(image => {
+        const own = state.clipboard;
+        if (own && isSameImage(own, image)) pasteClipboard(own);
+        else pasteClipboard({ x: 0, y: 0, ...image });
+    }).catch(error => {
+        console.error('Error al pegar la imagen:', error);
+        showToast(t('selection.pasteError'), 'error');
+    });
+}
+
+// The PNG round trip through the browser can shift translucent colors slightly
+function isSameImage(a, b) {
+    if (a.width !== b.width || a.height !== b.height) return false;
+    for (let i = 0; i < a.pixels.length; i++) {
+        const p = a.pixels[i];
+        const q = b.pixels[i];
+        if (p === q) continue;
+        for (let shift = 0; shift < 32; shift += 8) {
+            if (Math.abs(((p >>> shift) & 0xFF) - ((q >>> shift) & 0xFF)) > 2) return false;
+        }
+    }
+    return true;
+}
+
+function readImagePixels(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            const data = ctx.getImageData(0, 0, img.width, img.height);
+            const pixels = new Uint32Array(data.data.buffer.slice(0));
+            for (let i = 0; i < pixels.length; i++) {
+                if (!(pixels[i] >>> 24)) pixels[i] = 0;
+            }
+            resolve({ width: img.width, height: img.height, pixels });
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(t('import.invalidImage')));
+        };
+        img.src = url;
+    });
+}
+
+// Pastes onto the active layer and selects the result so it can be dragged into place
+function pasteClipboard(clip) {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) {
+        showToast(t('layers.notEditable', { name: layer.name }), 'warning');
+        return;
+    }
+
+    const cel = getCel(layer);
+    const pixels = toDocumentPixels(clip.pixels);
+    const { rows, cols } = lastValidState;
+    const left = clip.x + clip.width <= cols ? clip.x : 0;
+    const top = clip.y + clip.height <= rows ? clip.y : 0;
+    const mask = new Uint8Array(cel.length);
+
+    for (let y = 0; y < clip.height && top + y < rows; y++) {
+        for (let x = 0; x < clip.width && left + x < cols; x++) {
+            const index = (top + y) * cols + left + x;
+            const color = pixels[y * clip.width + x];
+            mask[index] = 1;
+            if (color) cel[index] = color;
+        }
+    }
+
+    setSelection(mask);
+    renderCanvas();
+    pushHistory('command.edit.paste');
+    selectTool('select');
+    showToast(t('selection.pasted'), 'success');
+}
+
+// ==================== Layers ====================
+
+// state.layers is ordered bottom-to-top; the panel lists them top-first.
+// Layers only hold properties: their pixels live in each frame's cels, keyed by layer id.
+function createLayer(name) {
+    return {
+        id: state.nextLayerId++,
+        name,
+        visible: true,
+        locked: false,
+        opacity: 1
+    };
+}
+
+function createCel() {
+    return new Uint32Array(getPixelCount());
+}
+
+function getCel(layer, frame = getCurrentFrame()) {
+    return frame.cels[layer.id];
+}
+
+function getActiveLayer() {
+    return state.layers[state.activeLayerIndex];
+}
+
+function isLayerEditable(layer) {
+    return layer.visible && !layer.locked;
+}
+
+// Adds the layer to every frame; `cel` optionally provides its pixels in the current frame.
+function insertLayer(layer, index, cel = null) {
+    const current = getCurrentFrame();
+    state.frames.forEach(frame => {
+        frame.cels[layer.id] = frame === current && cel ? cel : createCel();
+    });
+    state.layers.splice(index, 0, layer);
+    state.activeLayerIndex = index;
+    renderCanvas();
+    renderLayersPanel();
+}
+
+function selectLayer(index) {
+    if (index < 0 || index >= state.layers.length) return;
+    state.activeLayerIndex = index;
+    renderLayersPanel();
+}
+
+function addLayer() {
+    const layer = createLayer(t('layers.defaultName', { n: state.nextLayerId }));
+    insertLayer(layer, state.activeLayerIndex + 1);
+    pushHistory('layers.new');
+    showToast(t('layers.created', { name: layer.name }), 'success');
+}
+
+function duplicateLayer() {
+    const source = getActiveLayer();
+    const copy = { ...source, id: state.nextLayerId++, name: t('layers.copyName', { name: source.name }) };
+    insertLayer(copy, state.activeLayerIndex + 1);
+    state.frames.forEach(frame => {
+        frame.cels[copy.id] = frame.cels[source.id].slice();
+    });
+    renderCanvas();
+    pushHistory('layers.duplicate');
+    showToast(t('layers.duplicated', { name: source.name }), 'success');
+}
+
+function deleteLayer() {
+    if (state.layers.length <= 1) {
+        showToast(t('layers.onlyOne'), 'warning');
+        return;
+    }
+    const [removed] = state.layers.splice(state.activeLayerIndex, 1);
+    state.frames.forEach(frame => delete frame.cels[removed.id]);
+    state.activeLayerIndex = Math.max(0, state.activeLayerIndex - 1);
+    renderCanvas();
+    renderLayersPanel();
+    pushHistory('layers.delete');
+    showToast(t('layers.deleted', { name: removed.name }), 'success');
+}
+
+// direction: +1 moves the active layer up (towards the top), -1 down
+function moveLayer(direction) {
+    const from = state.activeLayerIndex;
+    const to = from + direction;
+    if (to < 0 || to >= state.layers.length) return;
+
+    [state.layers[from], state.layers[to]] = [state.layers[to], state.layers[from]];
+    state.activeLayerIndex = to;
+    renderCanvas();
+    renderLayersPanel();
+    pushHistory('layers.move');
+}
+
+function mergeLayerDown() {
+    const upperIndex = state.activeLayerIndex;
+    if (upperIndex === 0) {
+        showToast(t('layers.nothingBelow'), 'warning');
+        return;
+    }
+
+    const upper = state.layers[upperIndex];
+    const lower = state.layers[upperIndex - 1];
+    if (lower.locked || upper.locked) {
+        showToast(t('layers.mergeLocked'), 'warning');
+        return;
+    }
+    // A hidden lower layer would hide the merged result too
+    if (!upper.visible || !lower.visible) {
+        showToast(t('layers.mergeHidden'), 'warning');
+        return;
+    }
+
+    // Both opacities are baked into the pixels and the merged layer becomes
+    // opaque, so it looks the same as the two layers did. Indexed pixels can't
+    // hold blends, so upper pixels simply replace lower ones.
+    const indexed = !!state.indexedPalette;
+    state.frames.forEach(frame => {
+        const upperCel = frame.cels[upper.id];
+        const lowerCel = frame.cels[lower.id];
+        for (let i = 0; i < lowerCel.length; i++) {
+            if (indexed) {
+                if (upperCel[i]) lowerCel[i] = upperCel[i];
+            } else {
+                lowerCel[i] = blendPacked(blendPacked(0, lowerCel[i], lower.opacity), upperCel[i], upper.opacity);
+            }
+        }
+        delete frame.cels[upper.id];
+    });
+    if (!indexed) lower.opacity = 1;
+
+    state.layers.splice(upperIndex, 1);
+    state.activeLayerIndex = upperIndex - 1;
+    renderCanvas();
+    renderLayersPanel();
+    pushHistory('layers.merge');
+    showToast(t('layers.merged', { upper: upper.name, lower: lower.name }), 'success');
+}
+
+function toggleLayerVisibility(index) {
+    const layer = state.layers[index];
+    layer.visible = !layer.visible;
+    renderCanvas();
+    renderLayersPanel();
+    pushHistory('layers.visibility');
+}
+
+function toggleLayerLock(index) {
+    const layer = state.layers[index];
+    layer.locked = !layer.locked;
+    renderLayersPanel();
+    pushHistory('layers.lock');
+}
+
+// Live preview while dragging the slider; history is recorded on `commit`.
+function setLayerOpacity(percent, commit = false) {
+    const layer = getActiveLayer();
+    layer.opacity = Math.max(0, Math.min(100, percent)) / 100;
+    dom.layerOpacityValue.textContent = `${Math.round(layer.opacity * 100)}%`;
+    renderCanvas();
+    if (commit) pushHistory('layers.opacity');
+}
+
+function renameLayer(index, name) {
+    const layer = state.layers[index];
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== layer.name) {
+        layer.name = trimmed;
+        pushHistory('layers.rename');
+    }
+    renderLayersPanel();
+}
+
+function startLayerRename(index, nameElement) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input';
+    input.value = state.layers[index].name;
+    input.maxLength = 32;
+
+    let done = false;
+    const finish = save => {
+        if (done) return;
+        done = true;
+        if (save) renameLayer(index, input.value);
+        else renderLayersPanel();
+    };
+
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+function renderLayersPanel() {
+    if (!dom.layersList) return;
+    dom.layersList.innerHTML = '';
+
+    for (let index = state.layers.length - 1; index >= 0; index--) {
+        const layer = state.layers[index];
+        const item = document.createElement('div');
+        item.className = 'layer-item';
+        item.classList.toggle('active', index === state.activeLayerIndex);
+        item.classList.toggle('hidden-layer', !layer.visible);
+        item.addEventListener('click', () => selectLayer(index));
+
+        const visibilityBtn = document.createElement('button');
+        visibilityBtn.type = 'button';
+        visibilityBtn.className = 'layer-toggle';
+        visibilityBtn.textContent = layer.visible ? '👁️' : '🚫';
+        visibilityBtn.title = t(layer.visible ? 'layers.hide' : 'layers.show');
+        visibilityBtn.setAttribute('aria-label', visibilityBtn.title);
+        visibilityBtn.addEventListener('click', e => {
+            e.stopPropagation();
+            toggleLayerVisibility(index);
+        });
+
+        const lockBtn = document.createElement('button');
+        lockBtn.type = 'button';
+        lockBtn.className = 'layer-toggle';
+        lockBtn.classList.toggle('active', layer.locked);
+        lockBtn.textContent = layer.locked ? '🔒' : '🔓';
+        lockBtn.title = t(layer.locked ? 'layers.unlock' : 'layers.lockTitle');
+        lockBtn.setAttribute('aria-label', lockBtn.title);
+        lockBtn.addEventListener('click', e => {
+            e.stopPropagation();
+            toggleLayerLock(index);
+        });
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = t('common.renameHint');
+        name.addEventListener('dblclick', e => {
+            e.stopPropagation();
+            startLayerRename(index, name);
+        });
+
+        const opacity = document.createElement('span');
+        opacity.className = 'layer-opacity-badge';
+        opacity.textContent = `${Math.round(layer.opacity * 100)}%`;
+
+        item.append(visibilityBtn, lockBtn, name, opacity);
+        dom.layersList.appendChild(item);
+    }
+
+    const active = getActiveLayer();
+    if (active && dom.layerOpacity) {
+        dom.layerOpacity.value = Math.round(active.opacity * 100);
+        dom.layerOpacityValue.textContent = `${Math.round(active.opacity * 100)}%`;
+    }
+    if (dom.deleteLayerBtn) dom.deleteLayerBtn.disabled = state.layers.length <= 1;
+    if (dom.mergeLayerDownBtn) dom.mergeLayerDownBtn.disabled = state.activeLayerIndex === 0;
+    if (dom.moveLayerUpBtn) dom.moveLayerUpBtn.disabled = state.activeLayerIndex >= state.layers.length - 1;
+    if (dom.moveLayerDownBtn) dom.moveLayerDownBtn.disabled = state.activeLayerIndex === 0;
+}
+
+// ==================== Animation Frames ====================
+
+function createFrame(duration = DEFAULT_FRAME_DURATION) {
+    const cels = {};
+    state.layers.forEach(layer => {
+        cels[layer.id] = createCel();
+    });
+    return { id: state.nextFrameId++, duration, cels };
+}
+
+function cloneFrame(frame) {
+    const cels = {};
+    Object.keys(frame.cels).forEach(id => {
+        cels[id] = frame.cels[id].slice();
+    });
+    return { ...frame, cels };
+}
+
+function getCurrentFrame() {
+    return state.frames[state.currentFrameIndex];
+}
+
+function selectFrame(index) {
+    if (index < 0 || index >= state.frames.length) return;
+    state.currentFrameIndex = index;
+    renderCanvas();
+    renderTimeline();
+}
+
+function addFrame() {
+    state.frames.splice(state.currentFrameIndex + 1, 0, createFrame(getCurrentFrame().duration));
+    state.currentFrameIndex++;
+    renderCanvas();
+    pushHistory('animation.newFrame');
+}
+
+function duplicateFrame() {
+    const copy = { ...cloneFrame(getCurrentFrame()), id: state.nextFrameId++ };
+    state.frames.splice(state.currentFrameIndex + 1, 0, copy);
+    state.currentFrameIndex++;
+    renderCanvas();
+    pushHistory('animation.duplicateFrame');
+    showToast(t('animation.frameDuplicated', { n: state.currentFrameIndex }), 'success');
+}
+
+function deleteFrame() {
+    if (state.frames.length <= 1) {
+        showToast(t('animation.onlyFrame'), 'warning');
+        return;
+    }
+    state.frames.splice(state.currentFrameIndex, 1);
+    state.currentFrameIndex = Math.min(state.currentFrameIndex, state.frames.length - 1);
+    renderCanvas();
+    pushHistory('animation.deleteFrame');
+    showToast(t('animation.frameDeleted'), 'success');
+}
+
+// direction: -1 moves the current frame earlier in the timeline, +1 later
+function moveFrame(direction) {
+    const from = state.currentFrameIndex;
+    const to = from + direction;
+    if (to < 0 || to >= state.frames.length) return;
+
+    [state.frames[from], state.frames[to]] = [state.frames[to], state.frames[from]];
+    state.currentFrameIndex = to;
+    renderCanvas();
+    pushHistory('animation.moveFrame');
+}
+
+function setFrameDuration(ms) {
+    const duration = Math.max(10, Math.min(10000, parseInt(ms) || DEFAULT_FRAME_DURATION));
+    const frame = getCurrentFrame();
+    if (frame.duration === duration) return;
+    frame.duration = duration;
+    pushHistory('animation.frameDuration');
+}
+
+// Sets the animation's base tempo: frames sharing the most common duration follow
+// it, while frames given their own duration (holds, quick beats) keep it.
+function setAnimationFps(fps) {
+    const clamped = Math.max(1, Math.min(60, parseInt(fps) || 10));
+    const duration = Math.round(1000 / clamped);
+    const base = getBaseFrameDuration();
+    const changed = state.frames.filter(frame => frame.duration === base && frame.duration !== duration);
+    changed.forEach(frame => {
+        frame.duration = duration;
+    });
+    pushHistory('animation.speed');
+    showToast(t('animation.fps', { fps: clamped }), 'info');
+}
+
+function getBaseFrameDuration() {
+    const counts = new Map();
+    state.frames.forEach(frame => counts.set(frame.duration, (counts.get(frame.duration) || 0) + 1));
+    let base = DEFAULT_FRAME_DURATION;
+    let best = 0;
+    counts.forEach((count, duration) => {
+        if (count > best) {
+            base = duration;
+            best = count;
+        }
+    });
+    return base;
+}
+
+function renderTimeline() {
+    if (!dom.framesList) return;
+    dom.framesList.innerHTML = '';
+
+    state.frames.forEach((frame, index) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'frame-item';
+        item.classList.toggle('active', index === state.currentFrameIndex);
+        item.title = t('animation.frameTitle', { n: index + 1, duration: frame.duration });
+        item.setAttribute('aria-label', item.title);
+        item.addEventListener('click', () => selectFrame(index));
+
+        const thumb = document.createElement('canvas');
+        thumb.className = 'frame-thumb';
+        thumb.width = lastValidState.cols;
+        thumb.height = lastValidState.rows;
+        drawFrame(thumb.getContext('2d'), frame);
+
+        const label = document.createElement('span');
+        label.className = 'frame-label';
+        label.textContent = index + 1;
+
+        item.append(thumb, label);
+        dom.framesList.appendChild(item);
+    });
+
+    const current = getCurrentFrame();
+    if (current && dom.frameDuration && document.activeElement !== dom.frameDuration) {
+        dom.frameDuration.value = current.duration;
+    }
+    if (dom.deleteFrameBtn) dom.deleteFrameBtn.disabled = state.frames.length <= 1;
+    if (dom.moveFrameLeftBtn) dom.moveFrameLeftBtn.disabled = state.currentFrameIndex === 0;
+    if (dom.moveFrameRightBtn) dom.moveFrameRightBtn.disabled = state.currentFrameIndex >= state.frames.length - 1;
+    if (!state.playback.playing) renderPreview(current);
+}
+
+// ==================== Onion Skin ====================
+
+const ONION_TINTS = {
+    previous: { r: 255, g: 71, b: 87 },
+    next: { r: 30, g: 144, b: 255 }
+};
+
+function tintPacked(value, tint, amount = 0.5) {
+    const color = unpackColor(value);
+    return packColor({
+        r: color.r + (tint.r - color.r) * amount,
+        g: color.g + (tint.g - color.g) * amount,
+        b: color.b + (tint.b - color.b) * amount,
+        a: color.a
+    });
+}
+
+// Draws the neighbouring frames as tinted ghosts underneath the current one.
+function compositeOnionSkin(index, color) {
+    const { previous, next, opacity } = state.onionSkin;
+    const neighbours = [];
+    if (previous && state.currentFrameIndex > 0) {
+        neighbours.push(['previous', state.frames[state.currentFrameIndex - 1]]);
+    }
+    if (next && state.currentFrameIndex < state.frames.length - 1) {
+        neighbours.push(['next', state.frames[state.currentFrameIndex + 1]]);
+    }
+
+    let ghost = 0;
+    neighbours.forEach(([kind, frame]) => {
+        const neighbour = compositePixel(index, frame);
+        if (neighbour) ghost = blendPacked(ghost, tintPacked(neighbour, ONION_TINTS[kind]), opacity);
+    });
+
+    if (!ghost) return color;
+    return color ? blendPacked(ghost, color) : ghost;
+}
+
+function toggleOnionSkin() {
+    state.onionSkin.active = !state.onionSkin.active;
+    dom.toggleOnionBtn.classList.toggle('active', state.onionSkin.active);
+    renderCanvas();
+    showToast(t(state.onionSkin.active ? 'animation.onionOn' : 'animation.onionOff'), 'info');
+}
+
+function setOnionSkinNeighbour(kind, enabled) {
+    state.onionSkin[kind] = enabled;
+    if (state.onionSkin.active) renderCanvas();
+}
+
+// ==================== Playback ====================
+
+function togglePlayback() {
+    if (state.playback.playing) stopPlayback();
+    else startPlayback();
+}
+
+function startPlayback() {
+    state.playback.playing = true;
+    state.playback.frameIndex = state.currentFrameIndex;
+    dom.playAnimationBtn.classList.add('active');
+    dom.playAnimationBtn.textContent = t('animation.pause');
+    playbackTick();
+}
+
+function stopPlayback() {
+    clearTimeout(state.playback.timer);
+    state.playback.playing = false;
+    state.playback.timer = null;
+    if (dom.playAnimationBtn) {
+        dom.playAnimationBtn.classList.remove('active');
+        dom.playAnimationBtn.textContent = t('animation.playButton');
+    }
+    renderPreview(getCurrentFrame());
+}
+
+function playbackTick() {
+    if (!state.playback.playing) return;
+    const frame = state.frames[state.playback.frameIndex % state.frames.length];
+    renderPreview(frame);
+    state.playback.frameIndex = (state.playback.frameIndex + 1) % state.frames.length;
+    state.playback.timer = setTimeout(playbackTick, frame.duration);
+}
+
+function renderPreview(frame) {
+    if (!dom.animationPreview || !frame) return;
+    const canvas = dom.animationPreview;
+    canvas.width = lastValidState.cols;
+    canvas.height = lastValidState.rows;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawFrame(ctx, frame);
+}
+
+// ==================== Animation Export ====================
+
+function downloadFile(href, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = href;
+    link.click();
+}
+
+// Largest scale up to EXPORT_SCALE that keeps the longest side within
+// MAX_ANIMATION_EXPORT_SIZE, never below 1
+function getAnimationExportScale(width, height) {
+    return Math.max(1, Math.min(EXPORT_SCALE, Math.floor(MAX_ANIMATION_EXPORT_SIZE / Math.max(width, height))));
+}
+
+function exportSpriteSheet() {
+    const layout = dom.sheetLayoutSelector ? dom.sheetLayoutSelector.value : 'horizontal';
+    const count = state.frames.length;
+    const columns = layout === 'grid' ? Math.ceil(Math.sqrt(count)) : count;
+    const sheetRows = Math.ceil(count / columns);
+    const scale = getAnimationExportScale(lastValidState.cols * columns, lastValidState.rows * sheetRows);
+    const frameWidth = lastValidState.cols * scale;
+    const frameHeight = lastValidState.rows * scale;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = frameWidth * columns;
+    canvas.height = frameHeight * sheetRows;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    state.frames.forEach((frame, index) => {
+        drawFrame(ctx, frame, (index % columns) * frameWidth, Math.floor(index / columns) * frameHeight, scale);
+    });
+
+    // Browsers return an empty data URL for canvases beyond their size limit
+    const url = canvas.toDataURL('image/png');
+    if (url === 'data:,') {
+        showToast(t('animation.sheetTooLarge'), 'error');
+        return;
+    }
+    downloadFile(url, `pixel-art-sheet-${Date.now()}.png`);
+    showToast(t('animation.sheetExported', { count }), 'success');
+}
+
+function exportGif() {
+    try {
+        const { rows, cols } = lastValidState;
+        const scale = getAnimationExportScale(cols, rows);
+        const composites = state.frames.map(compositeFrame);
+        const { palette, indexOf } = buildGifPalette(composites);
+
+        const gifFrames = composites.map((pixels, f) => {
+            const width = cols * scale;
+            const indices = new Uint8Array(width * rows * scale);
+            pixels.forEach((color, i) => {
+                const value = indexOf(color);
+                const x0 = (i % cols) * scale;
+                const y0 = Math.floor(i / cols) * scale;
+                for (let y = y0; y < y0 + scale; y++) {
+                    indices.fill(value, y * width + x0, y * width + x0 + scale);
+                }
+            });
+            return { indices, delay: Math.max(2, Math.round(state.frames[f].duration / 10)) };
+        });
+
+        const bytes = encodeGif(cols * scale, rows * scale, gifFrames, palette);
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'image/gif' }));
+        downloadFile(url, `pixel-art-${Date.now()}.gif`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast(t('animation.gifSaved'), 'success');
+    } catch (error) {
+        console.error('Error al exportar GIF:', error);
+        showToast(t('animation.gifError'), 'error');
+    }
+}
+
+// Index 0 is reserved for transparency. Documents with more than 255 colors are
+// snapped to a 6×7×6 color cube so they still fit the 256-entry GIF palette.
+function buildGifPalette(composites) {
+    const opaque = value => (value >>> 24) >= 128;
+    const unique = new Set();
+    composites.forEach(pixels => pixels.forEach(value => {
+        if (opaque(value)) unique.add(value & 0xffffff);
+    }));
+
+    const quantize = unique.size > 255;
+    const snap = (value, levels) => Math.round(Math.round(value / 255 * (levels - 1)) * 255 / (levels - 1));
+    const keyOf = value => {
+        const rgb = value & 0xffffff;
+        if (!quantize) return rgb;
+        return snap(rgb & 0xff, 6) | (snap((rgb >> 8) & 0xff, 7) << 8) | (snap(rgb >> 16, 6) << 16);
+    };
+
+    const palette = [[0, 0, 0]];
+    const lookup = new Map();
+    unique.forEach(rgb => {
+        const key = keyOf(rgb);
+        if (lookup.has(key)) return;
+        lookup.set(key, palette.length);
+        palette.push([key & 0xff, (key >> 8) & 0xff, key >> 16]);
+    });
+
+    return {
+        palette,
+        indexOf: value => (opaque(value) ? lookup.get(keyOf(value)) : 0)
+    };
+}
+
+// Minimal GIF89a encoder: global palette, infinite loop, transparency at index 0.
+function encodeGif(width, height, frames, palette) {
+    const out = [];
+    const writeByte = b => out.push(b & 0xff);
+    const writeShort = v => { writeByte(v); writeByte(v >> 8); };
+    const writeString = str => [...str].forEach(c => writeByte(c.charCodeAt(0)));
+
+    let tableBits = 1;
+    while ((1 << tableBits) < palette.length) tableBits++;
+    const tableSize = 1 << tableBits;
+
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    writeByte(0x80 | ((tableBits - 1) << 4) | (tableBits - 1));
+    writeByte(0);
+    writeByte(0);
+    for (let i = 0; i < tableSize; i++) {
+        const [r, g, b] = palette[i] || [0, 0, 0];
+        writeByte(r);
+        writeByte(g);
+        writeByte(b);
+    }
+
+    // NETSCAPE2.0 application extension: loop forever
+    writeByte(0x21);
+    writeByte(0xff);
+    writeByte(11);
+    writeString('NETSCAPE2.0');
+    writeByte(3);
+    writeByte(1);
+    writeShort(0);
+    writeByte(0);
+
+    frames.forEach(({ indices, delay }) => {
+        // Graphic control: restore to background so transparent areas don't accumulate
+        writeByte(0x21);
+        writeByte(0xf9);
+        writeByte(4);
+        writeByte((2 << 2) | 1);
+        writeShort(delay);
+        writeByte(0);
+        writeByte(0);
+
+        writeByte(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        writeByte(0);
+
+        lzwEncode(indices, Math.max(2, tableBits), writeByte);
+    });
+
+    writeByte(0x3b);
+    return new Uint8Array(out);
+}
+
+function lzwEncode(indices, minCodeSize, writeByte) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const flushBlock = () => {
+        if (!block.length) return;
+        writeByte(block.length);
+        block.forEach(writeByte);
+        block = [];
+    };
+    const emit = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) flushBlock();
+        }
+    };
+
+    writeByte(minCodeSize);
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const existing = table.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    // The decoder still adds a table entry for the last code, so the end code
+    // must follow the same width bump
+    if (nextCode < 4096 && nextCode >= (1 << codeSize)) codeSize++;
+    emit(endCode);
+    if (bitCount > 0) block.push(bitBuffer & 0xff);
+    flushBlock();
+    writeByte(0);
+}
+
+// ==================== Color Management ====================
+
+function updateColorPreview() {
+    dom.colorPreview.style.setProperty('--preview-color', state.currentColor);
+    updateMobileColorPreview();
+}
+
+function addToPalette() {
+    const hexColor = state.currentColor.toLowerCase();
+    if (!state.paletas[state.currentPalette].includes(hexColor)) {
+        state.paletas[state.currentPalette].push(hexColor);
+        finishSwatchEdit('palette.addColorHistory');
+        showToast(t('palette.colorAdded'), 'success');
+    } else {
+        showToast(t('palette.colorExists'), 'warning');
+    }
+}
+
+function deleteColor(index) {
+    if (state.currentPalette === state.indexedPalette && getUsedPaletteIndices()[index + 1]) {
+        showToast(t('palette.colorInUse'), 'warning');
+        return;
+    }
+
+    showConfirm({ message: t('palette.confirmDeleteColor') }, () => {
+        const palette = state.paletas[state.currentPalette];
+        const order = palette.map((_, i) => i).filter(i => i !== index);
+        state.paletas[state.currentPalette] = order.map(i => palette[i]);
+        finishSwatchEdit('palette.deleteColor', order);
+        showToast(t('palette.colorDeleted'), 'success');
+    });
+}
+
+// Shows the shared confirmation dialog; `onConfirm` runs only if the user accepts.
+function showConfirm({
+    message, icon = '🗑️', confirmLabel = t('common.delete'), cancelLabel = t('common.cancel'), danger = true
+}, onConfirm) {
+    state.confirmAction = onConfirm;
+    dom.confirmIcon.textContent = icon;
+    dom.confirmMessage.textContent = message;
+    dom.confirmYes.textContent = confirmLabel;
+    dom.confirmYes.setAttribute('aria-label', confirmLabel);
+    dom.confirmYes.classList.toggle('btn-danger', danger);
+    dom.confirmYes.classList.toggle('btn-accent', !danger);
+    dom.confirmNo.textContent = cancelLabel;
+    dom.confirmNo.setAttribute('aria-label', cancelLabel);
+    dom.confirmDialog.style.display = 'block';
+    dom.dialogOverlay.style.display = 'block';
+    dom.confirmDialog.setAttribute('aria-hidden', 'false');
+}
+
+function handleConfirm(response) {
+    dom.confirmDialog.style.display = 'none';
+    dom.dialogOverlay.style.display = 'none';
+    dom.confirmDialog.setAttribute('aria-hidden', 'true');
+
+    const action = state.confirmAction;
+    state.confirmAction = null;
+    if (response && action) action();
+}
+
+// CSS color strings (as read back from styles) to hex; keeps alpha as '#rrggbbaa'
+function rgbToHex(rgb) {
+    const color = parseColor(rgb);
+    return color ? colorToHex(color) : '#00000000';
+}
+
+// Parses '#rrggbb', '#rrggbbaa', 'rgb()' and 'rgba()' into channels (alpha 0–1).
+function parseColor(color) {
+    if (!color) return null;
+    if (color.startsWith('#')) {
+        const hex = color.slice(1);
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        };
+    }
+    const values = color.match(/[\d.]+/g)?.map(Number) || [0, 0, 0];
+    return { r: values[0], g: values[1], b: values[2], a: values[3] ?? 1 };
+}
+
+// '#rrggbb' for opaque colors, '#rrggbbaa' otherwise
+function colorToHex({ r, g, b, a = 1 }) {
+    const channels = [r, g, b];
+    if (Math.round(a * 255) < 255) channels.push(a * 255);
+    return '#' + channels.map(x => Math.round(x).toString(16).padStart(2, '0')).join('');
+}
+
+// ==================== Pixel Model ====================
+
+// Cels and composites are Uint32Arrays of packed RGBA in ImageData byte order
+// (0xAABBGGRR on little-endian machines), so they can be copied straight into
+// an ImageData through a Uint32Array view. 0 means fully transparent.
+function packRGBA(r, g, b, a = 255) {
+    return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+function packColor({ r, g, b, a = 1 }) {
+    const alpha = Math.round(a * 255);
+    return alpha > 0 ? packRGBA(Math.round(r), Math.round(g), Math.round(b), alpha) : 0;
+}
+
+function unpackColor(value) {
+    if (!(value >>> 24)) return null;
+    return { r: value & 0xff, g: (value >>> 8) & 0xff, b: (value >>> 16) & 0xff, a: (value >>> 24) / 255 };
+}
+
+function hexToPacked(hex) {
+    const color = parseColor(hex);
+    return color ? packColor(color) : 0;
+}
+
+function packedToHex(value) {
+    const color = unpackColor(value);
+    return color ? colorToHex(color) : null;
+}
+
+// Source-over compositing of packed `src` (scaled by `opacity`) on top of `dst`.
+function blendPacked(dst, src, opacity = 1) {
+    const srcA = (src >>> 24) / 255 * opacity;
+    if (srcA <= 0) return dst;
+    if (srcA >= 1) return src;
+
+    const dstA = (dst >>> 24) / 255;
+    const outA = srcA + dstA * (1 - srcA);
+    const dstWeight = dstA * (1 - srcA);
+    const mix = shift => Math.round((((src >>> shift) & 0xff) * srcA + ((dst >>> shift) & 0xff) * dstWeight) / outA);
+    return packRGBA(mix(0), mix(8), mix(16), Math.round(outA * 255));
+}
+
+// The native color input has no alpha, so it only mirrors the RGB part while
+// the slider and the 8-digit hex field carry the alpha channel.
+function selectColor(color, { keepHexInput = false } = {}) {
+    const parsed = parseColor(color);
+    if (!parsed) return;
+
+    state.currentColor = colorToHex(parsed);
+    dom.colorInput.value = state.currentColor.slice(0, 7);
+    if (!keepHexInput) dom.colorHexInput.value = state.currentColor.toUpperCase();
+    dom.alphaSlider.value = Math.round(parsed.a * 255);
+    dom.alphaValue.textContent = `${Math.round(parsed.a * 100)}%`;
+    updateColorPreview();
+    markSelectedSwatch();
+}
+
+function setColorAlpha(alpha) {
+    selectColor(colorToHex({ ...parseColor(state.currentColor), a: alpha / 255 }));
+}
+
+// ==================== Grid Controls ====================
+
+function toggleGrid() {
+    state.gridVisible = !state.gridVisible;
+    dom.grid.classList.toggle('grid-visible', state.gridVisible);
+    dom.toggleGridBtn.classList.toggle('active', state.gridVisible);
+    showToast(t(state.gridVisible ? 'grid.shown' : 'grid.hidden'), 'info');
+}
+
+function clearGrid() {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) {
+        showToast(t('layers.notEditable', { name: layer.name }), 'warning');
+        return;
+    }
+    getCel(layer).fill(0);
+    renderCanvas();
+    pushHistory('options.clearHistory');
+    showToast(t('options.cleared'), 'info');
+}
+
+// ==================== Canvas Resize ====================
+
+// Anchors are numbered 0–8 left to right, top to bottom. The anchored side or
+// corner keeps its pixels in place while the canvas grows or shrinks.
+function openResizeDialog() {
+    dom.resizeWidth.value = clampGridSize(parseInt(document.getElementById('cols').value) || lastValidState.cols);
+    dom.resizeHeight.value = clampGridSize(parseInt(document.getElementById('rows').value) || lastValidState.rows);
+    dom.resizeMode.value = state.resize.mode;
+    renderResizeAnchor();
+    dom.resizeDialog.style.display = 'flex';
+    dom.dialogOverlay.style.display = 'block';
+    dom.resizeDialog.setAttribute('aria-hidden', 'false');
+    dom.resizeWidth.focus();
+}
+
+function closeResizeDialog() {
+    dom.resizeDialog.style.display = 'none';
+    dom.dialogOverlay.style.display = 'none';
+    dom.resizeDialog.setAttribute('aria-hidden', 'true');
+    document.getElementById('rows').value = lastValidState.rows;
+    document.getElementById('cols').value = lastValidState.cols;
+}
+
+function setResizeAnchor(anchor) {
+    state.resize.anchor = anchor;
+    renderResizeAnchor();
+}
+
+function renderResizeAnchor() {
+    const scaling = dom.resizeMode.value === 'scale';
+    dom.resizeAnchor.querySelectorAll('button').forEach(btn => {
+        const active = parseInt(btn.dataset.anchor) === state.resize.anchor;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', active);
+        btn.disabled = scaling;
+    });
+}
+
+function applyResizeDialog() {
+    const cols = clampGridSize(parseInt(dom.resizeWidth.value) || lastValidState.cols);
+    const rows = clampGridSize(parseInt(dom.resizeHeight.value) || lastValidState.rows);
+    state.resize.mode = dom.resizeMode.value;
+    closeResizeDialog();
+
+    if (cols === lastValidState.cols && rows === lastValidState.rows) {
+        showToast(t('resize.sameSize'), 'info');
+        return;
+    }
+    if (state.resize.mode === 'scale') {
+        scaleCanvas(cols, rows);
+    } else {
+        resizeCanvas(cols, rows, state.resize.anchor);
+    }
+}
+
+function resizeCanvas(cols, rows, anchor = 4) {
+    const { rows: oldRows, cols: oldCols } = lastValidState;
+    const offsetX = Math.floor((cols - oldCols) * (anchor % 3) / 2);
+    const offsetY = Math.floor((rows - oldRows) * Math.floor(anchor / 3) / 2);
+    transformDocument(cols, rows, cel => offsetCel(cel, oldCols, oldRows, cols, rows, offsetX, offsetY), 'resize.apply');
+    showToast(t('resize.resized', { cols, rows }), 'success');
+}
+
+function scaleCanvas(cols, rows) {
+    const { rows: oldRows, cols: oldCols } = lastValidState;
+    transformDocument(cols, rows, cel => scaleCel(cel, oldCols, oldRows, cols, rows), 'resize.scaleHistory');
+    showToast(t('resize.scaled', { cols, rows }), 'success');
+}
+
+// Crops away empty borders shared by every layer and frame. The minimum canvas
+// size can leave a margin around very small artwork.
+function trimToContent() {
+    const bounds = getContentBounds();
+    if (!bounds) {
+        showToast(t('resize.emptyCanvas'), 'warning');
+        return;
+    }
+
+    const { rows, cols } = lastValidState;
+    const width = Math.max(MIN_GRID_SIZE, bounds.x1 - bounds.x0 + 1);
+    const height = Math.max(MIN_GRID_SIZE, bounds.y1 - bounds.y0 + 1);
+    if (width === cols && height === rows) {
+        showToast(t('resize.nothingToTrim'), 'info');
+        return;
+    }
+
+    const left = Math.min(bounds.x0, cols - width);
+    const top = Math.min(bounds.y0, rows - height);
+    transformDocument(width, height, cel => offsetCel(cel, cols, rows, width, height, -left, -top), 'resize.trimHistory');
+    showToast(t('resize.trimmed', { width, height }), 'success');
+}
+
+function getContentBounds() {
+    const { rows, cols } = lastValidState;
+    let x0 = cols, y0 = rows, x1 = -1, y1 = -1;
+
+    state.frames.forEach(frame => Object.values(frame.cels).forEach(cel => {
+        for (let y = 0; y < rows; y++) {
+            const row = y * cols;
+            for (let x = 0; x < cols; x++) {
+                if (!cel[row + x]) continue;
+                if (x < x0) x0 = x;
+                if (x > x1) x1 = x;
+                if (y < y0) y0 = y;
+                if (y > y1) y1 = y;
+            }
+        }
+    }));
+    return x1 < 0 ? null : { x0, y0, x1, y1 };
+}
+
+// Copies a cel onto a canvas of the new size shifted by (offsetX, offsetY):
+// pixels pushed outside are cropped and new area is transparent.
+function offsetCel(cel, oldCols, oldRows, cols, rows, offsetX, offsetY) {
+    const result = new Uint32Array(cols * rows);
+    const x0 = Math.max(0, -offsetX);
+    const x1 = Math.min(oldCols, cols - offsetX);
+    if (x1 <= x0) return result;
+
+    for (let y = 0; y < oldRows; y++) {
+        const ny = y + offsetY;
+        if (ny < 0 || ny >= rows) continue;
+        result.set(cel.subarray(y * oldCols + x0, y * oldCols + x1), ny * cols + x0 + offsetX);
+    }
+    return result;
+}
+
+// Nearest-neighbour scaling, sampling each target pixel at its centre
+function scaleCel(cel, oldCols, oldRows, cols, rows) {
+    const result = new Uint32Array(cols * rows);
+    for (let y = 0; y < rows; y++) {
+        const row = Math.floor((y + 0.5) * oldRows / rows) * oldCols;
+        for (let x = 0; x < cols; x++) {
+            result[y * cols + x] = cel[row + Math.floor((x + 0.5) * oldCols / cols)];
+        }
+    }
+    return result;
+}
+
+// Replaces every cel of every frame and switches size as a single undo step
+function transformDocument(cols, rows, transformCel, label) {
+    stopPlayback();
+    state.frames.forEach(frame => {
+        Object.keys(frame.cels).forEach(id => {
+            frame.cels[id] = transformCel(frame.cels[id]);
+        });
+    });
+    setDocumentSize(rows, cols);
+    renderCanvas();
+    renderTimeline();
+    pushHistory(label);
+}
+
+// ==================== Transforms ====================
+
+const TRANSFORM_LABELS = {
+    flipH: 'transform.flippedH',
+    flipV: 'transform.flippedV',
+    rotateCW: 'transform.rotatedCW',
+    rotateCCW: 'transform.rotatedCCW',
+    rotate180: 'transform.rotated180',
+    shift: 'transform.shifted'
+};
+
+// Describes where pixel (x, y) of a width×height area lands, and the area's new
+// size (90° rotations swap width and height). Shifts wrap around the edges.
+function getTransform(type, width, height, dx = 0, dy = 0) {
+    const wrap = (value, size) => ((value % size) + size) % size;
+    switch (type) {
+        case 'flipH':
+            return { width, height, map: (x, y) => [width - 1 - x, y] };
+        case 'flipV':
+            return { width, height, map: (x, y) => [x, height - 1 - y] };
+        case 'rotateCW':
+            return { width: height, height: width, map: (x, y) => [height - 1 - y, x] };
+        case 'rotateCCW':
+            return { width: height, height: width, map: (x, y) => [y, width - 1 - x] };
+        case 'rotate180':
+            return { width, height, map: (x, y) => [width - 1 - x, height - 1 - y] };
+        case 'shift':
+            return { width, height, map: (x, y) => [wrap(x + dx, width), wrap(y + dy, height)] };
+    }
+    return null;
+}
+
+// Transforms the selection on the active layer if there is one, otherwise
+// every layer of every frame.
+function applyTransform(type, dx = 0, dy = 0) {
+    if (state.selection) transformSelection(type, dx, dy);
+    else transformCanvas(type, dx, dy);
+}
+
+function transformCanvas(type, dx, dy) {
+    const { rows, cols } = lastValidState;
+    const transform = getTransform(type, cols, rows, dx, dy);
+    transformDocument(transform.width, transform.height, cel => {
+        const result = new Uint32Array(cel.length);
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const [nx, ny] = transform.map(x, y);
+                result[ny * transform.width + nx] = cel[y * cols + x];
+            }
+        }
+        return result;
+    }, TRANSFORM_LABELS[type]);
+    showToast(t(TRANSFORM_LABELS[type]), 'info');
+}
+
+// Rotated selections stay centred on their old bounds, nudged back inside the
+// canvas where possible; anything still outside is dropped.
+function transformSelection(type, dx, dy) {
+    const layer = getActiveLayer();
+    if (!isLayerEditable(layer)) {
+        showToast(t('layers.notEditable', { name: layer.name }), 'warning');
+        return;
+    }
+
+    const { rows, cols } = lastValidState;
+    const { x0, y0, x1, y1 } = state.selection.bounds;
+    const width = x1 - x0 + 1;
+    const height = y1 - y0 + 1;
+    const transform = getTransform(type, width, height, dx, dy);
+    const left = Math.max(0, Math.min(cols - transform.width, x0 + Math.floor((width - transform.width) / 2)));
+    const top = Math.max(0, Math.min(rows - transform.height, y0 + Math.floor((height - transform.height) / 2)));
+
+    const cel = getCel(layer);
+    const source = cel.slice();
+    const indices = getSelectedIndices();
+    const mask = new Uint8Array(cel.length);
+    indices.forEach(i => {
+        cel[i] = 0;
+    });
+    indices.forEach(i => {
+        const [nx, ny] = transform.map(i % cols - x0, Math.floor(i / cols) - y0);
+        const x = left + nx;
+        const y = top + ny;
+        if (x < 0 || y < 0 || x >= cols || y >= rows) return;
+        const target = y * cols + x;
+        mask[target] = 1;
+        if (source[i]) cel[target] = source[i];
+    });
+
+    setSelection(mask);
+    renderCanvas();
+    pushHistory(TRANSFORM_LABELS[type]);
+    showToast(t('transform.selection', { label: t(TRANSFORM_LABELS[type]) }), 'info');
+}
+
+// ==================== Zoom & Pan ====================
+
+// The view is a translate + scale on gridContainer, which is laid out centered in
+// mainArea. Zooming around a point shifts the pan so that point stays put.
+function adjustZoom(factor, clientX, clientY) {
+    setZoom(state.currentZoom * factor, clientX, clientY);
+}
+
+function setZoom(value, clientX, clientY) {
+    const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, value));
+    if (clientX !== undefined) {
+        const rect = dom.gridContainer.getBoundingClientRect();
+        const ratio = 1 - zoom / state.currentZoom;
+        state.pan.x += (clientX - rect.left - rect.width / 2) * ratio;
+        state.pan.y += (clientY - rect.top - rect.height / 2) * ratio;
+    }
+    state.currentZoom = zoom;
+    applyZoom();
+}
+
+function applyZoom() {
+    const { x, y } = state.pan;
+    dom.gridContainer.style.transform = `translate(${x}px, ${y}px) scale(${state.currentZoom})`;
+    dom.zoomLevel.textContent = `${Math.round(state.currentZoom * 100)}%`;
+    if (dom.zoomSlider) dom.zoomSlider.value = Math.round(Math.log2(state.currentZoom) * 100);
+    updateGridDensity();
+}
+
+// The slider is logarithmic so every doubling gets the same travel
+function setZoomFromSlider(value) {
+    setZoom(2 ** (value / 100));
+}
+
+// Largest zoom that shows the whole canvas, centered
+function fitToScreen() {
+    const margin = 32;
+    const width = dom.mainArea.clientWidth - margin;
+    const height = dom.mainArea.clientHeight - margin;
+    if (!dom.grid.offsetWidth || width <= 0 || height <= 0) return;
+
+    state.pan = { x: 0, y: 0 };
+    setZoom(Math.min(width / dom.grid.offsetWidth, height / dom.grid.offsetHeight));
+}
+
+// One document pixel per screen pixel
+function showActualSize() {
+    if (!dom.grid.offsetWidth) return;
+    state.pan = { x: 0, y: 0 };
+    setZoom(lastValidState.cols / dom.grid.offsetWidth);
+}
+
+function panBy(dx, dy) {
+    state.pan.x += dx;
+    state.pan.y += dy;
+    applyZoom();
+}
+
+// The hand tool, a held Space and the middle button all drag the view
+function isPanPointer(e) {
+    return e.button === 1 || (e.button === 0 && (state.spacePan || state.currentTool === 'pan'));
+}
+
+function startPan(clientX, clientY) {
+    state.panDrag = { x: clientX, y: clientY };
+    updatePanCursor();
+}
+
+function movePan(clientX, clientY) {
+    panBy(clientX - state.panDrag.x, clientY - state.panDrag.y);
+    state.panDrag = { x: clientX, y: clientY };
+}
+
+function endPan() {
+    state.panDrag = null;
+    updatePanCursor();
+}
+
+function setSpacePan(active) {
+    if (state.spacePan === active) return;
+    state.spacePan = active;
+    if (active) drawBrushPreview(-1);
+    updatePanCursor();
+}
+
+function updatePanCursor() {
+    dom.mainArea.classList.toggle('pan-ready', state.spacePan || state.currentTool === 'pan');
+    dom.mainArea.classList.toggle('panning', !!state.panDrag);
+}
+
+// Midpoint and spread of a two-finger gesture
+function getPinch(touches) {
+    const [a, b] = touches;
+    return {
+        x: (a.clientX + b.clientX) / 2,
+        y: (a.clientY + b.clientY) / 2,
+        distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+    };
+}
+
+// ==================== Reference Image ====================
+
+// A tracing aid shown over or under the canvas. It only lives in the DOM, so it
+// never reaches the layers, history, projects or exports. Position is the image
+// centre in document pixels and scale 1 fits the image to the canvas, so it
+// stays aligned when the on-screen cell size changes.
+function handleReferenceUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => loadReferenceImage(url, img.naturalWidth, img.naturalHeight);
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        showToast(t('reference.loadError'), 'error');
+    };
+    img.src = url;
+}
+
+function loadReferenceImage(url, width, height) {
+    const { rows, cols } = lastValidState;
+    const reference = state.reference;
+    if (reference.url) URL.revokeObjectURL(reference.url);
+
+    Object.assign(reference, {
+        url, width, height,
+        fit: Math.min(cols / width, rows / height),
+        visible: true,
+        x: cols / 2,
+        y: rows / 2,
+        scale: 1,
+        rotation: 0
+    });
+    dom.referenceImage.src = url;
+    updateReference();
+    showToast(t('reference.loaded'), 'success');
+}
+
+function removeReference() {
+    const reference = state.reference;
+    if (!reference.url) return;
+    URL.revokeObjectURL(reference.url);
+    reference.url = null;
+    state.referenceDrag = null;
+    dom.referenceImage.removeAttribute('src');
+    updateReference();
+}
+
+function toggleReference() {
+    if (!state.reference.url) {
+        showToast(t('reference.none'), 'info');
+        return;
+    }
+    state.reference.visible = !state.reference.visible;
+    updateReference();
+}
+
+function setReferenceOption(key, value) {
+    const reference = state.reference;
+    switch (key) {
+        case 'opacity':
+            reference.opacity = Math.max(0, Math.min(100, parseInt(value) || 0)) / 100;
+            break;
+        case 'x':
+        case 'y':
+            if (Number.isFinite(parseFloat(value))) reference[key] = parseFloat(value);
+            break;
+        case 'scale':
+            if (Number.isFinite(parseFloat(value))) reference.scale = Math.max(1, Math.min(1000, parseFloat(value))) / 100;
+            break;
+        case 'rotation':
+            reference.rotation = (parseFloat(value) || 0) % 360;
+            break;
+        case 'placement':
+            reference.placement = value === 'below' ? 'below' : 'above';
+            break;
+        case 'locked':
+            reference.locked = !!value;
+            break;
+    }
+    updateReference();
+}
+
+// Unlocked, a drag on the canvas moves the reference instead of painting
+function canDragReference() {
+    const reference = state.reference;
+    return !!reference.url && reference.visible && !reference.locked;
+}
+
+function moveReferenceDrag(clientX, clientY) {
+    const rect = dom.pixelCanvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    const drag = state.referenceDrag;
+    state.reference.x += (clientX - drag.x) / rect.width * lastValidState.cols;
+    state.reference.y += (clientY - drag.y) / rect.height * lastValidState.rows;
+    state.referenceDrag = { x: clientX, y: clientY };
+    updateReference();
+}
+
+function updateReference() {
+    const reference = state.reference;
+    const { rows, cols } = lastValidState;
+    const loaded = !!reference.url;
+
+    dom.referenceLayer.hidden = !loaded || !reference.visible;
+    dom.referenceLayer.classList.toggle('below', reference.placement === 'below');
+    dom.grid.classList.toggle('reference-unlocked', canDragReference());
+    dom.referenceOptions.hidden = !loaded;
+    dom.toggleReferenceBtn.disabled = !loaded;
+    dom.toggleReferenceBtn.classList.toggle('active', loaded && reference.visible);
+    dom.toggleReferenceBtn.textContent = t(loaded && reference.visible ? 'reference.hideButton' : 'reference.showButton');
+    if (!loaded) return;
+
+    const width = reference.width * reference.fit * reference.scale;
+    const height = reference.height * reference.fit * reference.scale;
+    const style = dom.referenceImage.style;
+    style.left = `${(reference.x - width / 2) / cols * 100}%`;
+    style.top = `${(reference.y - height / 2) / rows * 100}%`;
+    style.width = `${width / cols * 100}%`;
+    style.height = `${height / rows * 100}%`;
+    style.transform = `rotate(${reference.rotation}deg)`;
+    style.opacity = reference.opacity;
+
+    const opacity = Math.round(reference.opacity * 100);
+    dom.referenceOpacity.value = opacity;
+    dom.referenceOpacityValue.textContent = `${opacity}%`;
+    dom.referenceX.value = Math.round(reference.x);
+    dom.referenceY.value = Math.round(reference.y);
+    dom.referenceScale.value = Math.round(reference.scale * 100);
+    dom.referenceRotation.value = Math.round(reference.rotation);
+    dom.referencePlacement.value = reference.placement;
+    dom.referenceLocked.checked = reference.locked;
+}
+
+// ==================== Export ====================
+
+// Exports the current frame's visible layers. Settings persist for the session;
+// the bitmap formats share one renderer and SVG is built from color runs.
+const EXPORT_GRID_COLOR = 'rgba(0, 0, 0, 0.25)';
+const MIN_GRID_EXPORT_SCALE = 4;
+
+function openExportDialog() {
+    const settings = state.exportSettings;
+    dom.exportFilename.value = getExportBaseName();
+    dom.exportFormat.value = settings.format;
+    dom.exportScale.value = settings.scale;
+    dom.exportBackground.value = settings.background;
+    dom.exportBackgroundColor.value = settings.backgroundColor;
+    dom.exportGrid.checked = settings.grid;
+    dom.exportTrim.checked = settings.trim;
+    updateExportPreview();
+
+    dom.exportDialog.style.display = 'flex';
+    dom.dialogOverlay.style.display = 'block';
+    dom.exportDialog.setAttribute('aria-hidden', 'false');
+    dom.exportFilename.focus();
+    dom.exportFilename.select();
+}
+
+function closeExportDialog() {
+    dom.exportDialog.style.display = 'none';
+    dom.dialogOverlay.style.display = 'none';
+    dom.exportDialog.setAttribute('aria-hidden', 'true');
+}
+
+function getExportBaseName() {
+    return sanitizeFileName(state.project.name !== t('gallery.untitled') ? state.project.name : '');
+}
+
+function sanitizeFileName(name) {
+    return name.trim().replace(/[\\/:*?"<>|]+/g, '_') || 'pixel-art';
+}
+
+function getExportSettings() {
+    const settings = {
+        format: dom.exportFormat.value,
+        scale: Math.max(1, Math.min(32, parseInt(dom.exportScale.value) || 1)),
+        background: dom.exportBackground.value,
+        backgroundColor: dom.exportBackgroundColor.value,
+        grid: dom.exportGrid.checked,
+        trim: dom.exportTrim.checked
+    };
+    state.exportSettings = settings;
+    return settings;
+}
+
+// The flattened frame cropped to the exported region
+function getExportImage(trim) {
+    const { rows, cols } = lastValidState;
+    const flat = compositeFrame(getCurrentFrame());
+    const bounds = trim ? getPixelBounds(flat, cols, rows) : null;
+    if (!bounds) return { width: cols, height: rows, pixels: flat };
+
+    const width = bounds.x1 - bounds.x0 + 1;
+    const height = bounds.y1 - bounds.y0 + 1;
+    const pixels = new Uint32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = (bounds.y0 + y) * cols + bounds.x0;
+        pixels.set(flat.subarray(row, row + width), y * width);
+    }
+    return { width, height, pixels };
+}
+
+function getPixelBounds(pixels, cols, rows) {
+    let x0 = cols, y0 = rows, x1 = -1, y1 = -1;
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            if (!pixels[y * cols + x]) continue;
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            if (y > y1) y1 = y;
+        }
+    }
+    return x1 < 0 ? null : { x0, y0, x1, y1 };
+}
+
+function renderExportCanvas(image, settings) {
+    const { width, height, pixels } = image;
+    const scale = settings.scale;
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    if (settings.background === 'solid') {
+        ctx.fillStyle = settings.backgroundColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.drawImage(pixelsToCanvas(pixels, width, height), 0, 0, canvas.width, canvas.height);
+
+    if (settings.grid && scale >= MIN_GRID_EXPORT_SCALE) {
+        ctx.fillStyle = EXPORT_GRID_COLOR;
+        for (let x = 1; x < width; x++) ctx.fillRect(x * scale, 0, 1, canvas.height);
+        for (let y = 1; y < height; y++) ctx.fillRect(0, y * scale, canvas.width, 1);
+    }
+    return canvas;
+}
+
+// One path per color. Horizontal runs of a color are merged with identical runs
+// directly below them, so flat areas become a handful of rectangles.
+function buildExportSvg(image, settings) {
+    const { width, height, pixels } = image;
+    const scale = settings.scale;
+    const rects = new Map();
+    let open = new Map();
+
+    for (let y = 0; y <= height; y++) {
+        const next = new Map();
+        for (let x = 0; x < width && y < height;) {
+            const color = pixels[y * width + x];
+            let end = x + 1;
+            while (end < width && pixels[y * width + end] === color) end++;
+            if (color) {
+                const key = `${x},${end},${color}`;
+                const rect = open.get(key) || { x, y, w: end - x, h: 0, color };
+                rect.h++;
+                next.set(key, rect);
+                open.delete(key);
+            }
+            x = end;
+        }
+        open.forEach(rect => {
+            if (!rects.has(rect.color)) rects.set(rect.color, []);
+            rects.get(rect.color).push(rect);
+        });
+        open = next;
+    }
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" ` +
+        `viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`
+    ];
+    if (settings.background === 'solid') {
+        parts.push(`<rect width="${width}" height="${height}" fill="${settings.backgroundColor}"/>`);
+    }
+    rects.forEach((list, packed) => {
+        const { r, g, b, a } = unpackColor(packed);
+        const fill = colorToHex({ r, g, b });
+        const opacity = a < 1 ? ` fill-opacity="${+a.toFixed(3)}"` : '';
+        const d = list.map(rect => `M${rect.x} ${rect.y}h${rect.w}v${rect.h}h${-rect.w}z`).join('');
+        parts.push(`<path fill="${fill}"${opacity} d="${d}"/>`);
+    });
+    if (settings.grid && scale >= MIN_GRID_EXPORT_SCALE) {
+        const lines = [];
+        for (let x = 1; x < width; x++) lines.push(`M${x} 0V${height}`);
+        for (let y = 1; y < height; y++) lines.push(`M0 ${y}H${width}`);
+        if (lines.length) {
+            parts.push(`<path stroke="${EXPORT_GRID_COLOR}" stroke-width="${1 / scale}" d="${lines.join('')}"/>`);
+        }
+    }
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+function updateExportPreview() {
+    const settings = getExportSettings();
+    const image = getExportImage(settings.trim);
+    dom.exportScaleValue.textContent = `${settings.scale}×`;
+    dom.exportBackgroundColor.disabled = settings.background !== 'solid';
+    dom.exportGrid.disabled = settings.scale < MIN_GRID_EXPORT_SCALE;
+    dom.exportCopy.disabled = settings.format === 'svg';
+
+    const preview = renderExportCanvas(image, { ...settings, scale: Math.min(settings.scale, 8) });
+    dom.exportPreview.width = preview.width;
+    dom.exportPreview.height = preview.height;
+    dom.exportPreview.getContext('2d').drawImage(preview, 0, 0);
+    dom.exportInfo.textContent = `${image.width * settings.scale}×${image.height * settings.scale} px` +
+        (settings.grid && dom.exportGrid.disabled ? t('export.gridFrom', { scale: MIN_GRID_EXPORT_SCALE }) : '');
+}
+
+function exportArt() {
+    const settings = getExportSettings();
+    const image = getExportImage(settings.trim);
+    const fileName = `${sanitizeFileName(dom.exportFilename.value)}.${settings.format}`;
+
+    try {
+        if (settings.format === 'svg') {
+            const url = URL.createObjectURL(new Blob([buildExportSvg(image, settings)], { type: 'image/svg+xml' }));
+            downloadFile(url, fileName);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } else {
+            const canvas = renderExportCanvas(image, settings);
+            const dataUrl = canvas.toDataURL(`image/${settings.format}`);
+            // An empty data URL means the canvas is beyond the browser's size
+            // limit; browsers without WebP encoding fall back to PNG instead
+            if (dataUrl === 'data:,') {
+                showToast(t('export.tooLarge', { width: canvas.width, height: canvas.height }), 'error');
+                return;
+            }
+            if (!dataUrl.startsWith(`data:image/${settings.format}`)) {
+                showToast(t('export.noWebp'), 'error');
+                return;
+            }
+            downloadFile(dataUrl, fileName);
+        }
+        closeExportDialog();
+        showToast(t('export.saved', { format: settings.format.toUpperCase() }), 'success');
+    } catch (error) {
+        console.error('Error al exportar:', error);
+        showToast(t('export.error'), 'error');
+    }
+}
+
+async function copyArtToClipboard() {
+    if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+        showToast(t('export.noClipboard'), 'error');
+        return;
+    }
+
+    const settings = getExportSettings();
+    try {
+        const canvas = renderExportCanvas(getExportImage(settings.trim), settings);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        closeExportDialog();
+        showToast(t('export.copied'), 'success');
+    } catch (error) {
+        console.error('Error al copiar la imagen:', error);
+        showToast(t('export.copyError'), 'error');
+    }
+}
+
+// ==================== Save / Load ====================
+
+function handleImageUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    readImagePixels(file).then(openImportDialog).catch(error => {
+        console.error('Error al cargar la imagen:', error);
+        showToast(t('import.loadError'), 'error');
+    });
+}
+
+// Imports the processed image into a new layer above the active one, centred on the canvas.
+function loadImageToGrid({ width, height, pixels }) {
+    const { rows, cols } = lastValidState;
+    const cel = createCel();
+    const values = toDocumentPixels(pixels);
+    const left = Math.floor((cols - width) / 2);
+    const top = Math.floor((rows - height) / 2);
+    for (let y = 0; y < height; y++) {
+        cel.set(values.subarray(y * width, (y + 1) * width), (top + y) * cols + left);
+    }
+
+    insertLayer(createLayer(t('import.layerName')), state.activeLayerIndex + 1, cel);
+    pushHistory('import.history');
+}
+
+// ==================== Image Import ====================
+
+// The dialog keeps the decoded source image and recomputes the preview from it
+// on every change: crop → resample to the target size → optional color reduction.
+function openImportDialog(source) {
+    const { rows, cols } = lastValidState;
+    const scale = Math.min(1, cols / source.width, rows / source.height);
+    state.importing = { source, canvas: pixelsToCanvas(source.pixels, source.width, source.height), result: null };
+
+    dom.importCropX.value = 0;
+    dom.importCropY.value = 0;
+    dom.importCropW.value = source.width;
+    dom.importCropH.value = source.height;
+    dom.importWidth.max = cols;
+    dom.importHeight.max = rows;
+    dom.importWidth.value = Math.max(1, Math.round(source.width * scale));
+    dom.importHeight.value = Math.max(1, Math.round(source.height * scale));
+    updateImportPreview();
+
+    dom.importDialog.style.display = 'flex';
+    dom.dialogOverlay.style.display = 'block';
+    dom.importDialog.setAttribute('aria-hidden', 'false');
+}
+
+function closeImportDialog() {
+    dom.importDialog.style.display = 'none';
+    dom.dialogOverlay.style.display = 'none';
+    dom.importDialog.setAttribute('aria-hidden', 'true');
+    state.importing = null;
+}
+
+function getImportCrop() {
+    const { width, height } = state.importing.source;
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, parseInt(value) || 0));
+    const x = clamp(dom.importCropX.value, 0, width - 1);
+    const y = clamp(dom.importCropY.value, 0, height - 1);
+    return {
+        x,
+        y,
+        w: clamp(dom.importCropW.value || width, 1, width - x),
+        h: clamp(dom.importCropH.value || height, 1, height - y)
+    };
+}
+
+// Keeps the target size proportional to the crop, within the canvas size
+function syncImportAspect(changed) {
+    if (!dom.importKeepAspect.checked) return;
+    const { rows, cols } = lastValidState;
+    const crop = getImportCrop();
+    const ratio = crop.w / crop.h;
+    let width = Math.max(1, Math.min(cols, parseInt(dom.importWidth.value) || 1));
+    let height = Math.max(1, Math.min(rows, parseInt(dom.importHeight.value) || 1));
+
+    if (changed === 'height') width = Math.round(height * ratio);
+    else height = Math.round(width / ratio);
+    if (width > cols) {
+        width = cols;
+        height = Math.round(width / ratio);
+    }
+    if (height > rows) {
+        height = rows;
+        width = Math.round(height * ratio);
+    }
+    dom.importWidth.value = Math.max(1, width);
+    dom.importHeight.value = Math.max(1, height);
+}
+
+function getImportSettings() {
+    const { rows, cols } = lastValidState;
+    return {
+        crop: getImportCrop(),
+        width: Math.max(1, Math.min(cols, parseInt(dom.importWidth.value) || 1)),
+        height: Math.max(1, Math.min(rows, parseInt(dom.importHeight.value) || 1)),
+        resample: dom.importResample.value,
+        reduce: dom.importReduce.value,
+        colorCount: Math.max(2, Math.min(256, parseInt(dom.importColorCount.value) || 16)),
+        dither: dom.importDither.value
+    };
+}
+
+function processImportImage(settings) {
+    const { source, canvas } = state.importing;
+    const { crop, width, height } = settings;
+    const pixels = settings.resample === 'smooth'
+        ? resampleSmooth(canvas, crop, width, height)
+        : resampleImage(source, crop, width, height, settings.resample);
+
+    if (settings.reduce === 'none') return { width, height, pixels };
+
+    let palette;
+    if (settings.reduce === 'palette') {
+        palette = getPaletteRGB(state.paletas[state.currentPalette]);
+    } else {
+        const samples = sampleColors(pixels);
+        palette = settings.reduce === 'kmeans'
+            ? kMeans(samples, settings.colorCount)
+            : medianCut(samples, settings.colorCount);
+    }
+    if (palette.length === 0) return { width, height, pixels };
+    return { width, height, pixels: mapToPalette(pixels, width, height, palette, settings.dither) };
+}
+
+function updateImportPreview() {
+    if (!state.importing) return;
+    const settings = getImportSettings();
+    const result = processImportImage(settings);
+    state.importing.result = result;
+
+    const preview = dom.importPreview;
+    preview.width = result.width;
+    preview.height = result.height;
+    preview.getContext('2d').drawImage(pixelsToCanvas(result.pixels, result.width, result.height), 0, 0);
+    drawImportSource(settings.crop);
+
+    const colors = new Set(result.pixels.filter(value => value !== 0)).size;
+    dom.importInfo.textContent = t('import.info', { width: result.width, height: result.height, colors });
+}
+
+// Source thumbnail with everything outside the crop dimmed
+function drawImportSource(crop) {
+    const { source, canvas } = state.importing;
+    const scale = Math.min(1, 280 / Math.max(source.width, source.height));
+    const target = dom.importSource;
+    target.width = Math.max(1, Math.round(source.width * scale));
+    target.height = Math.max(1, Math.round(source.height * scale));
+
+    const ctx = target.getContext('2d');
+    ctx.imageSmoothingEnabled = scale < 1;
+    ctx.drawImage(canvas, 0, 0, target.width, target.height);
+
+    const x = crop.x * scale, y = crop.y * scale, w = crop.w * scale, h = crop.h * scale;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, 0, target.width, y);
+    ctx.fillRect(0, y + h, target.width, target.height - y - h);
+    ctx.fillRect(0, y, x, h);
+    ctx.fillRect(x + w, y, target.width - x - w, h);
+    ctx.strokeStyle = '#6c5ce7';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, Math.max(0, w - 1), Math.max(0, h - 1));
+}
+
+function applyImportDialog() {
+    const result = state.importing && state.importing.result;
+    closeImportDialog();
+    if (!result) return;
+    loadImageToGrid(result);
+    showToast(t('import.done'), 'success');
+}
+
+// Nearest samples each target pixel's centre; average is an alpha-weighted box filter.
+function resampleImage(source, crop, width, height, mode) {
+    const result = new Uint32Array(width * height);
+    const scaleX = crop.w / width;
+    const scaleY = crop.h / height;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mode === 'nearest') {
+                const sx = crop.x + Math.floor((x + 0.5) * scaleX);
+                const sy = crop.y + Math.floor((y + 0.5) * scaleY);
+                result[y * width + x] = source.pixels[sy * source.width + sx];
+                continue;
+            }
+
+            const sx0 = crop.x + Math.floor(x * scaleX);
+            const sy0 = crop.y + Math.floor(y * scaleY);
+            const sx1 = Math.max(sx0 + 1, crop.x + Math.floor((x + 1) * scaleX));
+            const sy1 = Math.max(sy0 + 1, crop.y + Math.floor((y + 1) * scaleY));
+            let r = 0, g = 0, b = 0, a = 0, count = 0;
+            for (let sy = sy0; sy < sy1; sy++) {
+                for (let sx = sx0; sx < sx1; sx++) {
+                    const value = source.pixels[sy * source.width + sx];
+                    const alpha = value >>> 24;
+                    r += (value & 0xff) * alpha;
+                    g += ((value >>> 8) & 0xff) * alpha;
+                    b += ((value >>> 16) & 0xff) * alpha;
+                    a += alpha;
+                    count++;
+                }
+            }
+            result[y * width + x] = a
+                ? packRGBA(Math.round(r / a), Math.round(g / a), Math.round(b / a), Math.round(a / count))
+                : 0;
+        }
+    }
+    return result;
+}
+
+function resampleSmooth(canvas, crop, width, height) {
+    const target = document.createElement('canvas');
+    target.width = width;
+    target.height = height;
+    const ctx = target.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(canvas, crop.x, crop.y, crop.w, crop.h, 0, 0, width, height);
+
+    const pixels = new Uint32Array(ctx.getImageData(0, 0, width, height).data.buffer.slice(0));
+    for (let i = 0; i < pixels.length; i++) {
+        if (!(pixels[i] >>> 24)) pixels[i] = 0;
+    }
+    return pixels;
+}
+
+// ==================== Color Quantization ====================
+
+// Colors here are [r, g, b] arrays. Pixels below half alpha are treated as
+// transparent; everything else is quantized as opaque.
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+const MAX_QUANTIZE_SAMPLES = 20000;
+
+function getPaletteRGB(colors) {
+    return colors.map(parseColor).filter(c => c && c.a > 0).map(({ r, g, b }) => [r, g, b]);
+}
+
+function sampleColors(pixels) {
+    const opaque = [];
+    for (let i = 0; i < pixels.length; i++) {
+        if ((pixels[i] >>> 24) >= 128) opaque.push(i);
+    }
+    const step = Math.max(1, opaque.length / MAX_QUANTIZE_SAMPLES);
+    const samples = [];
+    for (let i = 0; i < opaque.length; i += step) {
+        const value = pixels[opaque[Math.floor(i)]];
+        samples.push([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff]);
+    }
+    return samples;
+}
+
+// Repeatedly splits the box with the widest channel range at its median
+function medianCut(samples, count) {
+    const unique = [...new Map(samples.map(c => [(c[0] << 16) | (c[1] << 8) | c[2], c])).values()];
+    if (unique.length <= count) return unique;
+
+    const boxes = [samples.slice()];
+    while (boxes.length < count) {
+        let best = -1, bestRange = 0, bestChannel = 0;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255, max = 0;
+                box.forEach(c => {
+                    if (c[channel] < min) min = c[channel];
+                    if (c[channel] > max) max = c[channel];
+                });
+                if (max - min > bestRange) {
+                    best = i;
+                    bestRange = max - min;
+                    bestChannel = channel;
+                }
+            }
+        });
+        if (best < 0) break;
+
+        const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+        const mid = box.length >> 1;
+        boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+    }
+    return boxes.map(averageColor);
+}
+
+// Lloyd's algorithm seeded with the median cut palette
+function kMeans(samples, count, iterations = 8) {
+    const centroids = medianCut(samples, count);
+    if (centroids.length < count) return centroids;
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const clusters = centroids.map(() => []);
+        samples.forEach(c => clusters[nearestColorIndex(centroids, c[0], c[1], c[2])].push(c));
+        clusters.forEach((cluster, i) => {
+            if (cluster.length) centroids[i] = averageColor(cluster);
+        });
+    }
+    return centroids;
+}
+
+function averageColor(colors) {
+    const sum = [0, 0, 0];
+    colors.forEach(c => {
+        sum[0] += c[0];
+        sum[1] += c[1];
+        sum[2] += c[2];
+    });
+    return sum.map(v => Math.round(v / colors.length));
+}
+
+function nearestColorIndex(palette, r, g, b) {
+    let best = 0, bestDist = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+        const dr = palette[i][0] - r, dg = palette[i][1] - g, db = palette[i][2] - b;
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+// Maps pixels to the nearest palette color, optionally with Floyd–Steinberg
+// error diffusion or a 4×4 Bayer threshold.
+function mapToPalette(pixels, width, height, palette, dither = 'none') {
+    const result = new Uint32Array(pixels.length);
+    const packed = palette.map(([r, g, b]) => packRGBA(r, g, b));
+    const cache = new Map();
+    const error = dither === 'floyd' ? new Float32Array(pixels.length * 3) : null;
+    const spread = 128 / Math.cbrt(palette.length);
+    const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+
+    const diffuse = (x, y, er, eg, eb, weight) => {
+        if (x < 0 || x >= width || y >= height) return;
+        const j = (y * width + x) * 3;
+        error[j] += er * weight;
+        error[j + 1] += eg * weight;
+        error[j + 2] += eb * weight;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const value = pixels[i];
+            if ((value >>> 24) < 128) continue;
+
+            let r = value & 0xff, g = (value >>> 8) & 0xff, b = (value >>> 16) & 0xff;
+            if (error) {
+                r += error[i * 3];
+                g += error[i * 3 + 1];
+                b += error[i * 3 + 2];
+            } else if (dither === 'ordered') {
+                const offset = ((BAYER_4X4[(y % 4) * 4 + (x % 4)] + 0.5) / 16 - 0.5) * spread;
+                r += offset;
+                g += offset;
+                b += offset;
+            }
+            r = clamp(r);
+            g = clamp(g);
+            b = clamp(b);
+
+            const key = (r << 16) | (g << 8) | b;
+            let index = cache.get(key);
+            if (index === undefined) {
+                index = nearestColorIndex(palette, r, g, b);
+                cache.set(key, index);
+            }
+            result[i] = packed[index];
+
+            if (error) {
+                const [pr, pg, pb] = palette[index];
+                const er = r - pr, eg = g - pg, eb = b - pb;
+                diffuse(x + 1, y, er, eg, eb, 7 / 16);
+                diffuse(x - 1, y + 1, er, eg, eb, 3 / 16);
+                diffuse(x, y + 1, er, eg, eb, 5 / 16);
+                diffuse(x + 1, y + 1, er, eg, eb, 1 / 16);
+            }
+        }
+    }
+    return result;
+}
+
+// ==================== Project Files ====================
+
+// Project files are versioned JSON. Cels are stored as indices into a shared
+// color table (0 = transparent, n = colors[n - 1]) so exact RGBA survives a
+// round trip and files stay compact. Indexed documents use their palette as the
+// table and store their pixels as they are.
+function encodeSnapshot(snapshot) {
+    if (snapshot.indexed) {
+        return {
+            ...encodeSnapshotLayout(snapshot),
+            colorMode: 'indexed',
+            palette: snapshot.indexed.palette,
+            colors: snapshot.indexed.colors.slice(),
+            frames: snapshot.frames.map(frame => ({
+                id: frame.id,
+                duration: frame.duration,
+                cels: snapshot.layers.map(layer => Array.from(frame.cels[layer.id]))
+            }))
+        };
+    }
+
+    const colors = [];
+    const lookup = new Map();
+    const encodeCel = cel => Array.from(cel, color => {
+        if (!color) return 0;
+        if (!lookup.has(color)) {
+            colors.push(packedToHex(color));
+            lookup.set(color, colors.length);
+        }
+        return lookup.get(color);
+    });
+
+    return {
+        ...encodeSnapshotLayout(snapshot),
+        colors,
+        frames: snapshot.frames.map(frame => ({
+            id: frame.id,
+            duration: frame.duration,
+            cels: snapshot.layers.map(layer => encodeCel(frame.cels[layer.id]))
+        }))
+    };
+}
+
+function encodeSnapshotLayout(snapshot) {
+    return {
+        width: snapshot.cols,
+        height: snapshot.rows,
+        layers: snapshot.layers.map(({ id, name, visible, locked, opacity }) => ({ id, name, visible, locked, opacity })),
+        activeLayerIndex: snapshot.activeLayerIndex,
+        currentFrameIndex: snapshot.currentFrameIndex
+    };
+}
+
+// Snapshots carry their own size (history can span resizes); older files fall
+// back to the project's dimensions.
+function decodeSnapshot(data, width, height, path = t('project.document')) {
+    const fail = message => {
+        throw new Error(`${path}: ${message}`);
+    };
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail(t('project.notAnObject'));
+
+    const cols = data.width ?? width;
+    const rows = data.height ?? height;
+    if (![cols, rows].every(v => Number.isInteger(v) && v >= MIN_GRID_SIZE && v <= MAX_GRID_SIZE)) {
+        fail(t('project.invalidSize', { cols: Number(cols), rows: Number(rows) }));
+    }
+    const pixelCount = cols * rows;
+
+    if (!Array.isArray(data.colors)) fail(t('project.noColors'));
+    const colors = data.colors.map((color, i) => {
+        if (typeof color !== 'string' || !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(color)) fail(t('project.invalidColor', { i }));
+        return hexToPacked(color);
+    });
+
+    let indexed = null;
+    if (data.colorMode === 'indexed') {
+        if (typeof data.palette !== 'string' || !data.palette.trim()) fail(t('project.unnamedPalette'));
+        if (colors.length === 0 || colors.length > MAX_PALETTE_COLORS) fail(t('project.invalidPalette'));
+        indexed = { palette: data.palette.trim().slice(0, 48), colors: data.colors.map(c => c.toLowerCase()) };
+    }
+
+    if (!Array.isArray(data.layers) || data.layers.length === 0) fail(t('project.noLayers'));
+    const ids = new Set();
+    const layers = data.layers.map((layer, i) => {
+        if (!layer || !Number.isInteger(layer.id) || ids.has(layer.id)) fail(t('project.invalidLayerId', { i }));
+        if (typeof layer.name !== 'string') fail(t('project.unnamedLayer', { i }));
+        ids.add(layer.id);
+        return sanitizeLayer(layer);
+    });
+
+    if (!Array.isArray(data.frames) || data.frames.length === 0) fail(t('project.noFrames'));
+    const frames = data.frames.map((frame, f) => {
+        if (!frame || !Number.isInteger(frame.id)) fail(t('project.invalidFrameId', { f }));
+        if (!Array.isArray(frame.cels) || frame.cels.length !== layers.length) {
+            fail(t('project.celCount', { f }));
+        }
+        const cels = {};
+        frame.cels.forEach((cel, l) => {
+            if (!Array.isArray(cel) || cel.length !== pixelCount) {
+                fail(t('project.celSize', { f, l }));
+            }
+            cels[layers[l].id] = Uint32Array.from(cel, value => {
+                if (!Number.isInteger(value) || value < 0 || value > colors.length) {
+                    fail(t('project.colorIndex', { f, l }));
+                }
+                return value === 0 || indexed ? value : colors[value - 1];
+            });
+        });
+        return { id: frame.id, duration: sanitizeFrameDuration(frame.duration), cels };
+    });
+
+    return {
+        rows,
+        cols,
+        indexed,
+        layers,
+        frames,
+        activeLayerIndex: clampIndex(data.activeLayerIndex, layers.length),
+        currentFrameIndex: clampIndex(data.currentFrameIndex, frames.length)
+    };
+}
+
+function sanitizeLayer(layer) {
+    return {
+        id: layer.id,
+        name: layer.name.slice(0, 32),
+        visible: layer.visible !== false,
+        locked: layer.locked === true,
+        opacity: Math.max(0, Math.min(1, Number(layer.opacity ?? 1) || 0))
+    };
+}
+
+function sanitizeFrameDuration(duration) {
+    return Math.max(10, Math.min(10000, parseInt(duration) || DEFAULT_FRAME_DURATION));
+}
+
+function clampIndex(value, length) {
+    return Math.max(0, Math.min(length - 1, parseInt(value) || 0));
+}
+
+// Fields that are missing or of the wrong type keep their current value
+function sanitizeOnionSkin(onionSkin) {
+    if (!onionSkin || typeof onionSkin !== 'object') return null;
+    const flag = key => (typeof onionSkin[key] === 'boolean' ? onionSkin[key] : state.onionSkin[key]);
+    return {
+        active: flag('active'),
+        previous: flag('previous'),
+        next: flag('next'),
+        opacity: Number.isFinite(onionSkin.opacity) ? Math.max(0, Math.min(1, onionSkin.opacity)) : state.onionSkin.opacity
+    };
+}
+
+// Older files called 4-way symmetry 'diagonal' and had no center or segments
+function sanitizeMirrorMode(mirrorMode) {
+    if (!mirrorMode || typeof mirrorMode !== 'object') return null;
+    const type = mirrorMode.type === 'diagonal' ? 'quad' : mirrorMode.type;
+    if (!MIRROR_TYPES.includes(type)) return null;
+    const center = value => (Number.isFinite(value) ? Math.round(value * 2) / 2 : null);
+    return {
+        active: !!mirrorMode.active,
+        type,
+        segments: Math.max(MIN_SYMMETRY_SEGMENTS, Math.min(MAX_SYMMETRY_SEGMENTS, parseInt(mirrorMode.segments) || DEFAULT_SYMMETRY_SEGMENTS)),
+        centerX: center(mirrorMode.centerX),
+        centerY: center(mirrorMode.centerY)
+    };
+}
+
+function serializeProject({ includeHistory = false } = {}) {
+    const project = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        width: lastValidState.cols,
+        height: lastValidState.rows,
+        document: encodeSnapshot(getGridState()),
+        palette: {
+            name: state.currentPalette,
+            colors: state.paletas[state.currentPalette].slice()
+        },
+        settings: {
+            gridVisible: state.gridVisible,
+            tileMode: state.tileMode,
+            mirrorMode: { ...state.mirrorMode },
+            onionSkin: { ...state.onionSkin }
+        }
+    };
+
+    if (includeHistory) {
+        project.history = {
+            index: state.historyIndex,
+            entries: state.history.map(encodeHistoryEntry)
+        };
+    }
+    return project;
+}
+
+// History entries are stored as the diffs they hold in memory. Whole cels are
+// run-length encoded as [value, count, ...] pairs since they are mostly empty.
+function encodeHistoryEntry({ label, params, time, diff }) {
+    if (!diff) return { label, params, time, diff: null };
+    const encodeRuns = cel => {
+        if (!cel) return null;
+        const runs = [];
+        for (let i = 0; i < cel.length; i++) {
+            if (runs.length && runs[runs.length - 2] === cel[i]) runs[runs.length - 1]++;
+            else runs.push(cel[i], 1);
+        }
+        return runs;
+    };
+    return {
+        label,
+        params,
+        time,
+        diff: {
+            before: diff.before,
+            after: diff.after,
+            cels: diff.cels.map(change => change.indices
+                ? {
+                    frame: change.frame,
+                    layer: change.layer,
+                    indices: Array.from(change.indices),
+                    before: Array.from(change.before),
+                    after: Array.from(change.after)
+                }
+                : { frame: change.frame, layer: change.layer, before: encodeRuns(change.before), after: encodeRuns(change.after) }),
+            settings: diff.settings
+        }
+    };
+}
+
+function decodeHistoryEntry(data, path) {
+    const fail = message => {
+        throw new Error(`${path}: ${message}`);
+    };
+    if (!data || typeof data !== 'object') fail(t('project.invalidEntry'));
+    // Labels are message keys; anything else in the file falls back to a plain edit
+    const label = typeof data.label === 'string' && Object.hasOwn(MESSAGES.es, data.label) ? data.label : 'history.edit';
+    const params = data.params && typeof data.params === 'object'
+        ? Object.fromEntries(Object.entries(data.params)
+            .filter(([, value]) => typeof value === 'string' || Number.isFinite(value))
+            .map(([name, value]) => [name, typeof value === 'string' ? value.slice(0, 64) : value]))
+        : undefined;
+    const time = Number.isFinite(data.time) ? data.time : Date.now();
+    if (!data.diff) return { label, params, time, diff: null };
+
+    const structure = { before: decodeHistoryStructure(data.diff.before, fail), after: decodeHistoryStructure(data.diff.after, fail) };
+    const values = (list, what) => {
+        if (list instanceof Uint32Array) return list;
+        if (!Array.isArray(list) || !list.every(v => Number.isInteger(v) && v >= 0 && v <= 0xFFFFFFFF)) fail(t('project.invalidValues', { what }));
+        return Uint32Array.from(list);
+    };
+    const decodeRuns = (runs, side, c) => {
+        if (runs === null || runs === undefined) return null;
+        const length = structure[side].rows * structure[side].cols;
+        // Stored records hold the whole cel rather than runs
+        if (runs instanceof Uint32Array) {
+            if (runs.length !== length) fail(t('project.changeSize', { c }));
+            return runs;
+        }
+        const pairs = values(runs, t('project.changePixels', { c }));
+        const cel = new Uint32Array(length);
+        let offset = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            if (offset + pairs[i + 1] > length) fail(t('project.changeSize', { c }));
+            cel.fill(pairs[i], offset, offset + pairs[i + 1]);
+            offset += pairs[i + 1];
+        }
+        if (offset !== length) fail(t('project.changeSize', { c }));
+        return cel;
+    };
+
+    if (!Array.isArray(data.diff.cels)) fail(t('project.noChanges'));
+    const cels = data.diff.cels.map((change, c) => {
+        if (!change || !Number.isInteger(change.frame) || !Number.isInteger(change.layer)) fail(t('project.invalidChange', { c }));
+        if (!change.indices) {
+            return { frame: change.frame, layer: change.layer, before: decodeRuns(change.before, 'before', c), after: decodeRuns(change.after, 'after', c) };
+        }
+        const indices = values(change.indices, t('project.changeIndices', { c }));
+        const before = values(change.before, t('project.changePixels', { c }));
+        const after = values(change.after, t('project.changePixels', { c }));
+        const pixelCount = structure.after.rows * structure.after.cols;
+        if (before.length !== indices.length || after.length !== indices.length || indices.some(i => i >= pixelCount)) {
+            fail(t('project.changeIndicesInvalid', { c }));
+        }
+        return { frame: change.frame, layer: change.layer, indices, before, after };
+    });
+
+    const settings = data.diff.settings;
+    const diff = {
+        ...structure,
+        cels,
+        settings: settings ? {
+            before: decodeHistorySettings(settings.before, structure.before.indexedPalette),
+            after: decodeHistorySettings(settings.after, structure.after.indexedPalette)
+        } : null,
+        size: getDiffSize(cels)
+    };
+    return { label, params, time, diff };
+}
+
+function decodeHistoryStructure(data, fail) {
+    if (!data || typeof data !== 'object') fail(t('project.invalidStructure'));
+    const { rows, cols } = data;
+    if (![cols, rows].every(v => Number.isInteger(v) && v >= MIN_GRID_SIZE && v <= MAX_GRID_SIZE)) {
+        fail(t('project.invalidSize', { cols: Number(cols), rows: Number(rows) }));
+    }
+    if (!Array.isArray(data.layers) || data.layers.length === 0 ||
+        !data.layers.every(layer => layer && Number.isInteger(layer.id) && typeof layer.name === 'string')) {
+        fail(t('project.invalidLayers'));
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0 || !data.frames.every(frame => frame && Number.isInteger(frame.id))) {
+        fail(t('project.invalidFrames'));
+    }
+    return {
+        rows,
+        cols,
+        indexedPalette: typeof data.indexedPalette === 'string' ? data.indexedPalette : null,
+        layers: data.layers.map(sanitizeLayer),
+        frames: data.frames.map(frame => ({ id: frame.id, duration: sanitizeFrameDuration(frame.duration) })),
+        activeLayerIndex: clampIndex(data.activeLayerIndex, data.layers.length),
+        currentFrameIndex: clampIndex(data.currentFrameIndex, data.frames.length)
+    };
+}
+
+// Unreadable palette colors or mirror settings are dropped rather than failing
+// the load. Older files stored every palette an entry touched by name; only the
+// indexed one is kept.
+function decodeHistorySettings(data, indexedPalette) {
+    const settings = {};
+    if (!data || typeof data !== 'object') return settings;
+    const colors = 'paletteColors' in data ? data.paletteColors
+        : data.palettes && typeof data.palettes === 'object' && indexedPalette in data.palettes ? data.palettes[indexedPalette]
+        : undefined;
+    if (colors === null || (Array.isArray(colors) && colors.every(c => typeof c === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(c)))) {
+        settings.paletteColors = colors && colors.map(c => c.toLowerCase());
+    }
+    const mirrorMode = sanitizeMirrorMode(data.mirrorMode);
+    if (mirrorMode) settings.mirrorMode = mirrorMode;
+    return settings;
+}
+
+// Version 1 files stored a full snapshot per entry; consecutive snapshots are
+// diffed into unlabeled entries.
+function convertSnapshotHistory(snapshots) {
+    const toDocumentState = snapshot => ({
+        ...snapshot,
+        indexedPalette: snapshot.indexed ? snapshot.indexed.palette : null,
+        paletteColors: snapshot.indexed ? snapshot.indexed.colors : null,
+        mirrorMode: {}
+    });
+    return snapshots.map((snapshot, i) => ({
+        label: i === 0 ? 'project.documentLabel' : 'history.edit',
+        time: Date.now(),
+        diff: i === 0 ? null : diffDocumentStates(toDocumentState(snapshots[i - 1]), toDocumentState(snapshot))
+    }));
+}
+
+// Validates a parsed project file and returns it in the in-memory shape.
+// Throws an Error with a user-facing message when the file can't be used.
+function parseProject(data) {
+    if (!data || typeof data !== 'object' || data.format !== PROJECT_FORMAT) {
+        throw new Error(t('project.notProject'));
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error(t('project.invalidVersion'));
+    }
+    if (data.version > PROJECT_VERSION) {
+        throw new Error(t('project.newerVersion', { version: data.version }));
+    }
+
+    const { width, height } = data;
+    if (![width, height].every(v => Number.isInteger(v) && v >= MIN_GRID_SIZE && v <= MAX_GRID_SIZE)) {
+        throw new Error(t('project.invalidDimensions', { width: Number(width), height: Number(height) }));
+    }
+    if (!data.document || typeof data.document !== 'object') {
+        throw new Error(t('project.noDocument'));
+    }
+
+    const project = {
+        width,
+        height,
+        document: decodeSnapshot(data.document, width, height),
+        palette: null,
+        settings: {},
+        history: null
+    };
+    if (project.document.cols !== width || project.document.rows !== height) {
+        throw new Error(t('project.sizeMismatch'));
+    }
+
+    const palette = data.palette;
+    if (palette && typeof palette.name === 'string' && Array.isArray(palette.colors)) {
+        project.palette = {
+            name: palette.name,
+            colors: palette.colors.filter(c => typeof c === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(c)).map(c => c.toLowerCase())
+        };
+    }
+
+    const settings = data.settings || {};
+    if (typeof settings.gridVisible === 'boolean') project.settings.gridVisible = settings.gridVisible;
+    if (typeof settings.tileMode === 'boolean') project.settings.tileMode = settings.tileMode;
+    const mirrorMode = sanitizeMirrorMode(settings.mirrorMode);
+    if (mirrorMode) project.settings.mirrorMode = mirrorMode;
+    const onionSkin = sanitizeOnionSkin(settings.onionSkin);
+    if (onionSkin) project.settings.onionSkin = onionSkin;
+
+    if (data.history && Array.isArray(data.history.entries) && data.history.entries.length) {
+        const { entries } = data.history;
+        project.history = {
+            entries: data.version === 1
+                ? convertSnapshotHistory(entries.map((entry, i) => decodeSnapshot(entry, width, height, t('project.historyEntry', { i }))))
+                : entries.map((entry, i) => decodeHistoryEntry(entry, t('project.historyEntry', { i }))),
+            index: clampIndex(data.history.index, entries.length)
+        };
+        project.history.entries[0].diff = null;
+    }
+    return project;
+}
+
+function applyProject(project) {
+    stopPlayback();
+    setDocumentSize(project.height, project.width);
+
+    const { document: doc } = project;
+    state.layers = doc.layers;
+    state.frames = doc.frames;
+    state.activeLayerIndex = doc.activeLayerIndex;
+    state.currentFrameIndex = doc.currentFrameIndex;
+
+    // Keep new layer/frame ids unique across the document and its history
+    const entries = project.history ? project.history.entries : [];
+    const structures = [doc, ...entries.filter(entry => entry.diff).flatMap(({ diff }) => [diff.before, diff.after])];
+    state.nextLayerId = Math.max(...structures.flatMap(s => s.layers.map(l => l.id))) + 1;
+    state.nextFrameId = Math.max(...structures.flatMap(s => s.frames.map(f => f.id))) + 1;
+
+    if (project.palette) importProjectPalette(project.palette);
+    let indexedPalette = null;
+    if (doc.indexed) {
+        indexedPalette = addImportedPalette(doc.indexed.palette, doc.indexed.colors);
+        if (indexedPalette !== doc.indexed.palette) renameHistoryPalette(entries, doc.indexed.palette, indexedPalette);
+        initPalettes();
+        savePalettes();
+    }
+    setColorMode(indexedPalette);
+    applyProjectSettings(project.settings);
+
+    renderCanvas();
+    renderLayersPanel();
+    renderTimeline();
+
+    if (project.history) {
+        state.history = entries;
+        state.historyRevision++;
+        state.historyIndex = project.history.index;
+        state.historyBase = cloneDocumentState(getDocumentState());
+        updateHistoryButtons();
+        renderHistoryPanel();
+    } else {
+        resetHistory('command.file.openProject');
+    }
+}
+
+// Points history at the name the indexed palette was imported or renamed under
+function renameHistoryPalette(entries, from, to) {
+    entries.forEach(({ diff }) => {
+        if (!diff) return;
+        [diff.before, diff.after].forEach(structure => {
+            if (structure.indexedPalette === from) structure.indexedPalette = to;
+        });
+    });
+}
+
+// Reuses an identical palette by name, otherwise adds the project's palette
+// under a name that doesn't clobber the user's own.
+function importProjectPalette(palette) {
+    let name = palette.name;
+    const existing = state.paletas[name];
+    if (existing && existing.join() !== palette.colors.join()) {
+        name = t('palette.fromProjectFirst', { name: palette.name });
+        let n = 2;
+        while (state.paletas[name] && state.paletas[name].join() !== palette.colors.join()) {
+            name = t('palette.fromProject', { name: palette.name, n: n++ });
+        }
+    }
+    if (!state.paletas[name]) {
+        state.paletas[name] = palette.colors.slice();
+        savePalettes();
+    }
+    state.currentPalette = name;
+    initPalettes();
+}
+
+function applyProjectSettings(settings) {
+    if (settings.gridVisible !== undefined) {
+        state.gridVisible = settings.gridVisible;
+        dom.grid.classList.toggle('grid-visible', state.gridVisible);
+        dom.toggleGridBtn.classList.toggle('active', state.gridVisible);
+    }
+    if (settings.tileMode !== undefined) {
+        state.tileMode = settings.tileMode;
+        updateTileMode();
+    }
+    if (settings.mirrorMode) {
+        state.mirrorMode = settings.mirrorMode;
+        updateSymmetryControls();
+    }
+    if (settings.onionSkin) {
+        state.onionSkin = { ...settings.onionSkin };
+        dom.toggleOnionBtn.classList.toggle('active', state.onionSkin.active);
+        dom.onionPrevious.checked = state.onionSkin.previous;
+        dom.onionNext.checked = state.onionSkin.next;
+    }
+}
+
+function saveProject() {
+    try {
+        const includeHistory = dom.includeHistoryToggle ? dom.includeHistoryToggle.checked : false;
+        const json = JSON.stringify(serializeProject({ includeHistory }));
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        downloadFile(url, `pixel-art-${Date.now()}.pixelart`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast(t('project.saved'), 'success');
+    } catch (error) {
+        console.error('Error al guardar el proyecto:', error);
+        showToast(t('project.saveError'), 'error');
+    }
+}
+
+function handleProjectUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        let data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (error) {
+            showToast(t('project.corrupt'), 'error');
+            return;
+        }
+
+        try {
+            applyProject(parseProject(data));
+            setCurrentProject(generateId(), file.name.replace(/\.(pixelart|json)$/i, ''));
+            scheduleAutosave();
+            showToast(t('project.opened', { name: file.name }), 'success');
+        } catch (error) {
+            console.error('Error al abrir el proyecto:', error);
+            showToast(error.message, 'error');
+        }
+    };
+    reader.onerror = () => showToast(t('common.readError'), 'error');
+    reader.readAsText(file);
+}
+
+// ==================== Autosave & Gallery ====================
+
+// Every document is a record in IndexedDB: { id, name, created, modified,
+// thumbnail, project } where `project` is the serializeProject() output with
+// only the history index; the entries are kept under the same id in HISTORY_STORE.
+let projectDbPromise = null;
+let autosaveTimer = null;
+let autosaveFailed = false;
+
+function generateId() {
+    return window.crypto?.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function openProjectDb() {
+    if (!projectDbPromise) {
+        projectDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error(t('gallery.noIndexedDB')));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+                    db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return projectDbPromise;
+}
+
+// Runs `operation` against the project store (plus any other `stores`, passed in
+// order) and resolves with the result of the request it returns.
+async function withProjectStore(mode, operation, stores = [PROJECT_STORE]) {
+    const db = await openProjectDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(stores, mode);
+        const request = operation(...stores.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getStoredProject(id) {
+    return withProjectStore('readonly', store => store.get(id));
+}
+
+// History entries live in their own store so autosaves can skip them when only
+// the document moved; records from before the split still carry them inline.
+async function loadStoredProject(id) {
+    const record = await getStoredProject(id);
+    const history = record && record.project.history;
+    if (history && !history.entries) {
+        const stored = await withProjectStore('readonly', store => store.get(id), [HISTORY_STORE]);
+        if (stored) history.entries = stored.entries;
+    }
+    return record;
+}
+
+function getAllStoredProjects() {
+    return withProjectStore('readonly', store => store.getAll());
+}
+
+function putStoredProject(record) {
+    return withProjectStore('readwrite', store => store.put(record));
+}
+
+function deleteStoredProject(id) {
+    return withProjectStore('readwrite', (projects, histories) => {
+        histories.delete(id);
+        return projects.delete(id);
+    }, [PROJECT_STORE, HISTORY_STORE]);
+}
+
+// `savedHistory` is the history revision last written for this project
+function setCurrentProject(id, name, created = Date.now()) {
+    state.project = { id, name, created, savedHistory: null };
+    if (dom.projectNameInput) dom.projectNameInput.value = name;
+}
+
+function createThumbnail(maxSize = 64) {
+    const { rows, cols } = lastValidState;
+    const scale = Math.max(1, Math.floor(maxSize / Math.max(rows, cols)));
+    const canvas = document.createElement('canvas');
+    canvas.width = cols * scale;
+    canvas.height = rows * scale;
+    drawFrame(canvas.getContext('2d'), getCurrentFrame(), 0, 0, scale);
+    return canvas.toDataURL('image/png');
+}
+
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY);
+}
+
+// Writes a pending autosave immediately (before switching projects or unloading).
+function flushAutosave() {
+    if (autosaveTimer === null) return Promise.resolve();
+    return autosave();
+}
+
+async function autosave() {
+    clearTimeout(autosaveTimer);
+    // Mid-stroke cels can hold shape previews, so wait for the stroke to end
+    if (state.isDrawing) {
+        scheduleAutosave();
+        return;
+    }
+    autosaveTimer = null;
+
+    // IndexedDB clones the in-memory entries and their typed arrays as they are;
+    // they are only written again after the history itself changed
+    const { id, name, created } = state.project;
+    const revision = state.historyRevision;
+    const writeHistory = state.project.savedHistory !== revision;
+    try {
+        const project = serializeProject();
+        project.history = { index: state.historyIndex };
+        const record = { id, name, created, modified: Date.now(), thumbnail: createThumbnail(), project };
+        await withProjectStore('readwrite', (projects, histories) => {
+            if (writeHistory) histories.put({ id, entries: state.history.slice() });
+            return projects.put(record);
+        }, [PROJECT_STORE, HISTORY_STORE]);
+        if (state.project.id === id) state.project.savedHistory = revision;
+        localStorage.setItem(LAST_PROJECT_KEY, id);
+        autosaveFailed = false;
+        if (dom.galleryPanel?.classList.contains('open')) renderGallery();
+    } catch (error) {
+        console.error('Error al guardar automáticamente:', error);
+        if (!autosaveFailed) showToast(t('gallery.autosaveError'), 'warning');
+        autosaveFailed = true;
+    }
+}
+
+function openStoredProject(record) {
+    try {
+        applyProject(parseProject(record.project));
+        setCurrentProject(record.id, record.name, record.created);
+        localStorage.setItem(LAST_PROJECT_KEY, record.id);
+        return true;
+    } catch (error) {
+        console.error('Error al abrir el proyecto guardado:', error);
+        showToast(t('gallery.openError', { name: record.name, error: error.message }), 'error');
+        return false;
+    }
+}
+
+// Offers to restore the document that was open when the page was last closed.
+async function offerRecovery() {
+    const lastId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (!lastId) return;
+
+    let record;
+    try {
+        record = await loadStoredProject(lastId);
+    } catch (error) {
+        console.error('Error al leer el guardado automático:', error);
+        return;
+    }
+    if (!record) return;
+
+    showConfirm({
+        message: t('gallery.restorePrompt', { name: record.name, date: formatDate(record.modified) }),
+        icon: '♻️',
+        confirmLabel: t('gallery.restore'),
+        cancelLabel: t('gallery.startOver'),
+        danger: false
+    }, () => {
+        if (openStoredProject(record)) showToast(t('gallery.restored', { name: record.name }), 'success');
+    });
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(state.locale, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+async function newProject() {
+    await flushAutosave();
+    setCurrentProject(generateId(), t('gallery.untitled'));
+    safeUpdateGrid();
+    localStorage.removeItem(LAST_PROJECT_KEY);
+    renderGallery();
+    showToast(t('gallery.created'), 'success');
+}
+
+async function openFromGallery(id) {
+    if (id === state.project.id) return;
+    try {
+        await flushAutosave();
+        const record = await loadStoredProject(id);
+        if (record && openStoredProject(record)) {
+            renderGallery();
+            showToast(t('project.opened', { name: record.name }), 'success');
+        }
+    } catch (error) {
+        console.error('Error al leer el proyecto guardado:', error);
+        showToast(t('gallery.readError'), 'error');
+    }
+}
+
+async function renameStoredProject(id, name) {
+    const trimmed = name.trim().slice(0, 48);
+    if (!trimmed) return;
+
+    try {
+        if (id === state.project.id) {
+            state.project.name = trimmed;
+            if (dom.projectNameInput) dom.projectNameInput.value = trimmed;
+            await flushAutosave();
+        }
+        const record = await getStoredProject(id);
+        if (record && record.name !== trimmed) {
+            record.name = trimmed;
+            await putStoredProject(record);
+        }
+    } catch (error) {
+        console.error('Error al renombrar el proyecto:', error);
+        showToast(t('gallery.renameError'), 'error');
+    }
+    renderGallery();
+}
+
+async function duplicateStoredProject(id) {
+    try {
+        if (id === state.project.id) await flushAutosave();
+        // The copy keeps its history inline, as records from before the history store do
+        const record = await loadStoredProject(id);
+        if (!record) return;
+
+        const now = Date.now();
+        const name = t('gallery.copyName', { name: record.name });
+        await putStoredProject({ ...record, id: generateId(), name, created: now, modified: now });
+        renderGallery();
+        showToast(t('gallery.duplicated', { name: record.name }), 'success');
+    } catch (error) {
+        console.error('Error al duplicar el proyecto:', error);
+        showToast(t('gallery.duplicateError'), 'error');
+    }
+}
+
+function deleteFromGallery(id, name) {
+    showConfirm({ message: t('gallery.confirmDelete', { name }) }, async () => {
+        try {
+            await deleteStoredProject(id);
+            // Keep working on the open document, but as a new unsaved project
+            if (id === state.project.id) {
+                setCurrentProject(generateId(), state.project.name);
+                localStorage.removeItem(LAST_PROJECT_KEY);
+            }
+            renderGallery();
+            showToast(t('gallery.deleted', { name }), 'success');
+        } catch (error) {
+            console.error('Error al eliminar el proyecto:', error);
+            showToast(t('gallery.deleteError'), 'error');
+        }
+    });
+}
+
+function toggleGalleryPanel() {
+    const isOpen = dom.galleryPanel.classList.toggle('open');
+    if (isOpen) renderGallery();
+}
+
+async function renderGallery() {
+    if (!dom.galleryList) return;
+
+    let records;
+    try {
+        records = await getAllStoredProjects();
+    } catch (error) {
+        dom.galleryList.innerHTML = `<p class="gallery-empty">${t('gallery.unavailable')}</p>`;
+        return;
+    }
+
+    records.sort((a, b) => b.modified - a.modified);
+    dom.galleryList.innerHTML = '';
+    if (!records.length) {
+        dom.galleryList.innerHTML = `<p class="gallery-empty">${t('gallery.empty')}</p>`;
+        return;
+    }
+
+    records.forEach(record => {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.classList.toggle('active', record.id === state.project.id);
+
+        const thumb = document.createElement('img');
+        thumb.className = 'gallery-thumb';
+        thumb.src = record.thumbnail;
+        thumb.alt = '';
+        thumb.addEventListener('click', () => openFromGallery(record.id));
+
+        const info = document.createElement('div');
+        info.className = 'gallery-info';
+
+        const name = document.createElement('span');
+        name.className = 'gallery-name';
+        name.textContent = record.name;
+        name.title = t('common.renameHint');
+        name.addEventListener('dblclick', () => startGalleryRename(record, name));
+
+        const meta = document.createElement('span');
+        meta.className = 'gallery-meta';
+        const { width, height } = record.project;
+        meta.textContent = `${width}×${height} · ${formatDate(record.modified)}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+        [
+            ['📂', t('gallery.open'), () => openFromGallery(record.id)],
+            ['✏️', t('gallery.rename'), () => startGalleryRename(record, name)],
+            ['📄', t('gallery.duplicate'), () => duplicateStoredProject(record.id)],
+            ['🗑️', t('common.delete'), () => deleteFromGallery(record.id, record.name)]
+        ].forEach(([icon, label, handler]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'layer-toggle';
+            btn.textContent = icon;
+            btn.title = label;
+            btn.setAttribute('aria-label', `${label} "${record.name}"`);
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        });
+
+        info.append(name, meta, actions);
+        item.append(thumb, info);
+        dom.galleryList.appendChild(item);
+    });
+}
+
+function startGalleryRename(record, nameElement) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input';
+    input.value = record.name;
+    input.maxLength = 48;
+
+    let done = false;
+    const finish = save => {
+        if (done) return;
+        done = true;
+        if (save) renameStoredProject(record.id, input.value);
+        else renderGallery();
+    };
+
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+// ==================== Palette Management ====================
+
+function initPalettes() {
+    if (!state.paletas[state.currentPalette]) state.currentPalette = Object.keys(state.paletas)[0];
+
+    dom.paletteSelector.innerHTML = '';
+    Object.keys(state.paletas).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.selected = name === state.currentPalette;
+        dom.paletteSelector.appendChild(option);
+    });
+    dom.deletePaletteBtn.disabled = Object.keys(state.paletas).length <= 1;
+    renderPalette();
+}
+
+// Swatch edits to the palette of an indexed document remap its pixels too;
+// `order` lists the previous positions of the swatches in their new order.
+function finishSwatchEdit(label, order = null) {
+    if (state.currentPalette === state.indexedPalette) {
+        if (order) remapIndexedPixels(order);
+        refreshIndexedColors();
+        renderCanvas();
+    }
+    renderPalette();
+    savePalettes();
+    pushHistory(label);
+}
+
+function uniquePaletteName(base) {
+    let name = base;
+    let n = 2;
+    while (state.paletas[name]) name = `${base} ${n++}`;
+    return name;
+}
+
+function newPalette() {
+    const name = uniquePaletteName(t('palette.new'));
+    state.paletas[name] = [];
+    state.currentPalette = name;
+    initPalettes();
+    savePalettes();
+    startPaletteRename();
+}
+
+function duplicatePalette() {
+    const name = uniquePaletteName(t('palette.copyName', { name: state.currentPalette }));
+    state.paletas[name] = state.paletas[state.currentPalette].slice();
+    state.currentPalette = name;
+    initPalettes();
+    savePalettes();
+    showToast(t('palette.created', { name }), 'success');
+}
+
+function deletePalette() {
+    const name = state.currentPalette;
+    const names = Object.keys(state.paletas);
+    if (names.length <= 1) {
+        showToast(t('palette.lastOne'), 'warning');
+        return;
+    }
+    if (name === state.indexedPalette) {
+        showToast(t('palette.inUse'), 'warning');
+        return;
+    }
+
+    showConfirm({ message: t('palette.confirmDelete', { name }) }, () => {
+        const index = names.indexOf(name);
+        delete state.paletas[name];
+        state.currentPalette = names[index + 1] || names[index - 1];
+        initPalettes();
+        savePalettes();
+        showToast(t('palette.deleted', { name }), 'success');
+    });
+}
+
+// Renames keep the palette in the same position of the selector
+function renamePalette(newName) {
+    const oldName = state.currentPalette;
+    const name = newName.trim();
+    if (!name || name === oldName) {
+        initPalettes();
+        return;
+    }
+    if (state.paletas[name]) {
+        showToast(t('palette.nameTaken'), 'warning');
+        initPalettes();
+        return;
+    }
+
+    state.paletas = Object.fromEntries(Object.entries(state.paletas).map(([key, colors]) =>
+        [key === oldName ? name : key, colors]
+    ));
+    state.currentPalette = name;
+    // The indexed document and its history follow the new name
+    if (state.indexedPalette === oldName) {
+        state.indexedPalette = name;
+        state.historyBase.indexedPalette = name;
+        renameHistoryPalette(state.history, oldName, name);
+        state.historyRevision++;
+    }
+    initPalettes();
+    updateIndexedControls();
+    savePalettes();
+}
+
+function startPaletteRename() {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input palette-name-input';
+    input.value = state.currentPalette;
+    input.maxLength = 48;
+    input.setAttribute('aria-label', t('palette.name'));
+
+    let done = false;
+    const finish = save => {
+        if (done) return;
+        done = true;
+        input.replaceWith(dom.paletteSelector);
+        if (save) renamePalette(input.value);
+    };
+
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    dom.paletteSelector.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+function changePalette(name) {
+    state.currentPalette = name;
+    renderPalette();
+}
+
+function renderPalette() {
+    const container = document.getElementById('colorPalette');
+    container.innerHTML = '';
+    state.paletas[state.currentPalette].forEach((color, index) => {
+        const item = document.createElement('div');
+        item.className = 'color-swatch-container';
+        item.draggable = true;
+        item.addEventListener('dragstart', e => {
+            state.paletteDrag = index;
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => {
+            state.paletteDrag = null;
+            item.classList.remove('dragging');
+        });
+        item.addEventListener('dragover', e => {
+            if (state.paletteDrag === null) return;
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', e => {
+            e.preventDefault();
+            moveSwatch(state.paletteDrag, index);
+        });
+
+        const swatch = document.createElement('div');
+        swatch.className = 'color-swatch';
+        swatch.style.setProperty('--swatch-color', color);
+        swatch.dataset.color = color;
+        swatch.dataset.index = index;
+        swatch.classList.toggle('selected', color === state.currentColor);
+        swatch.title = t('palette.swatchTitle', { color });
+        swatch.addEventListener('click', () => selectColor(color));
+        swatch.addEventListener('contextmenu', e => {
+            e.preventDefault();
+            setSecondaryColor(color);
+        });
+        swatch.addEventListener('dblclick', () => editSwatch(index, swatch));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'delete-color';
+        deleteBtn.setAttribute('aria-label', t('palette.deleteSwatch', { color }));
+        deleteBtn.addEventListener('click', () => deleteColor(index));
+
+        item.append(swatch, deleteBtn);
+        container.appendChild(item);
+    });
+    markUnusedSwatches();
+    renderReplaceSelectors();
+}
+
+function markSelectedSwatch() {
+    document.querySelectorAll('#colorPalette .color-swatch').forEach(swatch => {
+        swatch.classList.toggle('selected', swatch.dataset.color === state.currentColor);
+    });
+}
+
+function moveSwatch(from, to) {
+    const palette = state.paletas[state.currentPalette];
+    if (from === null || from === to || !palette[from]) {
+        renderPalette();
+        return;
+    }
+
+    const order = palette.map((_, i) => i);
+    order.splice(to, 0, order.splice(from, 1)[0]);
+    state.paletas[state.currentPalette] = order.map(i => palette[i]);
+    finishSwatchEdit('palette.reorder', order);
+}
+
+// Opens the native picker over the swatch; the swatch's alpha is kept
+function editSwatch(index, swatch) {
+    const palette = state.paletas[state.currentPalette];
+    const original = parseColor(palette[index]);
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.className = 'swatch-editor';
+    input.value = colorToHex({ ...original, a: 1 });
+
+    const indexed = state.currentPalette === state.indexedPalette;
+    const toHex = () => colorToHex({ ...parseColor(input.value), a: original.a });
+    input.addEventListener('input', () => {
+        swatch.style.setProperty('--swatch-color', toHex());
+        if (indexed) {
+            state.indexedColors[index + 1] = hexToPacked(toHex());
+            renderCanvas();
+        }
+    });
+    input.addEventListener('change', () => {
+        const color = toHex();
+        input.remove();
+        if (color === palette[index]) return;
+        palette[index] = color;
+        selectColor(color);
+        finishSwatchEdit('palette.editColor');
+    });
+    input.addEventListener('blur', () => setTimeout(() => {
+        if (input.isConnected) {
+            input.remove();
+            refreshIndexedColors();
+            renderCanvas();
+            renderPalette();
+        }
+    }, 200));
+
+    swatch.parentElement.appendChild(input);
+    input.click();
+}
+
+function sortPalette(mode) {
+    const palette = state.paletas[state.currentPalette];
+    if (palette.length < 2) return;
+
+    const keyOf = mode === 'hue' ? hueSortKey : color => {
+        const { r, g, b } = parseColor(color);
+        return [0.2126 * r + 0.7152 * g + 0.0722 * b];
+    };
+    const keys = palette.map(keyOf);
+    const order = palette.map((_, i) => i).sort((a, b) => {
+        for (let k = 0; k < keys[a].length; k++) {
+            if (keys[a][k] !== keys[b][k]) return keys[a][k] - keys[b][k];
+        }
+        return a - b;
+    });
+    if (order.every((old, i) => old === i)) return;
+
+    state.paletas[state.currentPalette] = order.map(i => palette[i]);
+    finishSwatchEdit('palette.sort', order);
+    showToast(t(mode === 'hue' ? 'palette.sortedHue' : 'palette.sortedLuma'), 'success');
+}
+
+// Grays first (by lightness), then by hue and lightness
+function hueSortKey(color) {
+    const { r, g, b } = parseColor(color);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    if (max - min < 12) return [0, 0, lightness];
+
+    let hue;
+    if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+    else if (max === g) hue = (b - r) / (max - min) + 2;
+    else hue = (r - g) / (max - min) + 4;
+    return [1, hue, lightness];
+}
+
+function savePalettes() {
+    localStorage.setItem('paletas', JSON.stringify(state.paletas));
+}
+
+// ==================== Indexed Color ====================
+
+// In indexed mode each cel value is a position in state.paletas[state.indexedPalette]
+// plus one (0 stays transparent). state.indexedColors caches that palette packed,
+// so compositing resolves pixels with a lookup and swatch edits recolor the art.
+function refreshIndexedColors() {
+    state.indexedColors = state.indexedPalette
+        ? Uint32Array.from([0, ...state.paletas[state.indexedPalette].map(hexToPacked)])
+        : null;
+}
+
+// `name` is the palette the pixels point into, or null for RGB
+function setColorMode(name) {
+    state.indexedPalette = name && state.paletas[name] ? name : null;
+    refreshIndexedColors();
+    updateIndexedControls();
+}
+
+function resolvePixel(value) {
+    return state.indexedColors ? state.indexedColors[value] || 0 : value;
+}
+
+// Exact match first, otherwise the nearest color by RGB distance; -1 if empty
+function findPaletteIndex(colors, hex) {
+    const exact = colors.indexOf(hex);
+    if (exact !== -1 || colors.length === 0) return exact;
+    const { r, g, b } = parseColor(hex);
+    return nearestColorIndex(getPaletteRGB(colors), r, g, b);
+}
+
+function getPaintValue(color = state.currentColor) {
+    if (!state.indexedPalette) return hexToPacked(color);
+    return findPaletteIndex(state.paletas[state.indexedPalette], color) + 1;
+}
+
+// Converts packed RGBA (pasted or imported) to cel values for the current mode
+function toDocumentPixels(pixels) {
+    if (!state.indexedPalette) return pixels;
+    return mapPixelsToPalette(pixels, state.paletas[state.indexedPalette]).values;
+}
+
+// Mostly transparent pixels become transparent; the rest take the nearest color
+function mapPixelsToPalette(pixels, colors) {
+    const cache = new Map();
+    let approximated = 0;
+    const values = pixels.map(value => {
+        if (cache.has(value)) return cache.get(value);
+        const color = unpackColor(value);
+        let result = 0;
+        if (color && color.a >= 0.5) {
+            const hex = colorToHex(color);
+            result = findPaletteIndex(colors, hex) + 1;
+            if (colors[result - 1] !== hex) approximated++;
+        }
+        cache.set(value, result);
+        return result;
+    });
+    return { values, approximated };
+}
+
+function forEachCel(callback) {
+    state.frames.forEach(frame => Object.keys(frame.cels).forEach(id => {
+        frame.cels[id] = callback(frame.cels[id], id);
+    }));
+}
+
+function toggleIndexedMode() {
+    if (state.indexedPalette) {
+        convertToRGB();
+        return;
+    }
+    if (state.paletas[state.currentPalette].length === 0) {
+        showToast(t('palette.empty'), 'warning');
+        return;
+    }
+    showConfirm({
+        message: t('palette.confirmIndexed', { name: state.currentPalette }),
+        icon: '🔢',
+        confirmLabel: t('palette.convert'),
+        danger: false
+    }, convertToIndexed);
+}
+
+function convertToIndexed() {
+    const name = state.currentPalette;
+    const colors = state.paletas[name];
+    let approximated = 0;
+    forEachCel(cel => {
+        const result = mapPixelsToPalette(cel, colors);
+        approximated += result.approximated;
+        return result.values;
+    });
+
+    state.indexedPalette = name;
+    refreshIndexedColors();
+    updateIndexedControls();
+    renderCanvas();
+    renderPalette();
+    pushHistory('palette.toIndexed');
+    showToast(approximated
+        ? t('palette.indexedApproximated', { count: approximated })
+        : t('palette.indexedOn'), approximated ? 'warning' : 'success');
+}
+
+function convertToRGB() {
+    const lookup = state.indexedColors;
+    forEachCel(cel => cel.map(value => lookup[value] || 0));
+    state.indexedPalette = null;
+    refreshIndexedColors();
+    updateIndexedControls();
+    renderCanvas();
+    renderPalette();
+    pushHistory('palette.toRGB');
+    showToast(t('palette.rgbOn'), 'success');
+}
+
+// `order` lists old palette positions in their new order; dropped positions become transparent
+function remapIndexedPixels(order) {
+    const table = new Uint32Array(state.indexedColors.length);
+    order.forEach((old, position) => {
+        table[old + 1] = position + 1;
+    });
+    forEachCel(cel => cel.map(value => table[value] || 0));
+}
+
+// Flags for every cel value in use, across all frames and layers
+function getUsedPaletteIndices() {
+    const used = new Uint8Array(state.paletas[state.indexedPalette].length + 1);
+    forEachCel(cel => {
+        for (let i = 0; i < cel.length; i++) used[cel[i]] = 1;
+        return cel;
+    });
+    return used;
+}
+
+function markUnusedSwatches() {
+    const swatches = document.querySelectorAll('#colorPalette .color-swatch');
+    const used = state.currentPalette === state.indexedPalette ? getUsedPaletteIndices() : null;
+    swatches.forEach(swatch => {
+        swatch.classList.toggle('unused', !!used && !used[+swatch.dataset.index + 1]);
+    });
+}
+
+function updateIndexedControls() {
+    const indexed = !!state.indexedPalette;
+    dom.toggleIndexedBtn.classList.toggle('active', indexed);
+    dom.toggleIndexedBtn.title = t(indexed ? 'palette.toRGB' : 'palette.toIndexedTitle');
+    dom.indexedPaletteLabel.textContent = indexed
+        ? t('palette.indexedLabel', { name: state.indexedPalette })
+        : t('palette.rgbMode');
+    renderReplaceSelectors();
+}
+
+// Lists the indexed palette (or the current one in RGB mode)
+function renderReplaceSelectors() {
+    const colors = state.paletas[state.indexedPalette || state.currentPalette] || [];
+    [dom.replaceFromSelector, dom.replaceToSelector].forEach((select, s) => {
+        const selected = select.value;
+        select.innerHTML = '';
+        colors.forEach((color, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${i + 1}. ${color}`;
+            select.appendChild(option);
+        });
+        select.value = selected < colors.length ? selected : Math.min(s, colors.length - 1);
+    });
+    dom.replaceColorBtn.disabled = colors.length < 2;
+}
+
+// Recolors every pixel of one palette entry with another, on all unlocked layers
+function replaceColor(from, to) {
+    const colors = state.paletas[state.indexedPalette || state.currentPalette];
+    if (from === to || !colors[from] || !colors[to]) {
+        showToast(t('palette.pickTwo'), 'warning');
+        return;
+    }
+
+    const [source, target] = state.indexedPalette
+        ? [from + 1, to + 1]
+        : [hexToPacked(colors[from]), hexToPacked(colors[to])];
+    const locked = new Set(state.layers.filter(layer => layer.locked).map(layer => String(layer.id)));
+    let count = 0;
+    forEachCel((cel, id) => {
+        if (locked.has(id)) return cel;
+        for (let i = 0; i < cel.length; i++) {
+            if (cel[i] === source) {
+                cel[i] = target;
+                count++;
+            }
+        }
+        return cel;
+    });
+
+    if (!count) {
+        showToast(t('palette.colorNotUsed'), 'info');
+        return;
+    }
+    renderCanvas();
+    pushHistory('palette.replaceHistory');
+    showToast(t('palette.replaced', { count }), 'success');
+}
+
+// ==================== Palette Files ====================
+
+// Parsers return { name, colors } with lowercase hex colors and throw an Error
+// with a user-facing message on malformed input.
+const MAX_PALETTE_COLORS = 256;
+const PALETTE_BUNDLE_FORMAT = 'pixel-art-studio-palettes';
+
+function handlePaletteUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    const extension = (file.name.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    readPaletteFile(file, extension, baseName).then(palettes => {
+        const names = palettes.map(palette => addImportedPalette(palette.name || baseName, palette.colors));
+        state.currentPalette = names[names.length - 1];
+        initPalettes();
+        savePalettes();
+        showToast(names.length === 1
+            ? t('palette.imported', { name: names[0] })
+            : t('palette.importedMany', { count: names.length }), 'success');
+    }).catch(error => {
+        console.error('Error al importar la paleta:', error);
+        showToast(`${file.name}: ${error.message}`, 'error');
+    });
+}
+
+function readPaletteFile(file, extension, baseName) {
+    if (extension === 'png') {
+        return readImagePixels(file).then(image => [parsePngPalette(image, baseName)]);
+    }
+    if (extension === 'ase') {
+        return readFileAs(file, 'buffer').then(buffer => [parseAse(buffer, baseName)]);
+    }
+
+    return readFileAs(file, 'text').then(text => {
+        switch (extension) {
+            case 'gpl': return [parseGpl(text)];
+            case 'hex': return [parseHexList(text)];
+            case 'pal': return [parsePal(text)];
+            case 'json': return parsePaletteBundle(text);
+        }
+        throw new Error(t('palette.unsupported'));
+    });
+}
+
+function readFileAs(file, type) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(new Error(t('common.readError')));
+        if (type === 'buffer') reader.readAsArrayBuffer(file);
+        else reader.readAsText(file);
+    });
+}
+
+// Identical palettes are reused; name clashes get a numeric suffix
+function addImportedPalette(name, colors) {
+    let finalName = name.trim().slice(0, 48) || t('palette.title');
+    let n = 2;
+    while (state.paletas[finalName] && state.paletas[finalName].join() !== colors.join()) {
+        finalName = `${name.trim().slice(0, 44)} (${n++})`;
+    }
+    state.paletas[finalName] = colors.slice();
+    return finalName;
+}
+
+// Every importer keeps the first occurrence of each color
+function checkPaletteColors(colors) {
+    const unique = [...new Set(colors)];
+    if (unique.length === 0) throw new Error(t('palette.noColors'));
+    if (unique.length > MAX_PALETTE_COLORS) throw new Error(t('palette.tooMany', { max: MAX_PALETTE_COLORS }));
+    return unique;
+}
+
+function channelsToHex(values, line) {
+    if (values.some(v => !Number.isInteger(v) || v < 0 || v > 255)) {
+        throw new Error(t('palette.invalidLine', { line }));
+    }
+    return colorToHex({ r: values[0], g: values[1], b: values[2] });
+}
+
+// GIMP: "GIMP Palette" header, optional Name/Columns, "#" comments, "R G B name" rows
+function parseGpl(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[0].trim() !== 'GIMP Palette') throw new Error(t('palette.notGpl'));
+
+    let name = null;
+    const colors = [];
+    lines.slice(1).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#') || /^Columns:/i.test(line)) return;
+        const nameMatch = line.match(/^Name:\s*(.*)$/i);
+        if (nameMatch) {
+            name = nameMatch[1].trim();
+            return;
+        }
+        const parts = line.split(/\s+/).slice(0, 3).map(Number);
+        colors.push(channelsToHex(parts, i + 2));
+    });
+    return { name, colors: checkPaletteColors(colors) };
+}
+
+// One color per line: RRGGBB or RRGGBBAA, with or without "#"
+function parseHexList(text) {
+    const colors = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line) return;
+        if (!/^#?([0-9a-f]{6}|[0-9a-f]{8})$/i.test(line)) throw new Error(t('palette.invalidLine', { line: i + 1 }));
+        colors.push(colorToHex(parseColor('#' + line.replace('#', ''))));
+    });
+    return { name: null, colors: checkPaletteColors(colors) };
+}
+
+// JASC (Paint Shop Pro): "JASC-PAL", "0100", count, then "R G B" rows
+function parsePal(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== 'JASC-PAL' || lines[1] !== '0100') throw new Error(t('palette.notPal'));
+
+    const count = parseInt(lines[2]);
+    if (!Number.isInteger(count) || count < 1) throw new Error(t('palette.invalidCount'));
+    if (lines.length - 3 < count) throw new Error(t('palette.missingColors', { count }));
+
+    const colors = lines.slice(3, 3 + count).map((line, i) => channelsToHex(line.split(/\s+/).map(Number), i + 4));
+    return { name: null, colors: checkPaletteColors(colors) };
+}
+
+// Adobe Swatch Exchange: big-endian blocks; RGB, CMYK and Gray entries are read
+function parseAse(buffer, fallbackName) {
+    const view = new DataView(buffer);
+    const fail = () => {
+        throw new Error(t('palette.aseDamaged'));
+    };
+    if (buffer.byteLength < 12 || String.fromCharCode(...new Uint8Array(buffer, 0, 4)) !== 'ASEF') {
+        throw new Error(t('palette.notAse'));
+    }
+
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let name = null;
+    let offset = 12;
+    for (let b = 0; b < blockCount; b++) {
+        if (offset + 6 > buffer.byteLength) fail();
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        if (start + length > buffer.byteLength) fail();
+        offset = start + length;
+
+        if (type !== 0x0001 && type !== 0xc001) continue;
+        if (start + 2 > offset) fail();
+        const nameLength = view.getUint16(start);
+        if (start + 2 + nameLength * 2 > offset) fail();
+        let title = '';
+        for (let i = 0; i < nameLength - 1; i++) title += String.fromCharCode(view.getUint16(start + 2 + i * 2));
+        if (type === 0xc001) {
+            if (!name) name = title;
+            continue;
+        }
+
+        const pos = start + 2 + nameLength * 2;
+        if (pos + 4 > offset) fail();
+        const model = String.fromCharCode(...new Uint8Array(buffer, pos, 4));
+        const channels = { 'RGB ': 3, Gray: 1, CMYK: 4 }[model] || 0;
+        if (pos + 4 + channels * 4 > offset) fail();
+        const value = i => view.getFloat32(pos + 4 + i * 4);
+        const to255 = v => Math.max(0, Math.min(255, Math.round(v * 255)));
+        if (model === 'RGB ') {
+            colors.push(colorToHex({ r: to255(value(0)), g: to255(value(1)), b: to255(value(2)) }));
+        } else if (model === 'Gray') {
+            const v = to255(value(0));
+            colors.push(colorToHex({ r: v, g: v, b: v }));
+        } else if (model === 'CMYK') {
+            const k = 1 - value(3);
+            colors.push(colorToHex({
+                r: to255((1 - value(0)) * k),
+                g: to255((1 - value(1)) * k),
+                b: to255((1 - value(2)) * k)
+            }));
+        }
+    }
+    return { name: name || fallbackName, colors: checkPaletteColors(colors) };
+}
+
+// Every distinct non-transparent pixel, in reading order
+function parsePngPalette({ pixels }, name) {
+    const colors = [];
+    const seen = new Set();
+    for (let i = 0; i < pixels.length; i++) {
+        if (!pixels[i] || seen.has(pixels[i])) continue;
+        seen.add(pixels[i]);
+        colors.push(packedToHex(pixels[i]));
+        if (colors.length > MAX_PALETTE_COLORS) break;
+    }
+    return { name, colors: checkPaletteColors(colors) };
+}
+
+function parsePaletteBundle(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('palette.invalidJson'));
+    }
+    if (!data || data.format !== PALETTE_BUNDLE_FORMAT || !data.palettes || typeof data.palettes !== 'object') {
+        throw new Error(t('palette.notBundle'));
+    }
+
+    return Object.entries(data.palettes).map(([name, colors]) => {
+        if (!Array.isArray(colors) || !colors.every(c => typeof c === 'string' && /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(c))) {
+            throw new Error(t('palette.invalidColors', { name }));
+        }
+        return { name, colors: checkPaletteColors(colors.map(c => c.toLowerCase())) };
+    });
+}
 
-            if (index % cols > 0) neighbors.push(index - 1);
-            if (index % cols < cols - 1) neighbors.push(index + 1);
-            if (index >= cols) neighbors.push(index - cols);
-            if (index < dom.grid.children.length - cols) neighbors.push(index + cols);
+function exportPalette(format) {
+    const name = state.currentPalette;
+    const colors = state.paletas[name];
+    if (colors.length === 0) {
+        showToast(t('palette.empty'), 'warning');
+        return;
+    }
 
-            neighbors.forEach(idx => {
-                if (!visited.has(dom.grid.children[idx])) {
-                    queue.push(dom.grid.children[idx]);
-                }
-            });
-        }
+    const fileName = name.replace(/[^\w-]+/g, '_') || t('palette.fileName');
+    if (format === 'png') {
+        const canvas = pixelsToCanvas(Uint32Array.from(colors, hexToPacked), colors.length, 1);
+        downloadFile(canvas.toDataURL('image/png'), `${fileName}.png`);
+    } else {
+        const data = format === 'ase' ? writeAse(name, colors) : writePaletteText(format, name, colors);
+        downloadBlob(data, `${fileName}.${format}`);
     }
+    showToast(t('palette.exported', { format: format.toUpperCase() }), 'success');
 }
 
-// ==================== Color Management ====================
+function exportAllPalettes() {
+    const bundle = { format: PALETTE_BUNDLE_FORMAT, version: 1, palettes: state.paletas };
+    downloadBlob(JSON.stringify(bundle, null, 2), 'paletas.json');
+    showToast(t('palette.exportedAll', { count: Object.keys(state.paletas).length }), 'success');
+}
 
-function updateColorPreview() {
-    dom.colorPreview.style.backgroundColor = state.currentColor;
-    updateMobileColorPreview();
+function downloadBlob(data, fileName) {
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+    downloadFile(url, fileName);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-function addToPalette() {
-    const hexColor = state.currentColor.toLowerCase();
-    if (!state.paletas[state.currentPalette].includes(hexColor)) {
-        state.paletas[state.currentPalette].push(hexColor);
-        renderPalette();
-        savePalettes();
-        showToast('Color añadido a la paleta', 'success');
-    } else {
-        showToast('El color ya existe en la paleta', 'warning');
+// GPL, PAL and ASE have no alpha channel; HEX and PNG keep it
+function writePaletteText(format, name, colors) {
+    const rgb = colors.map(parseColor);
+    switch (format) {
+        case 'gpl':
+            return ['GIMP Palette', `Name: ${name}`, 'Columns: 8', '#',
+                ...rgb.map((c, i) => `${[c.r, c.g, c.b].map(v => String(v).padStart(3)).join(' ')}\t${colors[i].slice(1, 7)}`)
+            ].join('\n') + '\n';
+        case 'pal':
+            return ['JASC-PAL', '0100', String(colors.length), ...rgb.map(c => `${c.r} ${c.g} ${c.b}`)].join('\r\n') + '\r\n';
+        default:
+            return colors.map(c => c.slice(1)).join('\n') + '\n';
     }
 }
 
-function deleteColor(colorElement) {
-    const colorStyle = colorElement.querySelector('.color-swatch').style.backgroundColor;
-    state.deleteQueue = {
-        element: colorElement,
-        color: rgbToHex(colorStyle)
+function writeAse(name, colors) {
+    const entries = colors.map(color => ({ color: parseColor(color), title: color.slice(1, 7) }));
+    const blockSize = title => 2 + (title.length + 1) * 2;
+    const groupSize = blockSize(name);
+    const entrySize = 6 + blockSize('000000') + 4 + 12 + 2;
+    const buffer = new ArrayBuffer(12 + (6 + groupSize) + entries.length * entrySize + 6);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeTitle = title => {
+        view.setUint16(offset, title.length + 1);
+        offset += 2;
+        for (let i = 0; i < title.length; i++, offset += 2) view.setUint16(offset, title.charCodeAt(i));
+        offset += 2;
     };
-    dom.confirmDialog.style.display = 'block';
-    dom.dialogOverlay.style.display = 'block';
-    dom.confirmDialog.setAttribute('aria-hidden', 'false');
+
+    [65, 83, 69, 70].forEach(byte => view.setUint8(offset++, byte));
+    view.setUint16(4, 1);
+    view.setUint16(6, 0);
+    view.setUint32(8, entries.length + 2);
+    offset = 12;
+
+    view.setUint16(offset, 0xc001);
+    view.setUint32(offset + 2, groupSize);
+    offset += 6;
+    writeTitle(name);
+
+    entries.forEach(({ color, title }) => {
+        view.setUint16(offset, 0x0001);
+        view.setUint32(offset + 2, entrySize - 6);
+        offset += 6;
+        writeTitle(title);
+        [82, 71, 66, 32].forEach(byte => view.setUint8(offset++, byte));
+        [color.r, color.g, color.b].forEach(v => {
+            view.setFloat32(offset, v / 255);
+            offset += 4;
+        });
+        view.setUint16(offset, 2);
+        offset += 2;
+    });
+
+    view.setUint16(offset, 0xc002);
+    view.setUint32(offset + 2, 0);
+    return buffer;
 }
 
-function handleConfirm(response) {
-    dom.confirmDialog.style.display = 'none';
-    dom.dialogOverlay.style.display = 'none';
-    dom.confirmDialog.setAttribute('aria-hidden', 'true');
+// ==================== Coordinate Tracking ====================
 
-    if (response && state.deleteQueue) {
-        const colorToDelete = state.deleteQueue.color;
-        const palette = state.paletas[state.currentPalette];
-        const colorIndex = palette.findIndex(c => c.toLowerCase() === colorToDelete.toLowerCase());
+function updateCursorCoords(e) {
+    const index = getPixelFromPoint(e.clientX, e.clientY);
+    if (index < 0) return;
 
-        if (colorIndex > -1) {
-            palette.splice(colorIndex, 1);
-            state.deleteQueue.element.remove();
-            savePalettes();
-            showToast('Color eliminado', 'success');
-        }
-    }
-    state.deleteQueue = null;
+    const cols = lastValidState.cols;
+    const x = index % cols;
+    const y = Math.floor(index / cols);
+    dom.cursorCoords.textContent = `${x}, ${y}`;
 }
 
-function rgbToHex(rgb) {
-    if (!rgb || rgb === 'rgba(0, 0, 0, 0)') return '#ffffff';
-    if (rgb.startsWith('#')) return rgb.toLowerCase();
-    const values = rgb.match(/\d+/g)?.map(Number) || [0, 0, 0];
-    return '#' + values.map(x => {
-        const hex = x.toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-    }).join('');
-}
-
-function selectColor(color) {
-    state.currentColor = color;
-    dom.colorInput.value = color;
-    dom.colorHexInput.value = color.toUpperCase();
-    updateColorPreview();
+// ==================== Tool Selection ====================
+
+function selectTool(toolName) {
+    state.currentTool = toolName;
+    drawBrushPreview(-1);
+    updateDitherControls();
+    updateFillControls();
+    updatePanCursor();
+    document.querySelectorAll('.tool-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.tool === toolName);
+    });
+    syncMobileToolButtons(toolName);
 }
 
-// ==================== Grid Controls ====================
+// ==================== Commands & Shortcuts ====================
+
+// Every keyboard-reachable action is a command. Bindings are normalized combos
+// such as 'ctrl+shift+s'; user overrides are stored per command and replace the
+// defaults, and the shortcuts panel and command palette are built from here.
+const COMMANDS = [
+    { id: 'tool.brush', group: 'commandGroup.tools', label: 'command.tool.brush', keys: ['b'], run: () => selectTool('brush') },
+    { id: 'tool.eraser', group: 'commandGroup.tools', label: 'command.tool.eraser', keys: ['e'], run: () => selectTool('eraser') },
+    { id: 'tool.fill', group: 'commandGroup.tools', label: 'command.tool.fill', keys: ['f'], run: () => selectTool('fill') },
+    { id: 'tool.picker', group: 'commandGroup.tools', label: 'command.tool.picker', keys: ['i'], run: () => selectTool('picker') },
+    { id: 'tool.line', group: 'commandGroup.tools', label: 'command.tool.line', keys: ['l'], run: () => selectTool('line') },
+    { id: 'tool.rect', group: 'commandGroup.tools', label: 'command.tool.rect', keys: ['r'], run: () => selectTool('rect') },
+    { id: 'tool.ellipse', group: 'commandGroup.tools', label: 'command.tool.ellipse', keys: ['c'], run: () => selectTool('ellipse') },
+    { id: 'tool.select', group: 'commandGroup.tools', label: 'command.tool.select', keys: ['s'], run: () => selectTool('select') },
+    { id: 'tool.wand', group: 'commandGroup.tools', label: 'command.tool.wand', keys: ['w'], run: () => selectTool('wand') },
+    { id: 'tool.dither', group: 'commandGroup.tools', label: 'command.tool.dither', keys: ['d'], run: () => selectTool('dither') },
+    { id: 'tool.gradient', group: 'commandGroup.tools', label: 'command.tool.gradient', keys: ['n'], run: () => selectTool('gradient') },
+    { id: 'tool.pan', group: 'commandGroup.tools', label: 'command.tool.pan', keys: ['h'], run: () => selectTool('pan') },
+    { id: 'edit.undo', group: 'commandGroup.edit', label: 'command.edit.undo', keys: ['ctrl+z'], run: () => undo() },
+    { id: 'edit.redo', group: 'commandGroup.edit', label: 'command.edit.redo', keys: ['ctrl+y'], run: () => redo() },
+    { id: 'edit.copy', group: 'commandGroup.edit', label: 'command.edit.copy', keys: ['ctrl+c'], run: () => copySelection() },
+    { id: 'edit.cut', group: 'commandGroup.edit', label: 'command.edit.cut', keys: ['ctrl+x'], run: () => copySelection(true) },
+    { id: 'edit.selectAll', group: 'commandGroup.edit', label: 'command.edit.selectAll', keys: ['ctrl+a'], run: () => selectAll() },
+    {
+        id: 'edit.deleteSelection', group: 'commandGroup.edit', label: 'command.edit.deleteSelection', keys: ['delete', 'backspace'],
+        run: () => { if (state.selection) deleteSelection(); }
+    },
+    {
+        id: 'edit.cancel', group: 'commandGroup.edit', label: 'command.edit.cancel', keys: ['escape'],
+        run: () => { if (state.shape) cancelShape(); else clearSelection(); }
+    },
+    { id: 'color.swap', group: 'commandGroup.color', label: 'command.color.swap', keys: ['x'], run: () => swapColors() },
+    ...Array.from({ length: 10 }, (_, i) => ({
+        id: `color.swatch${i + 1}`,
+        group: 'commandGroup.color',
+        label: 'command.color.swatch',
+        params: { n: i + 1 },
+        keys: [String((i + 1) % 10)],
+        run: () => selectPaletteSwatch(i)
+    })),
+    { id: 'palette.addColor', group: 'commandGroup.color', label: 'command.palette.addColor', keys: [], run: () => addToPalette() },
+    { id: 'palette.new', group: 'commandGroup.color', label: 'command.palette.new', keys: [], run: () => newPalette() },
+    { id: 'palette.duplicate', group: 'commandGroup.color', label: 'command.palette.duplicate', keys: [], run: () => duplicatePalette() },
+    { id: 'palette.rename', group: 'commandGroup.color', label: 'command.palette.rename', keys: [], run: () => startPaletteRename() },
+    { id: 'palette.delete', group: 'commandGroup.color', label: 'command.palette.delete', keys: [], run: () => deletePalette() },
+    { id: 'palette.sortHue', group: 'commandGroup.color', label: 'command.palette.sortHue', keys: [], run: () => sortPalette('hue') },
+    { id: 'palette.sortLuma', group: 'commandGroup.color', label: 'command.palette.sortLuma', keys: [], run: () => sortPalette('luma') },
+    { id: 'palette.indexed', group: 'commandGroup.color', label: 'command.palette.indexed', keys: [], run: () => toggleIndexedMode() },
+    { id: 'palette.import', group: 'commandGroup.color', label: 'command.palette.import', keys: [], run: () => dom.paletteLoader.click() },
+    {
+        id: 'palette.export', group: 'commandGroup.color', label: 'command.palette.export', keys: [],
+        run: () => exportPalette(dom.paletteFormatSelector.value)
+    },
+    { id: 'palette.exportAll', group: 'commandGroup.color', label: 'command.palette.exportAll', keys: [], run: () => exportAllPalettes() },
+    { id: 'view.grid', group: 'commandGroup.view', label: 'command.view.grid', keys: ['g'], run: () => toggleGrid() },
+    { id: 'view.mirror', group: 'commandGroup.view', label: 'command.view.mirror', keys: ['m'], run: () => toggleMirrorMode() },
+    { id: 'view.tile', group: 'commandGroup.view', label: 'command.view.tile', keys: ['t'], run: () => toggleTileMode() },
+    { id: 'view.onion', group: 'commandGroup.view', label: 'command.view.onion', keys: ['o'], run: () => toggleOnionSkin() },
+    { id: 'view.reference', group: 'commandGroup.view', label: 'command.view.reference', keys: ['u'], run: () => toggleReference() },
+    { id: 'view.zoomIn', group: 'commandGroup.view', label: 'command.view.zoomIn', keys: ['+', '='], run: () => adjustZoom(ZOOM_STEP) },
+    { id: 'view.zoomOut', group: 'commandGroup.view', label: 'command.view.zoomOut', keys: ['-'], run: () => adjustZoom(1 / ZOOM_STEP) },
+    { id: 'view.fit', group: 'commandGroup.view', label: 'command.view.fit', keys: ['ctrl+0'], run: () => fitToScreen() },
+    { id: 'view.actualSize', group: 'commandGroup.view', label: 'command.view.actualSize', keys: ['ctrl+alt+0'], run: () => showActualSize() },
+    { id: 'layer.add', group: 'commandGroup.layers', label: 'command.layer.add', keys: ['shift+n'], run: () => addLayer() },
+    { id: 'layer.duplicate', group: 'commandGroup.layers', label: 'command.layer.duplicate', keys: [], run: () => duplicateLayer() },
+    { id: 'layer.delete', group: 'commandGroup.layers', label: 'command.layer.delete', keys: [], run: () => deleteLayer() },
+    { id: 'layer.moveUp', group: 'commandGroup.layers', label: 'command.layer.moveUp', keys: [], run: () => moveLayer(1) },
+    { id: 'layer.moveDown', group: 'commandGroup.layers', label: 'command.layer.moveDown', keys: [], run: () => moveLayer(-1) },
+    { id: 'layer.mergeDown', group: 'commandGroup.layers', label: 'command.layer.mergeDown', keys: ['ctrl+e'], run: () => mergeLayerDown() },
+    { id: 'frame.previous', group: 'commandGroup.animation', label: 'command.frame.previous', keys: [','], run: () => selectFrame(state.currentFrameIndex - 1) },
+    { id: 'frame.next', group: 'commandGroup.animation', label: 'command.frame.next', keys: ['.'], run: () => selectFrame(state.currentFrameIndex + 1) },
+    { id: 'frame.add', group: 'commandGroup.animation', label: 'command.frame.add', keys: ['shift+f'], run: () => addFrame() },
+    { id: 'frame.duplicate', group: 'commandGroup.animation', label: 'command.frame.duplicate', keys: [], run: () => duplicateFrame() },
+    { id: 'frame.delete', group: 'commandGroup.animation', label: 'command.frame.delete', keys: [], run: () => deleteFrame() },
+    { id: 'frame.moveLeft', group: 'commandGroup.animation', label: 'command.frame.moveLeft', keys: [], run: () => moveFrame(-1) },
+    { id: 'frame.moveRight', group: 'commandGroup.animation', label: 'command.frame.moveRight', keys: [], run: () => moveFrame(1) },
+    { id: 'frame.play', group: 'commandGroup.animation', label: 'command.frame.play', keys: ['p'], run: () => togglePlayback() },
+    { id: 'transform.flipH', group: 'commandGroup.transform', label: 'command.transform.flipH', keys: ['shift+h'], run: () => applyTransform('flipH') },
+    { id: 'transform.flipV', group: 'commandGroup.transform', label: 'command.transform.flipV', keys: ['shift+v'], run: () => applyTransform('flipV') },
+    { id: 'transform.rotateCCW', group: 'commandGroup.transform', label: 'command.transform.rotateCCW', keys: ['['], run: () => applyTransform('rotateCCW') },
+    { id: 'transform.rotateCW', group: 'commandGroup.transform', label: 'command.transform.rotateCW', keys: [']'], run: () => applyTransform('rotateCW') },
+    { id: 'transform.rotate180', group: 'commandGroup.transform', label: 'command.transform.rotate180', keys: ['shift+r'], run: () => applyTransform('rotate180') },
+    { id: 'transform.shiftLeft', group: 'commandGroup.transform', label: 'command.transform.shiftLeft', keys: ['shift+arrowleft'], run: () => applyTransform('shift', -1, 0) },
+    { id: 'transform.shiftRight', group: 'commandGroup.transform', label: 'command.transform.shiftRight', keys: ['shift+arrowright'], run: () => applyTransform('shift', 1, 0) },
+    { id: 'transform.shiftUp', group: 'commandGroup.transform', label: 'command.transform.shiftUp', keys: ['shift+arrowup'], run: () => applyTransform('shift', 0, -1) },
+    { id: 'transform.shiftDown', group: 'commandGroup.transform', label: 'command.transform.shiftDown', keys: ['shift+arrowdown'], run: () => applyTransform('shift', 0, 1) },
+    { id: 'canvas.resize', group: 'commandGroup.canvas', label: 'command.canvas.resize', keys: ['ctrl+alt+c'], run: () => openResizeDialog() },
+    { id: 'canvas.trim', group: 'commandGroup.canvas', label: 'command.canvas.trim', keys: [], run: () => trimToContent() },
+    { id: 'canvas.clear', group: 'commandGroup.canvas', label: 'command.canvas.clear', keys: [], run: () => clearGrid() },
+    { id: 'file.export', group: 'commandGroup.file', label: 'command.file.export', keys: ['ctrl+s'], run: () => openExportDialog() },
+    { id: 'file.saveProject', group: 'commandGroup.file', label: 'command.file.saveProject', keys: ['ctrl+shift+s'], run: () => saveProject() },
+    { id: 'file.openProject', group: 'commandGroup.file', label: 'command.file.openProject', keys: ['ctrl+o'], run: () => dom.projectLoader.click() },
+    { id: 'file.newProject', group: 'commandGroup.file', label: 'command.file.newProject', keys: [], run: () => newProject() },
+    { id: 'file.gallery', group: 'commandGroup.file', label: 'command.file.gallery', keys: [], run: () => toggleGalleryPanel() },
+    { id: 'file.importImage', group: 'commandGroup.file', label: 'command.file.importImage', keys: ['ctrl+i'], run: () => dom.imageLoader.click() },
+    { id: 'file.exportGif', group: 'commandGroup.file', label: 'command.file.exportGif', keys: [], run: () => exportGif() },
+    { id: 'file.exportSheet', group: 'commandGroup.file', label: 'command.file.exportSheet', keys: [], run: () => exportSpriteSheet() },
+    { id: 'app.commandPalette', group: 'commandGroup.general', label: 'command.app.commandPalette', keys: ['ctrl+k'], run: () => openCommandPalette() },
+    { id: 'app.shortcuts', group: 'commandGroup.general', label: 'command.app.shortcuts', keys: ['?'], run: () => toggleShortcutsPanel() },
+    { id: 'app.keyBindings', group: 'commandGroup.general', label: 'command.app.keyBindings', keys: [], run: () => openKeyBindingsDialog() }
+];
+
+// Pointer gestures and browser-handled keys that can't be rebound
+const FIXED_SHORTCUTS = [
+    ['shift', 'shortcuts.constrain'],
+    ['ctrl+v', 'command.edit.paste'],
+    ['alt+drag', 'shortcuts.moveCenter'],
+    ['space+drag', 'shortcuts.pan'],
+    ['ctrl+wheel', 'shortcuts.zoomCursor']
+];
+
+// Names that differ per language are message keys; t() returns the rest as is
+const KEY_NAMES = {
+    ctrl: 'Ctrl', alt: 'Alt', shift: 'key.shift', space: 'key.space', escape: 'Esc', delete: 'key.delete',
+    backspace: 'key.backspace', enter: 'key.enter', tab: 'Tab', drag: 'key.drag', wheel: 'key.wheel',
+    arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓'
+};
 
-function toggleGrid() {
-    state.gridVisible = !state.gridVisible;
-    dom.grid.classList.toggle('grid-visible', state.gridVisible);
-    dom.toggleGridBtn.classList.toggle('active', state.gridVisible);
-    showToast(state.gridVisible ? 'Grid visible' : 'Grid oculto', 'info');
+let keyMap = new Map();
+
+function getCommand(id) {
+    return COMMANDS.find(command => command.id === id);
 }
 
-function toggleMirrorMode() {
-    state.mirrorMode.active = !state.mirrorMode.active;
-    dom.toggleMirrorBtn.classList.toggle('active');
-    showToast(state.mirrorMode.active ? 'Modo espejo activado' : 'Modo espejo desactivado', 'info');
+function getCommandLabel(command) {
+    return t(command.label, command.params);
 }
 
-function changeMirrorType(type) {
-    state.mirrorMode.type = type;
+function getCommandKeys(command) {
+    return state.keyBindings[command.id] || command.keys;
 }
 
-function clearGrid() {
-    pushHistory();
-    document.querySelectorAll('.pixel').forEach(pixel => {
-        pixel.style.backgroundColor = '#ffffff';
-    });
-    showToast('Cuadrícula limpiada', 'info');
+// Normalized combo of a keydown, or null for a lone modifier. Shift is part of
+// typing symbols such as + or ?, so it only counts for letters and named keys.
+function getKeyCombo(e) {
+    let key = e.key.toLowerCase();
+    if (['control', 'shift', 'alt', 'meta', 'altgraph'].includes(key)) return null;
+    if (key === ' ') key = 'space';
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('ctrl');
+    if (e.altKey) parts.push('alt');
+    if (e.shiftKey && (key.length > 1 || /[a-z]/.test(key))) parts.push('shift');
+    parts.push(key);
+    return parts.join('+');
 }
 
-// ==================== Zoom ====================
+// 'ctrl++' splits into ['ctrl', '+']
+function formatKeyCombo(combo) {
+    return combo.split(/\+(?=.)/).map(part => KEY_NAMES[part] ? t(KEY_NAMES[part]) : part.toUpperCase()).join('+');
+}
 
-function adjustZoom(amount) {
-    state.currentZoom = Math.max(0.5, Math.min(3, state.currentZoom + amount));
-    applyZoom();
+function formatCommandKeys(command) {
+    return getCommandKeys(command).map(formatKeyCombo).join(' / ');
 }
 
-function setZoom(value) {
-    state.currentZoom = Math.max(0.5, Math.min(3, value));
-    applyZoom();
+// Buttons tied to a command show its current keys in their tooltip
+function updateCommandTitles() {
+    document.querySelectorAll('[data-command]').forEach(element => {
+        const title = t(element.dataset.i18nTitle);
+        const keys = formatCommandKeys(getCommand(element.dataset.command));
+        element.title = keys ? t('keys.titleWithKeys', { title, keys }) : title;
+    });
 }
 
-function applyZoom() {
-    dom.gridContainer.style.transform = `scale(${state.currentZoom})`;
-    dom.zoomLevel.textContent = `${Math.round(state.currentZoom * 100)}%`;
-    if (dom.zoomSlider) dom.zoomSlider.value = Math.round(state.currentZoom * 100);
+// Space held down pans the canvas before the key map is consulted
+const SPACE_COMBOS = ['space', 'shift+space'];
+
+// Browsers keep these for tabs and windows, and Ctrl+V arrives as a paste event
+const BROWSER_COMBOS = [
+    'ctrl+v', 'ctrl+w', 'ctrl+shift+w', 'ctrl+t', 'ctrl+shift+t', 'ctrl+n', 'ctrl+shift+n',
+    'ctrl+q', 'ctrl+r', 'ctrl+l', 'ctrl+tab', 'ctrl+shift+tab', 'f5', 'f11', 'f12'
+];
+
+function isReservedCombo(combo) {
+    return SPACE_COMBOS.includes(combo) || BROWSER_COMBOS.includes(combo);
 }
 
-// ==================== Save / Load ====================
+function loadKeyBindings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY)) || {};
+        const bindings = {};
+        Object.entries(saved).forEach(([id, keys]) => {
+            if (getCommand(id) && Array.isArray(keys)) {
+                bindings[id] = keys.filter(key => typeof key === 'string' && !isReservedCombo(key));
+            }
+        });
+        return bindings;
+    } catch (error) {
+        console.error('Error al cargar los atajos:', error);
+        return {};
+    }
+}
 
-function saveArt() {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const scale = 20;
-    const cols = parseInt(document.getElementById('cols').value);
-    const rows = parseInt(document.getElementById('rows').value);
+function buildKeyMap() {
+    keyMap = new Map();
+    COMMANDS.forEach(command => {
+        getCommandKeys(command).forEach(combo => keyMap.set(combo, command));
+    });
+}
 
-    canvas.width = cols * scale;
-    canvas.height = rows * scale;
-    ctx.imageSmoothingEnabled = false;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+// Overrides equal to the defaults are dropped so later default changes apply
+function setCommandKeys(id, keys) {
+    const command = getCommand(id);
+    if (keys.join() === command.keys.join()) delete state.keyBindings[id];
+    else state.keyBindings[id] = keys;
+
+    localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(state.keyBindings));
+    buildKeyMap();
+    renderShortcutsPanel();
+    renderKeyBindings();
+    updateCommandTitles();
+}
 
-    document.querySelectorAll('.pixel').forEach((pixel, index) => {
-        const x = (index % cols) * scale;
-        const y = Math.floor(index / cols) * scale;
+function resetKeyBindings() {
+    state.keyBindings = {};
+    state.keyCapture = null;
+    state.keyConflict = null;
+    localStorage.removeItem(KEY_BINDINGS_KEY);
+    buildKeyMap();
+    renderShortcutsPanel();
+    renderKeyBindings();
+    updateCommandTitles();
+    showToast(t('keys.resetDone'), 'success');
+}
 
-        const pixelColor = pixel.style.backgroundColor;
+function handleKeyboard(e) {
+    if (state.keyCapture) {
+        captureKeyBinding(e);
+        return;
+    }
+    if (dom.keyBindingsDialog.style.display === 'flex') {
+        if (e.key === 'Escape') closeKeyBindingsDialog();
+        return;
+    }
+    // Every other dialog handles its own keys while the overlay is up
+    if (dom.dialogOverlay.style.display === 'block') return;
 
-        if (!pixelColor || pixelColor.toLowerCase() === 'rgb(255, 255, 255)' || pixelColor.toLowerCase() === '#ffffff') {
-            ctx.fillStyle = 'rgba(0, 0, 0, 0)';
-        } else {
-            ctx.fillStyle = pixelColor;
-        }
+    // Don't trigger shortcuts when typing in inputs
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
 
-        ctx.fillRect(x, y, scale, scale);
-    });
+    // Space is held rather than pressed, so it stays out of the registry
+    if (e.key === ' ' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        if (!state.isDrawing) setSpacePan(true);
+        return;
+    }
 
-    const link = document.createElement('a');
-    link.download = `pixel-art-${Date.now()}.png`;
-    link.href = canvas.toDataURL('image/png');
-    link.click();
-    showToast('Arte guardado como PNG', 'success');
+    const command = keyMap.get(getKeyCombo(e));
+    if (!command) return;
+    e.preventDefault();
+    command.run();
 }
 
-function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+// ==================== Color Shortcuts ====================
 
-    const reader = new FileReader();
-    reader.onload = function (e) {
-        const img = new Image();
-        img.src = e.target.result;
-        img.onload = function () {
-            loadImageToGrid(img);
-            showToast('Imagen cargada correctamente', 'success');
-        };
-    };
-    reader.readAsDataURL(file);
+function selectPaletteSwatch(index) {
+    const color = state.paletas[state.currentPalette][index];
+    if (color) selectColor(color);
 }
 
-function loadImageToGrid(image) {
-    const cols = parseInt(document.getElementById('cols').value);
-    const rows = parseInt(document.getElementById('rows').value);
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+function swapColors() {
+    const primary = state.currentColor;
+    selectColor(state.secondaryColor);
+    setSecondaryColor(primary);
+}
 
-    canvas.width = cols;
-    canvas.height = rows;
-    ctx.drawImage(image, 0, 0, cols, rows);
+// ==================== Shortcuts Panel ====================
 
-    const imageData = ctx.getImageData(0, 0, cols, rows);
-    const pixels = imageData.data;
+function toggleShortcutsPanel() {
+    dom.shortcutsPanel.classList.toggle('open');
+}
 
-    dom.grid.innerHTML = '';
+function createShortcutItem(keys, label) {
+    const item = document.createElement('div');
+    item.className = 'shortcut-item';
+    const kbd = document.createElement('kbd');
+    kbd.textContent = keys;
+    const span = document.createElement('span');
+    span.textContent = label;
+    item.append(kbd, span);
+    return item;
+}
 
-    for (let i = 0; i < pixels.length; i += 4) {
-        const pixel = createPixel();
-        const color = `rgba(${pixels[i]}, ${pixels[i + 1]}, ${pixels[i + 2]}, ${pixels[i + 3] / 255})`;
-        pixel.style.backgroundColor = color;
-        dom.grid.appendChild(pixel);
-    }
+function renderShortcutsPanel() {
+    const list = dom.shortcutsList;
+    list.innerHTML = '';
+    let group = null;
+    COMMANDS.forEach(command => {
+        if (!getCommandKeys(command).length) return;
+        if (command.group !== group) {
+            group = command.group;
+            const heading = document.createElement('h4');
+            heading.className = 'shortcut-group';
+            heading.textContent = t(group);
+            list.appendChild(heading);
+        }
+        list.appendChild(createShortcutItem(formatCommandKeys(command), getCommandLabel(command)));
+    });
 
-    state.history = [getGridState()];
-    state.historyIndex = 0;
-    updateHistoryButtons();
+    const heading = document.createElement('h4');
+    heading.className = 'shortcut-group';
+    heading.textContent = t('shortcuts.gestures');
+    list.appendChild(heading);
+    FIXED_SHORTCUTS.forEach(([keys, label]) => list.appendChild(createShortcutItem(formatKeyCombo(keys), t(label))));
 }
 
-// ==================== Palette Management ====================
+// ==================== Key Bindings Dialog ====================
 
-function initPalettes() {
-    dom.paletteSelector.innerHTML = Object.keys(state.paletas).map(p =>
-        `<option ${p === state.currentPalette ? 'selected' : ''}>${p}</option>`
-    ).join('');
-    renderPalette();
+// Clicking a binding waits for the next key combo; Esc cancels. A combo that
+// belongs to another command asks before moving it.
+function openKeyBindingsDialog() {
+    dom.shortcutsPanel.classList.remove('open');
+    state.keyCapture = null;
+    state.keyConflict = null;
+    renderKeyBindings();
+    dom.keyBindingsDialog.style.display = 'flex';
+    dom.dialogOverlay.style.display = 'block';
+    dom.keyBindingsDialog.setAttribute('aria-hidden', 'false');
 }
 
-function newPalette() {
-    const name = prompt('Nombre de la nueva paleta:');
-    if (name && !state.paletas[name]) {
-        state.paletas[name] = [];
-        state.currentPalette = name;
-        initPalettes();
-        savePalettes();
-        showToast(`Paleta "${name}" creada`, 'success');
-    } else if (state.paletas[name]) {
-        showToast('Ya existe una paleta con ese nombre', 'warning');
-    }
+function closeKeyBindingsDialog() {
+    state.keyCapture = null;
+    state.keyConflict = null;
+    dom.keyBindingsDialog.style.display = 'none';
+    dom.dialogOverlay.style.display = 'none';
+    dom.keyBindingsDialog.setAttribute('aria-hidden', 'true');
 }
 
-function changePalette(name) {
-    state.currentPalette = name;
-    renderPalette();
+function startKeyCapture(id) {
+    state.keyCapture = id;
+    state.keyConflict = null;
+    renderKeyBindings();
 }
 
-function renderPalette() {
-    const container = document.getElementById('colorPalette');
-    container.innerHTML = state.paletas[state.currentPalette].map(color => `
-        <div class="color-swatch-container">
-            <div
-                class="color-swatch"
-                style="background: ${color}"
-                onclick="selectColor('${color}')"
-                title="${color}"
-            ></div>
-            <div class="delete-color" onclick="deleteColor(this.parentElement)"></div>
-        </div>
-    `).join('');
+function captureKeyBinding(e) {
+    e.preventDefault();
+    if (e.key === 'Escape') {
+        state.keyCapture = null;
+        renderKeyBindings();
+        return;
+    }
+    const combo = getKeyCombo(e);
+    if (!combo) return;
+    if (isReservedCombo(combo)) {
+        showToast(SPACE_COMBOS.includes(combo)
+            ? t('keys.spaceReserved')
+            : t('keys.browserReserved', { keys: formatKeyCombo(combo) }), 'warning');
+        return;
+    }
+
+    const id = state.keyCapture;
+    const owner = keyMap.get(combo);
+    state.keyCapture = null;
+    if (owner && owner.id !== id) {
+        state.keyConflict = { id, combo, owner: owner.id };
+        renderKeyBindings();
+        return;
+    }
+    setCommandKeys(id, [combo]);
 }
 
-function savePalettes() {
-    localStorage.setItem('paletas', JSON.stringify(state.paletas));
+function resolveKeyConflict(reassign) {
+    const conflict = state.keyConflict;
+    state.keyConflict = null;
+    if (!reassign || !conflict) {
+        renderKeyBindings();
+        return;
+    }
+    const owner = getCommand(conflict.owner);
+    setCommandKeys(owner.id, getCommandKeys(owner).filter(combo => combo !== conflict.combo));
+    setCommandKeys(conflict.id, [conflict.combo]);
+    showToast(t('keys.reassigned', { keys: formatKeyCombo(conflict.combo), command: getCommandLabel(getCommand(conflict.id)) }), 'success');
 }
 
-// ==================== Coordinate Tracking ====================
+function renderKeyBindings() {
+    const list = dom.keyBindingsList;
+    list.innerHTML = '';
+    COMMANDS.forEach(command => {
+        const row = document.createElement('div');
+        row.className = 'key-binding-row';
+
+        const label = document.createElement('span');
+        label.textContent = getCommandLabel(command);
+
+        const bindBtn = document.createElement('button');
+        bindBtn.type = 'button';
+        bindBtn.className = 'key-binding-btn';
+        const capturing = state.keyCapture === command.id;
+        bindBtn.classList.toggle('capturing', capturing);
+        bindBtn.textContent = capturing ? t('keys.pressKey') : formatCommandKeys(command) || '—';
+        bindBtn.setAttribute('aria-label', t('keys.change', { command: label.textContent }));
+        bindBtn.addEventListener('click', () => startKeyCapture(command.id));
+
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'btn-close';
+        clearBtn.textContent = '✕';
+        clearBtn.title = t('keys.clear');
+        clearBtn.setAttribute('aria-label', t('keys.clearFor', { command: label.textContent }));
+        clearBtn.disabled = !getCommandKeys(command).length;
+        clearBtn.addEventListener('click', () => setCommandKeys(command.id, []));
+
+        row.append(label, bindBtn, clearBtn);
+        list.appendChild(row);
+    });
 
-function updateCursorCoords(e) {
-    const pixel = e.target;
-    if (!pixel?.classList?.contains('pixel')) return;
+    const conflict = state.keyConflict;
+    dom.keyBindingConflict.hidden = !conflict;
+    if (conflict) {
+        dom.keyBindingConflictText.textContent =
+            t('keys.conflict', { keys: formatKeyCombo(conflict.combo), command: getCommandLabel(getCommand(conflict.owner)) });
+    }
+}
 
-    const index = Array.from(dom.grid.children).indexOf(pixel);
-    const cols = parseInt(document.getElementById('cols').value);
-    const x = index % cols;
-    const y = Math.floor(index / cols);
-    dom.cursorCoords.textContent = `${x}, ${y}`;
+// ==================== Command Palette ====================
+
+// Subsequence match ignoring case and accents: every query character must
+// appear in order. Consecutive runs and word starts score higher.
+function getFuzzyScore(query, text) {
+    const normalize = value => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const target = normalize(text);
+    let score = 0;
+    let previous = -2;
+    for (const char of normalize(query).replace(/\s+/g, '')) {
+        const index = target.indexOf(char, previous + 1);
+        if (index < 0) return -1;
+        score += index === previous + 1 ? 3 : 1;
+        if (index === 0 || target[index - 1] === ' ') score += 2;
+        previous = index;
+    }
+    return score - target.length / 100;
 }
 
-// ==================== Keyboard Shortcuts ====================
+function openCommandPalette() {
+    state.commandPalette = { results: [], active: 0 };
+    dom.commandSearch.value = '';
+    renderCommandResults();
+    dom.commandPalette.style.display = 'flex';
+    dom.dialogOverlay.style.display = 'block';
+    dom.commandPalette.setAttribute('aria-hidden', 'false');
+    dom.commandSearch.focus();
+}
 
-function handleKeyboard(e) {
-    // Don't trigger shortcuts when typing in inputs
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+function closeCommandPalette() {
+    state.commandPalette = null;
+    dom.commandPalette.style.display = 'none';
+    dom.dialogOverlay.style.display = 'none';
+    dom.commandPalette.setAttribute('aria-hidden', 'true');
+}
 
-    const key = e.key.toLowerCase();
+function runCommand(command) {
+    closeCommandPalette();
+    command.run();
+}
 
-    if (e.ctrlKey || e.metaKey) {
-        switch (key) {
-            case 'z':
-                e.preventDefault();
-                undo();
-                return;
-            case 'y':
-                e.preventDefault();
-                redo();
-                return;
-            case 's':
-                e.preventDefault();
-                saveArt();
-                return;
-        }
+function renderCommandResults() {
+    const palette = state.commandPalette;
+    const query = dom.commandSearch.value.trim();
+    palette.results = query
+        ? COMMANDS
+            .map(command => ({ command, score: getFuzzyScore(query, `${t(command.group)} ${getCommandLabel(command)}`) }))
+            .filter(result => result.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.command)
+        : COMMANDS.slice();
+    palette.active = Math.min(palette.active, Math.max(0, palette.results.length - 1));
+
+    const list = dom.commandResults;
+    list.innerHTML = '';
+    if (!palette.results.length) {
+        const empty = document.createElement('div');
+        empty.className = 'command-empty';
+        empty.textContent = t('commands.noMatch');
+        list.appendChild(empty);
+        return;
     }
+    palette.results.forEach((command, index) => {
+        const item = document.createElement('div');
+        item.className = 'command-item';
+        item.setAttribute('role', 'option');
+        item.classList.toggle('active', index === palette.active);
+        item.setAttribute('aria-selected', index === palette.active ? 'true' : 'false');
+
+        const label = document.createElement('span');
+        label.textContent = getCommandLabel(command);
+        const group = document.createElement('small');
+        group.textContent = t(command.group);
+        label.appendChild(group);
+        item.appendChild(label);
+
+        const keys = formatCommandKeys(command);
+        if (keys) {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = keys;
+            item.appendChild(kbd);
+        }
+        item.addEventListener('click', () => runCommand(command));
+        list.appendChild(item);
+    });
+    list.children[palette.active].scrollIntoView({ block: 'nearest' });
+}
 
-    switch (key) {
-        case 'b':
-            selectTool('brush');
-            break;
-        case 'e':
-            selectTool('eraser');
-            break;
-        case 'f':
-            selectTool('fill');
-            break;
-        case 'i':
-            selectTool('picker');
-            break;
-        case 'g':
-            toggleGrid();
-            break;
-        case 'm':
-            toggleMirrorMode();
+function handleCommandSearchKey(e) {
+    const palette = state.commandPalette;
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            e.preventDefault();
+            if (!palette.results.length) return;
+            palette.active = (palette.active + (e.key === 'ArrowDown' ? 1 : -1) + palette.results.length) % palette.results.length;
+            renderCommandResults();
             break;
-        case '+':
-        case '=':
-            adjustZoom(0.1);
+        case 'Enter':
+            e.preventDefault();
+            if (palette.results[palette.active]) runCommand(palette.results[palette.active]);
             break;
-        case '-':
-            adjustZoom(-0.1);
+        case 'Escape':
+            e.preventDefault();
+            closeCommandPalette();
             break;
     }
 }
 
-function selectTool(toolName) {
-    state.currentTool = toolName;
-    document.querySelectorAll('.tool-btn').forEach(b => {
-        b.classList.toggle('active', b.dataset.tool === toolName);
-    });
-    syncMobileToolButtons(toolName);
-}
-
-// ==================== Shortcuts Panel ====================
-
-function toggleShortcutsPanel() {
-    dom.shortcutsPanel.classList.toggle('open');
-}
-
 // ==================== Event Listeners ====================
 
 function setupEventListeners() {
     // Color input
     dom.colorInput.addEventListener('input', e => {
-        state.currentColor = e.target.value;
-        dom.colorHexInput.value = e.target.value.toUpperCase();
-        updateColorPreview();
+        selectColor(colorToHex({ ...parseColor(e.target.value), a: dom.alphaSlider.value / 255 }));
     });
 
-    // Hex input
+    // Hex input (6 or 8 digits)
     dom.colorHexInput.addEventListener('input', e => {
         let val = e.target.value;
         if (!val.startsWith('#')) val = '#' + val;
-        if (/^#[0-9a-fA-F]{6}$/.test(val)) {
-            state.currentColor = val;
-            dom.colorInput.value = val;
-            updateColorPreview();
+        if (/^#([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(val)) {
+            selectColor(val, { keepHexInput: true });
         }
     });
 
+    // Alpha slider
+    dom.alphaSlider.addEventListener('input', e => setColorAlpha(parseInt(e.target.value)));
+
     // Confirm dialog
     dom.confirmYes.addEventListener('click', () => handleConfirm(true));
     dom.confirmNo.addEventListener('click', () => handleConfirm(false));
-    dom.dialogOverlay.addEventListener('click', () => handleConfirm(false));
+    dom.dialogOverlay.addEventListener('click', () => {
+        if (state.commandPalette) closeCommandPalette();
+        else if (dom.keyBindingsDialog.style.display === 'flex') closeKeyBindingsDialog();
+        else if (dom.resizeDialog.style.display === 'flex') closeResizeDialog();
+        else if (dom.exportDialog.style.display === 'flex') closeExportDialog();
+        else if (state.importing) closeImportDialog();
+        else handleConfirm(false);
+    });
 
     // Panel buttons
     dom.newPaletteBtn.addEventListener('click', newPalette);
     dom.addToPaletteBtn.addEventListener('click', addToPalette);
+    dom.renamePaletteBtn.addEventListener('click', startPaletteRename);
+    dom.duplicatePaletteBtn.addEventListener('click', duplicatePalette);
+    dom.deletePaletteBtn.addEventListener('click', deletePalette);
+    dom.sortPaletteHueBtn.addEventListener('click', () => sortPalette('hue'));
+    dom.sortPaletteLumaBtn.addEventListener('click', () => sortPalette('luma'));
+    dom.toggleIndexedBtn.addEventListener('click', toggleIndexedMode);
+    dom.replaceColorBtn.addEventListener('click', () => {
+        replaceColor(parseInt(dom.replaceFromSelector.value), parseInt(dom.replaceToSelector.value));
+    });
     dom.toggleMirrorBtn.addEventListener('click', toggleMirrorMode);
+    dom.toggleShapeFillBtn.addEventListener('click', toggleShapeFill);
+    dom.toggleTileModeBtn.addEventListener('click', toggleTileMode);
+    dom.brushSize.addEventListener('input', e => setBrushSize(e.target.value));
+    dom.brushShapeSelector.addEventListener('change', e => setBrushShape(e.target.value));
+    dom.togglePixelPerfectBtn.addEventListener('click', togglePixelPerfect);
+    dom.fillTolerance.addEventListener('input', e => setFillTolerance(e.target.value));
+    dom.fillModeSelector.addEventListener('change', e => {
+        state.fill.global = e.target.value === 'global';
+    });
+    dom.fillConnectivitySelector.addEventListener('change', e => {
+        state.fill.diagonal = e.target.value === '8';
+    });
+    dom.fillSampleMerged.addEventListener('change', e => {
+        state.fill.sampleMerged = e.target.checked;
+    });
+    dom.ditherPatternSelector.addEventListener('change', e => setDitherPattern(e.target.value));
+    dom.ditherModeSelector.addEventListener('change', e => {
+        state.dither.mode = e.target.value;
+    });
+    dom.ditherLevel.addEventListener('input', e => setDitherLevel(e.target.value));
+    dom.secondaryColorInput.addEventListener('input', e => setSecondaryColor(e.target.value));
     dom.toggleGridBtn.addEventListener('click', toggleGrid);
     dom.clearGridBtn.addEventListener('click', clearGrid);
-    dom.saveArtBtn.addEventListener('click', saveArt);
+    dom.saveArtBtn.addEventListener('click', openExportDialog);
     dom.imageLoader.addEventListener('change', handleImageUpload);
+    dom.paletteLoader.addEventListener('change', handlePaletteUpload);
+    dom.exportPaletteBtn.addEventListener('click', () => exportPalette(dom.paletteFormatSelector.value));
+    dom.exportAllPalettesBtn.addEventListener('click', exportAllPalettes);
+
+    // Image import dialog
+    [dom.importCropX, dom.importCropY, dom.importCropW, dom.importCropH].forEach(input => {
+        input.addEventListener('input', () => {
+            syncImportAspect('width');
+            updateImportPreview();
+        });
+    });
+    dom.importWidth.addEventListener('input', () => {
+        syncImportAspect('width');
+        updateImportPreview();
+    });
+    dom.importHeight.addEventListener('input', () => {
+        syncImportAspect('height');
+        updateImportPreview();
+    });
+    [dom.importKeepAspect, dom.importResample, dom.importReduce, dom.importDither].forEach(control => {
+        control.addEventListener('change', () => {
+            syncImportAspect('width');
+            updateImportPreview();
+        });
+    });
+    dom.importColorCount.addEventListener('input', updateImportPreview);
+    dom.importApply.addEventListener('click', applyImportDialog);
+    dom.importCancel.addEventListener('click', closeImportDialog);
+
+    // Export dialog
+    [dom.exportFormat, dom.exportScale, dom.exportBackground, dom.exportBackgroundColor, dom.exportGrid, dom.exportTrim]
+        .forEach(input => input.addEventListener('input', updateExportPreview));
+    dom.exportApply.addEventListener('click', exportArt);
+    dom.exportCopy.addEventListener('click', copyArtToClipboard);
+    dom.exportCancel.addEventListener('click', closeExportDialog);
+    dom.exportDialog.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') exportArt();
+        if (e.key === 'Escape') closeExportDialog();
+    });
 
     // History
     dom.undoBtn.addEventListener('click', undo);
     dom.redoBtn.addEventListener('click', redo);
 
     // Zoom
-    dom.zoomInBtn.addEventListener('click', () => adjustZoom(0.1));
-    dom.zoomOutBtn.addEventListener('click', () => adjustZoom(-0.1));
-    dom.zoomSlider.addEventListener('input', e => setZoom(parseInt(e.target.value) / 100));
+    dom.zoomInBtn.addEventListener('click', () => adjustZoom(ZOOM_STEP));
+    dom.zoomOutBtn.addEventListener('click', () => adjustZoom(1 / ZOOM_STEP));
+    dom.zoomSlider.addEventListener('input', e => setZoomFromSlider(parseInt(e.target.value)));
+    dom.zoomFitBtn.addEventListener('click', fitToScreen);
+    dom.zoomActualBtn.addEventListener('click', showActualSize);
+
+    // Reference image
+    dom.referenceLoader.addEventListener('change', handleReferenceUpload);
+    dom.toggleReferenceBtn.addEventListener('click', toggleReference);
+    dom.removeReferenceBtn.addEventListener('click', removeReference);
+    dom.referenceOpacity.addEventListener('input', e => setReferenceOption('opacity', e.target.value));
+    dom.referenceLocked.addEventListener('change', e => setReferenceOption('locked', e.target.checked));
+    dom.referencePlacement.addEventListener('change', e => setReferenceOption('placement', e.target.value));
+    dom.referenceX.addEventListener('change', e => setReferenceOption('x', e.target.value));
+    dom.referenceY.addEventListener('change', e => setReferenceOption('y', e.target.value));
+    dom.referenceScale.addEventListener('change', e => setReferenceOption('scale', e.target.value));
+    dom.referenceRotation.addEventListener('change', e => setReferenceOption('rotation', e.target.value));
 
     // Grid update
-    dom.updateGridBtn.addEventListener('click', safeUpdateGrid);
+    dom.updateGridBtn.addEventListener('click', openResizeDialog);
+    dom.trimCanvasBtn.addEventListener('click', trimToContent);
+
+    // Transforms
+    dom.transformActions.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-transform]');
+        if (btn) applyTransform(btn.dataset.transform, parseInt(btn.dataset.dx) || 0, parseInt(btn.dataset.dy) || 0);
+    });
+
+    // Resize dialog
+    dom.resizeApply.addEventListener('click', applyResizeDialog);
+    dom.resizeCancel.addEventListener('click', closeResizeDialog);
+    dom.resizeMode.addEventListener('change', renderResizeAnchor);
+    dom.resizeAnchor.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-anchor]');
+        if (btn) setResizeAnchor(parseInt(btn.dataset.anchor));
+    });
+    dom.resizeDialog.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') applyResizeDialog();
+        if (e.key === 'Escape') closeResizeDialog();
+    });
+
+    // Layers
+    dom.addLayerBtn.addEventListener('click', addLayer);
+    dom.duplicateLayerBtn.addEventListener('click', duplicateLayer);
+    dom.deleteLayerBtn.addEventListener('click', deleteLayer);
+    dom.moveLayerUpBtn.addEventListener('click', () => moveLayer(1));
+    dom.moveLayerDownBtn.addEventListener('click', () => moveLayer(-1));
+    dom.mergeLayerDownBtn.addEventListener('click', mergeLayerDown);
+    dom.layerOpacity.addEventListener('input', e => setLayerOpacity(parseInt(e.target.value)));
+    dom.layerOpacity.addEventListener('change', e => {
+        setLayerOpacity(parseInt(e.target.value), true);
+        renderLayersPanel();
+    });
+
+    // Animation
+    dom.addFrameBtn.addEventListener('click', addFrame);
+    dom.duplicateFrameBtn.addEventListener('click', duplicateFrame);
+    dom.deleteFrameBtn.addEventListener('click', deleteFrame);
+    dom.moveFrameLeftBtn.addEventListener('click', () => moveFrame(-1));
+    dom.moveFrameRightBtn.addEventListener('click', () => moveFrame(1));
+    dom.frameDuration.addEventListener('change', e => setFrameDuration(e.target.value));
+    dom.animationFps.addEventListener('change', e => setAnimationFps(e.target.value));
+    dom.playAnimationBtn.addEventListener('click', togglePlayback);
+    dom.toggleOnionBtn.addEventListener('click', toggleOnionSkin);
+    dom.onionPrevious.addEventListener('change', e => setOnionSkinNeighbour('previous', e.target.checked));
+    dom.onionNext.addEventListener('change', e => setOnionSkinNeighbour('next', e.target.checked));
+    dom.exportGifBtn.addEventListener('click', exportGif);
+    dom.exportSheetBtn.addEventListener('click', exportSpriteSheet);
+
+    // Project files
+    dom.saveProjectBtn.addEventListener('click', saveProject);
+    dom.projectLoader.addEventListener('change', handleProjectUpload);
+
+    // Gallery
+    dom.galleryBtn.addEventListener('click', toggleGalleryPanel);
+    dom.closeGallery.addEventListener('click', toggleGalleryPanel);
+    dom.newProjectBtn.addEventListener('click', newProject);
+    dom.projectNameInput.addEventListener('change', e => renameStoredProject(state.project.id, e.target.value));
 
     // Shortcuts panel
     dom.shortcutsBtn.addEventListener('click', toggleShortcutsPanel);
     dom.closeShortcuts.addEventListener('click', toggleShortcutsPanel);
+    dom.customizeShortcutsBtn.addEventListener('click', openKeyBindingsDialog);
+
+    // Key bindings and command palette
+    dom.keyBindingReassign.addEventListener('click', () => resolveKeyConflict(true));
+    dom.keyBindingKeep.addEventListener('click', () => resolveKeyConflict(false));
+    dom.resetKeyBindingsBtn.addEventListener('click', resetKeyBindings);
+    dom.closeKeyBindingsBtn.addEventListener('click', closeKeyBindingsDialog);
+    dom.commandSearch.addEventListener('input', () => {
+        state.commandPalette.active = 0;
+        renderCommandResults();
+    });
+    dom.commandSearch.addEventListener('keydown', handleCommandSearchKey);
+    dom.languageSelector.addEventListener('change', e => setLocale(e.target.value));
 
     // Mirror type
     dom.mirrorTypeSelector.addEventListener('change', e => changeMirrorType(e.target.value));
+    dom.symmetrySegments.addEventListener('change', e => setSymmetrySegments(e.target.value));
+    dom.symmetryCenterX.addEventListener('change', e => setSymmetryCenter('x', e.target.value));
+    dom.symmetryCenterY.addEventListener('change', e => setSymmetryCenter('y', e.target.value));
+    dom.centerSymmetryBtn.addEventListener('click', resetSymmetryCenter);
 
     // Palette selector
     dom.paletteSelector.addEventListener('change', e => changePalette(e.target.value));
@@ -695,70 +6642,93 @@ function setupEventListeners() {
     });
 
     // Drawing — Mouse
-    document.addEventListener('mousedown', function (e) {
-        if (e.target.classList.contains('pixel')) {
-            state.isDrawing = true;
-            pushHistory();
-            handleDrawing(e.target);
-        }
+    dom.pixelCanvas.addEventListener('mousedown', startDrawing);
+    dom.tileCanvas.addEventListener('mousedown', startDrawing);
+
+    // Panning — starts anywhere in the canvas area, including around the canvas
+    dom.mainArea.addEventListener('mousedown', function (e) {
+        if (!isPanPointer(e) || e.target.closest('.zoom-controls')) return;
+        e.preventDefault();
+        startPan(e.clientX, e.clientY);
     });
 
     document.addEventListener('mousemove', function (e) {
-        if (state.isDrawing && e.target.classList.contains('pixel')) {
-            handleDrawing(e.target);
+        if (state.panDrag) {
+            movePan(e.clientX, e.clientY);
+            return;
+        }
+        if (state.shape) {
+            moveShape(e.clientX, e.clientY, e.shiftKey);
+        } else if (state.selectionDrag) {
+            moveSelectionDrag(e.clientX, e.clientY);
+        } else if (state.axisDrag) {
+            moveSymmetryCenter(e.clientX, e.clientY);
+        } else if (state.referenceDrag) {
+            moveReferenceDrag(e.clientX, e.clientY);
+        } else if (state.isDrawing) {
+            handleDrawing(getPixelFromPoint(e.clientX, e.clientY));
         }
         updateCursorCoords(e);
+        const hidePreview = state.axisDrag || state.spacePan || canDragReference();
+        drawBrushPreview(hidePreview ? -1 : getPixelFromPoint(e.clientX, e.clientY));
     });
 
     document.addEventListener('mouseup', stopDrawing);
+    document.addEventListener('paste', handlePaste);
 
     // Drawing — Touch
-    dom.grid.addEventListener('touchstart', function (e) {
+    const startTouchDrawing = function (e) {
+        if (e.touches.length !== 1 || state.currentTool === 'pan') return;
         const touch = e.touches[0];
-        const pixel = document.elementFromPoint(touch.clientX, touch.clientY);
-        if (pixel?.classList?.contains('pixel')) {
+        if (canDragReference()) {
             e.preventDefault();
-            state.isDrawing = true;
-            pushHistory();
-            handleDrawing(pixel);
+            state.referenceDrag = { x: touch.clientX, y: touch.clientY };
+            return;
         }
-    }, { passive: false });
-
-    dom.grid.addEventListener('touchmove', function (e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const pixel = document.elementFromPoint(touch.clientX, touch.clientY);
-        if (pixel?.classList?.contains('pixel')) {
-            handleDrawing(pixel);
+        const index = getPixelFromPoint(touch.clientX, touch.clientY);
+        if (index >= 0) {
+            e.preventDefault();
+            beginStroke();
+            if (isShapeTool(state.currentTool)) startShape(index, getTileOffset(touch.clientX, touch.clientY));
+            else if (isSelectionTool(state.currentTool)) startSelection(index, false);
+            else handleDrawing(index);
         }
-    }, { passive: false });
+    };
+    dom.pixelCanvas.addEventListener('touchstart', startTouchDrawing, { passive: false });
+    dom.tileCanvas.addEventListener('touchstart', startTouchDrawing, { passive: false });
+
+    dom.pixelCanvas.addEventListener('touchmove', handleTouchDrawing, { passive: false });
+    dom.tileCanvas.addEventListener('touchmove', handleTouchDrawing, { passive: false });
 
     document.addEventListener('touchend', stopDrawing);
 
     // Prevent text selection while drawing
     document.addEventListener('selectstart', function (e) {
-        if (e.target.classList.contains('pixel')) {
+        if (e.target === dom.pixelCanvas || e.target === dom.tileCanvas) {
             e.preventDefault();
         }
     });
 
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard);
+    document.addEventListener('keyup', e => {
+        if (e.key === ' ') setSpacePan(false);
+    });
+    window.addEventListener('blur', () => setSpacePan(false));
 
-    // Mouse wheel zoom on canvas
-    document.getElementById('mainArea').addEventListener('wheel', function (e) {
-        if (e.ctrlKey) {
-            e.preventDefault();
-            adjustZoom(e.deltaY > 0 ? -0.1 : 0.1);
-        }
+    // Ctrl+wheel zooms around the cursor, plain wheel pans
+    dom.mainArea.addEventListener('wheel', function (e) {
+        e.preventDefault();
+        if (e.ctrlKey) adjustZoom(e.deltaY > 0 ? 1 / 1.1 : 1.1, e.clientX, e.clientY);
+        else panBy(-e.deltaX, -e.deltaY);
     }, { passive: false });
 
     // Grid config enter key
     document.getElementById('rows').addEventListener('keydown', e => {
-        if (e.key === 'Enter') safeUpdateGrid();
+        if (e.key === 'Enter') openResizeDialog();
     });
     document.getElementById('cols').addEventListener('keydown', e => {
-        if (e.key === 'Enter') safeUpdateGrid();
+        if (e.key === 'Enter') openResizeDialog();
     });
 
     // ---- Mobile-specific listeners ----
@@ -826,7 +6796,7 @@ function setupMobileListeners() {
     // Mobile undo/redo/save
     if (dom.mobileUndoBtn) dom.mobileUndoBtn.addEventListener('click', undo);
     if (dom.mobileRedoBtn) dom.mobileRedoBtn.addEventListener('click', redo);
-    if (dom.mobileSaveBtn) dom.mobileSaveBtn.addEventListener('click', saveArt);
+    if (dom.mobileSaveBtn) dom.mobileSaveBtn.addEventListener('click', openExportDialog);
 
     // Mobile color preview opens color picker (via sidebar)
     if (dom.mobileColorPreview) {
@@ -844,40 +6814,1310 @@ function setupMobileListeners() {
         });
     });
 
-    // Pinch zoom support for mobile
-    let lastPinchDist = 0;
-    dom.grid.addEventListener('touchstart', function (e) {
+    // Two fingers pinch-zoom around their midpoint and pan as they move; one
+    // finger pans with the hand tool
+    let pinch = null;
+    dom.mainArea.addEventListener('touchstart', function (e) {
         if (e.touches.length === 2) {
             e.preventDefault();
-            lastPinchDist = Math.hypot(
-                e.touches[0].clientX - e.touches[1].clientX,
-                e.touches[0].clientY - e.touches[1].clientY
-            );
+            if (state.isDrawing) stopDrawing();
+            endPan();
+            pinch = getPinch(e.touches);
+        } else if (e.touches.length === 1 && state.currentTool === 'pan') {
+            e.preventDefault();
+            startPan(e.touches[0].clientX, e.touches[0].clientY);
         }
     }, { passive: false });
 
-    dom.grid.addEventListener('touchmove', function (e) {
-        if (e.touches.length === 2) {
+    dom.mainArea.addEventListener('touchmove', function (e) {
+        if (e.touches.length === 2 && pinch) {
             e.preventDefault();
-            const dist = Math.hypot(
-                e.touches[0].clientX - e.touches[1].clientX,
-                e.touches[0].clientY - e.touches[1].clientY
-            );
-            const delta = dist - lastPinchDist;
-            if (Math.abs(delta) > 5) {
-                adjustZoom(delta > 0 ? 0.05 : -0.05);
-                lastPinchDist = dist;
-            }
+            const next = getPinch(e.touches);
+            panBy(next.x - pinch.x, next.y - pinch.y);
+            if (pinch.distance > 0) adjustZoom(next.distance / pinch.distance, next.x, next.y);
+            pinch = next;
+        } else if (e.touches.length === 1 && state.panDrag) {
+            e.preventDefault();
+            movePan(e.touches[0].clientX, e.touches[0].clientY);
         }
     }, { passive: false });
+
+    dom.mainArea.addEventListener('touchend', function (e) {
+        if (e.touches.length < 2) pinch = null;
+    });
+}
+
+// ==================== i18n ====================
+
+// Message catalogs per locale; {name} placeholders are filled in by t()
+const MESSAGES = {
+    es: {
+        'animation.deleteFrame': 'Eliminar fotograma',
+        'animation.duplicateFrame': 'Duplicar fotograma',
+        'animation.duration': 'Duración (ms)',
+        'animation.durationLabel': 'Duración del fotograma en milisegundos',
+        'animation.exportGif': '🎞️ Exportar GIF',
+        'animation.exportGifLabel': 'Exportar GIF animado',
+        'animation.exportSheet': '🧩 Hoja',
+        'animation.exportSheetLabel': 'Exportar hoja de sprites',
+        'animation.fps': 'Animación a {fps} FPS',
+        'animation.fpsLabel': 'Fotogramas por segundo para todos los fotogramas',
+        'animation.frameDeleted': 'Fotograma eliminado',
+        'animation.frameDuplicated': 'Fotograma {n} duplicado',
+        'animation.frameDuration': 'Duración de fotograma',
+        'animation.frameTitle': 'Fotograma {n} ({duration} ms)',
+        'animation.frames': 'Fotogramas',
+        'animation.gifError': 'Error al exportar GIF',
+        'animation.gifSaved': 'Animación guardada como GIF',
+        'animation.moveFrame': 'Mover fotograma',
+        'animation.moveFrameLeft': 'Mover fotograma a la izquierda',
+        'animation.moveFrameRight': 'Mover fotograma a la derecha',
+        'animation.moveLeft': 'Mover a la izquierda',
+        'animation.moveRight': 'Mover a la derecha',
+        'animation.newFrame': 'Nuevo fotograma',
+        'animation.next': 'Siguiente',
+        'animation.onion': '🧅 Cebolla',
+        'animation.onionOff': 'Papel cebolla desactivado',
+        'animation.onionOn': 'Papel cebolla activado',
+        'animation.onionTitle': 'Papel cebolla',
+        'animation.onlyFrame': 'No se puede eliminar el único fotograma',
+        'animation.pause': '⏸ Pausa',
+        'animation.play': 'Reproducir animación',
+        'animation.playButton': '▶ Reproducir',
+        'animation.preview': 'Vista previa de la animación',
+        'animation.previous': 'Anterior',
+        'animation.sheetExported': 'Hoja de sprites exportada ({count} fotogramas)',
+        'animation.sheetLayout': 'Disposición de la hoja de sprites',
+        'animation.sheetTooLarge': 'La hoja de sprites es demasiado grande para exportarla',
+        'animation.speed': 'Velocidad de animación',
+        'app.language': 'Idioma',
+        'app.welcome': '¡Bienvenido a Pixel Art Studio Pro++!',
+        'canvas.label': 'Lienzo de dibujo',
+        'color.alpha': 'Alfa',
+        'color.alphaLabel': 'Transparencia del color',
+        'color.hex': 'Código hexadecimal del color',
+        'color.pick': 'Selecciona un color',
+        'color.secondary': 'Secundario',
+        'color.secondaryHint': 'Clic derecho en una muestra de la paleta para usarla como color secundario',
+        'color.secondaryLabel': 'Color secundario',
+        'color.title': 'Color',
+        'command.app.commandPalette': 'Paleta de comandos',
+        'command.app.keyBindings': 'Personalizar atajos',
+        'command.app.shortcuts': 'Panel de atajos',
+        'command.canvas.clear': 'Limpiar lienzo',
+        'command.canvas.resize': 'Redimensionar lienzo',
+        'command.canvas.trim': 'Recortar al contenido',
+        'command.color.swap': 'Intercambiar color principal y secundario',
+        'command.color.swatch': 'Color {n} de la paleta',
+        'command.edit.cancel': 'Cancelar forma / Deseleccionar',
+        'command.edit.copy': 'Copiar',
+        'command.edit.cut': 'Cortar',
+        'command.edit.deleteSelection': 'Borrar selección',
+        'command.edit.paste': 'Pegar',
+        'command.edit.redo': 'Rehacer',
+        'command.edit.selectAll': 'Seleccionar todo',
+        'command.edit.undo': 'Deshacer',
+        'command.file.export': 'Exportar imagen',
+        'command.file.exportGif': 'Exportar GIF animado',
+        'command.file.exportSheet': 'Exportar hoja de sprites',
+        'command.file.gallery': 'Galería de proyectos',
+        'command.file.importImage': 'Importar imagen',
+        'command.file.newProject': 'Nuevo proyecto',
+        'command.file.openProject': 'Abrir proyecto',
+        'command.file.saveProject': 'Guardar proyecto',
+        'command.frame.add': 'Nuevo fotograma',
+        'command.frame.delete': 'Eliminar fotograma',
+        'command.frame.duplicate': 'Duplicar fotograma',
+        'command.frame.moveLeft': 'Mover fotograma antes',
+        'command.frame.moveRight': 'Mover fotograma después',
+        'command.frame.next': 'Fotograma siguiente',
+        'command.frame.play': 'Reproducir/pausar animación',
+        'command.frame.previous': 'Fotograma anterior',
+        'command.layer.add': 'Nueva capa',
+        'command.layer.delete': 'Eliminar capa',
+        'command.layer.duplicate': 'Duplicar capa',
+        'command.layer.mergeDown': 'Combinar con la capa inferior',
+        'command.layer.moveDown': 'Bajar capa',
+        'command.layer.moveUp': 'Subir capa',
+        'command.palette.addColor': 'Añadir color a la paleta',
+        'command.palette.delete': 'Eliminar paleta',
+        'command.palette.duplicate': 'Duplicar paleta',
+        'command.palette.export': 'Exportar paleta',
+        'command.palette.exportAll': 'Exportar todas las paletas',
+        'command.palette.import': 'Importar paleta',
+        'command.palette.indexed': 'Activar/desactivar modo indexado',
+        'command.palette.new': 'Nueva paleta',
+        'command.palette.rename': 'Renombrar paleta',
+        'command.palette.sortHue': 'Ordenar paleta por tono',
+        'command.palette.sortLuma': 'Ordenar paleta por luminosidad',
+        'command.tool.brush': 'Pincel',
+        'command.tool.dither': 'Pincel de trama',
+        'command.tool.ellipse': 'Elipse',
+        'command.tool.eraser': 'Borrador',
+        'command.tool.fill': 'Relleno',
+        'command.tool.gradient': 'Degradado',
+        'command.tool.line': 'Línea',
+        'command.tool.pan': 'Mano',
+        'command.tool.picker': 'Selector de color',
+        'command.tool.rect': 'Rectángulo',
+        'command.tool.select': 'Selección',
+        'command.tool.wand': 'Varita mágica',
+        'command.transform.flipH': 'Voltear horizontal',
+        'command.transform.flipV': 'Voltear vertical',
+        'command.transform.rotate180': 'Rotar 180°',
+        'command.transform.rotateCCW': 'Rotar 90° a la izquierda',
+        'command.transform.rotateCW': 'Rotar 90° a la derecha',
+        'command.transform.shiftDown': 'Desplazar abajo',
+        'command.transform.shiftLeft': 'Desplazar a la izquierda',
+        'command.transform.shiftRight': 'Desplazar a la derecha',
+        'command.transform.shiftUp': 'Desplazar arriba',
+        'command.view.actualSize': 'Tamaño real',
+        'command.view.fit': 'Ajustar a pantalla',
+        'command.view.grid': 'Mostrar/ocultar cuadrícula',
+        'command.view.mirror': 'Simetría',
+        'command.view.onion': 'Papel cebolla',
+        'command.view.reference': 'Mostrar/ocultar referencia',
+        'command.view.tile': 'Modo mosaico',
+        'command.view.zoomIn': 'Acercar zoom',
+        'command.view.zoomOut': 'Alejar zoom',
+        'commandGroup.animation': 'Animación',
+        'commandGroup.canvas': 'Lienzo',
+        'commandGroup.color': 'Color',
+        'commandGroup.edit': 'Edición',
+        'commandGroup.file': 'Archivo',
+        'commandGroup.general': 'General',
+        'commandGroup.layers': 'Capas',
+        'commandGroup.tools': 'Herramientas',
+        'commandGroup.transform': 'Transformar',
+        'commandGroup.view': 'Vista',
+        'commands.noMatch': 'Ningún comando coincide',
+        'commands.results': 'Comandos',
+        'commands.search': 'Buscar comando',
+        'commands.searchPlaceholder': 'Buscar comando…',
+        'common.cancel': 'Cancelar',
+        'common.close': 'Cerrar',
+        'common.delete': 'Eliminar',
+        'common.opacity': 'Opacidad',
+        'common.readError': 'No se pudo leer el archivo',
+        'common.renameHint': 'Doble clic para renombrar',
+        'dither.cell': 'Celda {x}, {y}',
+        'dither.checker': 'Damero',
+        'dither.custom': 'Personalizado 8×8',
+        'dither.customLabel': 'Patrón personalizado',
+        'dither.density': 'Densidad',
+        'dither.densityLabel': 'Densidad del color principal',
+        'dither.mode': 'Modo de trama',
+        'dither.pattern': 'Patrón de trama',
+        'export.background': 'Fondo',
+        'export.backgroundColor': 'Color de fondo',
+        'export.copied': 'PNG copiado al portapapeles',
+        'export.copy': '📋 Copiar',
+        'export.copyError': 'No se pudo copiar la imagen',
+        'export.copyPng': 'Copiar PNG al portapapeles',
+        'export.download': 'Descargar',
+        'export.error': 'Error al exportar la imagen',
+        'export.file': 'Archivo',
+        'export.fileName': 'Nombre del archivo',
+        'export.format': 'Formato',
+        'export.gridFrom': ' · cuadrícula desde {scale}×',
+        'export.includeGrid': 'Incluir cuadrícula',
+        'export.noClipboard': 'Tu navegador no permite copiar imágenes',
+        'export.noWebp': 'Tu navegador no puede exportar WebP',
+        'export.preview': 'Vista previa de la exportación',
+        'export.saved': 'Arte guardado como {format}',
+        'export.scale': 'Escala',
+        'export.scaleLabel': 'Escala de exportación',
+        'export.solid': 'Fondo sólido',
+        'export.title': '💾 Exportar',
+        'export.tooLarge': 'La imagen de {width}×{height} px es demasiado grande para el navegador; reduce la escala',
+        'export.transparent': 'Fondo transparente',
+        'export.trim': 'Recortar al contenido',
+        'fill.connectivity': 'Vecinos del relleno',
+        'fill.contiguous': 'Contiguo',
+        'fill.eight': '8 vecinos',
+        'fill.four': '4 vecinos',
+        'fill.global': 'Global',
+        'fill.mode': 'Modo de relleno',
+        'fill.sampleMerged': 'Muestrear capas visibles',
+        'fill.tolerance': 'Tolerancia',
+        'fill.toleranceLabel': 'Tolerancia de color del relleno',
+        'gallery.autosaveError': 'No se pudo guardar automáticamente',
+        'gallery.confirmDelete': '¿Eliminar el proyecto "{name}" de la galería?',
+        'gallery.copyName': '{name} copia',
+        'gallery.created': 'Nuevo proyecto creado',
+        'gallery.current': 'Proyecto actual',
+        'gallery.currentName': 'Nombre del proyecto actual',
+        'gallery.deleteError': 'No se pudo eliminar el proyecto',
+        'gallery.deleted': 'Proyecto "{name}" eliminado',
+        'gallery.duplicate': 'Duplicar',
+        'gallery.duplicateError': 'No se pudo duplicar el proyecto',
+        'gallery.duplicated': 'Proyecto "{name}" duplicado',
+        'gallery.empty': 'Aún no hay proyectos guardados.',
+        'gallery.newProject': 'Nuevo proyecto',
+        'gallery.newProjectButton': 'Nuevo Proyecto',
+        'gallery.noIndexedDB': 'IndexedDB no está disponible',
+        'gallery.open': 'Abrir',
+        'gallery.openError': 'No se pudo abrir "{name}": {error}',
+        'gallery.readError': 'No se pudo leer el proyecto guardado',
+        'gallery.rename': 'Renombrar',
+        'gallery.renameError': 'No se pudo renombrar el proyecto',
+        'gallery.restore': 'Restaurar',
+        'gallery.restorePrompt': 'Se encontró "{name}" guardado automáticamente el {date}. ¿Quieres restaurarlo?',
+        'gallery.restored': 'Proyecto "{name}" restaurado',
+        'gallery.startOver': 'Empezar de nuevo',
+        'gallery.title': '🖼️ Galería',
+        'gallery.unavailable': 'La galería no está disponible en este navegador.',
+        'gallery.untitled': 'Sin título',
+        'grid.apply': 'Aplicar Tamaño',
+        'grid.columns': 'Columnas',
+        'grid.hidden': 'Grid oculto',
+        'grid.resize': 'Redimensionar lienzo',
+        'grid.rows': 'Filas',
+        'grid.shown': 'Grid visible',
+        'grid.title': 'Cuadrícula',
+        'grid.trim': 'Recortar al Contenido',
+        'grid.updateError': 'Error al actualizar la cuadrícula',
+        'header.gallery': 'Galería de proyectos',
+        'header.openPanel': 'Abrir panel de herramientas',
+        'header.panel': 'Panel',
+        'header.redoTitle': 'Rehacer',
+        'header.shortcuts': 'Atajos de teclado',
+        'header.undoTitle': 'Deshacer',
+        'history.brushStroke': 'Trazo de pincel',
+        'history.edit': 'Edición',
+        'history.goTo': 'Clic para volver a este punto',
+        'history.moveSelection': 'Mover selección',
+        'history.newDocument': 'Documento nuevo',
+        'history.redoTo': 'Clic para rehacer hasta aquí',
+        'history.redone': 'Rehecho: {label}',
+        'history.title': 'Historial',
+        'history.undone': 'Deshecho: {label}',
+        'import.apply': 'Importar',
+        'import.average': 'Promedio de área',
+        'import.colorCount': 'Número de colores',
+        'import.colorReduction': 'Reducción de colores',
+        'import.crop': 'Recorte',
+        'import.currentPalette': 'Paleta actual',
+        'import.dithering': 'Tramado',
+        'import.done': 'Imagen importada en una nueva capa',
+        'import.history': 'Importar imagen',
+        'import.info': '{width}×{height} · {colors} colores',
+        'import.invalidImage': 'Imagen no válida',
+        'import.keepRatio': 'Mantener proporción',
+        'import.layerName': 'Imagen',
+        'import.loadError': 'No se pudo cargar la imagen',
+        'import.nearest': 'Vecino más cercano',
+        'import.noDithering': 'Sin tramado',
+        'import.ordered': 'Ordenado (Bayer)',
+        'import.originalColors': 'Colores originales',
+        'import.preview': 'Vista previa del resultado',
+        'import.resampling': 'Remuestreo',
+        'import.size': 'Tamaño',
+        'import.smooth': 'Suavizado',
+        'import.source': 'Imagen original y recorte',
+        'import.title': '🖼️ Importar Imagen',
+        'key.backspace': 'Retroceso',
+        'key.delete': 'Supr',
+        'key.drag': 'Arrastrar',
+        'key.enter': 'Intro',
+        'key.shift': 'Mayús',
+        'key.space': 'Espacio',
+        'key.wheel': 'Rueda',
+        'keys.browserReserved': '{keys} está reservado por el navegador',
+        'keys.change': 'Cambiar atajo de {command}',
+        'keys.clear': 'Quitar atajo',
+        'keys.clearFor': 'Quitar atajo de {command}',
+        'keys.conflict': '{keys} ya está asignado a "{command}".',
+        'keys.customizeTitle': '⌨️ Personalizar atajos',
+        'keys.hint': 'Haz clic en un atajo y pulsa la nueva combinación (Esc cancela).',
+        'keys.keep': 'Mantener',
+        'keys.pressKey': 'Pulsa una tecla…',
+        'keys.reassign': 'Reasignar',
+        'keys.reassigned': '{keys} ahora es "{command}"',
+        'keys.reset': 'Restablecer',
+        'keys.resetDone': 'Atajos restablecidos',
+        'keys.spaceReserved': 'Espacio está reservado para desplazar el lienzo',
+        'keys.titleWithKeys': '{title} ({keys})',
+        'layers.copyName': '{name} copia',
+        'layers.created': 'Capa "{name}" creada',
+        'layers.defaultName': 'Capa {n}',
+        'layers.delete': 'Eliminar capa',
+        'layers.deleted': 'Capa "{name}" eliminada',
+        'layers.duplicate': 'Duplicar capa',
+        'layers.duplicated': 'Capa "{name}" duplicada',
+        'layers.hidden': 'La capa "{name}" está oculta',
+        'layers.hide': 'Ocultar capa',
+        'layers.lock': 'Bloqueo de capa',
+        'layers.lockTitle': 'Bloquear capa',
+        'layers.locked': 'La capa "{name}" está bloqueada',
+        'layers.merge': 'Combinar capas',
+        'layers.mergeDown': 'Combinar hacia abajo',
+        'layers.mergeHidden': 'Muestra ambas capas antes de combinarlas',
+        'layers.mergeLocked': 'No se pueden combinar capas bloqueadas',
+        'layers.merged': 'Capa "{upper}" combinada con "{lower}"',
+        'layers.move': 'Mover capa',
+        'layers.moveDown': 'Bajar capa',
+        'layers.moveUp': 'Subir capa',
+        'layers.new': 'Nueva capa',
+        'layers.notEditable': 'La capa "{name}" no se puede editar',
+        'layers.nothingBelow': 'No hay ninguna capa debajo para combinar',
+        'layers.onlyOne': 'No se puede eliminar la única capa',
+        'layers.opacity': 'Opacidad de la capa',
+        'layers.rename': 'Renombrar capa',
+        'layers.show': 'Mostrar capa',
+        'layers.title': 'Capas',
+        'layers.unlock': 'Desbloquear capa',
+        'layers.visibility': 'Visibilidad de capa',
+        'mobile.currentColor': 'Color actual',
+        'mobile.save': 'Guardar',
+        'options.centerAxes': 'Centrar ejes',
+        'options.centerHint': 'Alt + arrastrar sobre el lienzo para mover el centro',
+        'options.centerX': 'Centro X',
+        'options.clear': 'Limpiar cuadrícula',
+        'options.clearButton': '🧹 Limpiar',
+        'options.clearHistory': 'Limpiar',
+        'options.cleared': 'Cuadrícula limpiada',
+        'options.exportTitle': 'Exportar imagen',
+        'options.grid': 'Toggle Grid',
+        'options.gridButton': '🔲 Grid',
+        'options.gridTitle': 'Toggle Grid',
+        'options.includeHistory': 'Incluir historial al guardar',
+        'options.loadImage': 'Cargar imagen',
+        'options.loadImageButton': '📁 Cargar Imagen',
+        'options.mirror': '🪞 Simetría',
+        'options.mirrorOff': 'Simetría desactivada',
+        'options.mirrorOn': 'Simetría activada',
+        'options.mirrorTitle': 'Simetría',
+        'options.mirrorType': 'Tipo de simetría',
+        'options.openProject': '📂 Abrir Proyecto',
+        'options.openProjectTitle': 'Abrir proyecto',
+        'options.quad': '4 vías',
+        'options.saveProject': '📦 Guardar Proyecto',
+        'options.saveProjectTitle': 'Guardar proyecto',
+        'options.segments': 'Segmentos',
+        'options.title': 'Opciones',
+        'palette.addColor': 'Añadir Color',
+        'palette.addColorHistory': 'Añadir color',
+        'palette.addColorLabel': 'Añadir color a la paleta',
+        'palette.aseDamaged': 'Archivo ASE dañado',
+        'palette.colorAdded': 'Color añadido a la paleta',
+        'palette.colorDeleted': 'Color eliminado',
+        'palette.colorExists': 'El color ya existe en la paleta',
+        'palette.colorInUse': 'El color está en uso en el dibujo; reemplázalo antes de eliminarlo',
+        'palette.colorNotUsed': 'El color no aparece en el dibujo',
+        'palette.confirmDelete': '¿Eliminar la paleta "{name}"?',
+        'palette.confirmDeleteColor': '¿Seguro que quieres eliminar este color?',
+        'palette.confirmIndexed': '¿Convertir el dibujo a color indexado con la paleta "{name}"? Los colores que no estén en la paleta se aproximarán.',
+        'palette.convert': 'Convertir',
+        'palette.copyName': '{name} (copia)',
+        'palette.createLabel': 'Crear nueva paleta',
+        'palette.created': 'Paleta "{name}" creada',
+        'palette.delete': 'Eliminar paleta',
+        'palette.deleteColor': 'Eliminar color',
+        'palette.deleteSwatch': 'Eliminar {color}',
+        'palette.deleted': 'Paleta "{name}" eliminada',
+        'palette.duplicate': 'Duplicar paleta',
+        'palette.editColor': 'Editar color',
+        'palette.empty': 'La paleta está vacía',
+        'palette.export': 'Exportar paleta',
+        'palette.exportAll': '🗂️ Exportar Todas',
+        'palette.exportAllLabel': 'Exportar todas las paletas',
+        'palette.exportButton': '📤 Exportar',
+        'palette.exported': 'Paleta exportada como {format}',
+        'palette.exportedAll': '{count} paletas exportadas',
+        'palette.fileName': 'paleta',
+        'palette.format': 'Formato de la paleta',
+        'palette.fromProject': '{name} (proyecto {n})',
+        'palette.fromProjectFirst': '{name} (proyecto)',
+        'palette.hue': '🌈 Tono',
+        'palette.import': 'Importar paleta',
+        'palette.importButton': '📥 Importar',
+        'palette.importTitle': 'GPL, HEX, PAL, ASE, PNG o paquete JSON',
+        'palette.imported': 'Paleta "{name}" importada',
+        'palette.importedMany': '{count} paletas importadas',
+        'palette.inUse': 'El dibujo indexado usa esta paleta',
+        'palette.indexed': '🔢 Indexado',
+        'palette.indexedApproximated': 'Modo indexado: {count} colores aproximados a la paleta',
+        'palette.indexedLabel': 'Paleta: {name}',
+        'palette.indexedMode': 'Modo de color indexado',
+        'palette.indexedOn': 'Modo indexado activado',
+        'palette.invalidColors': 'La paleta "{name}" tiene colores no válidos',
+        'palette.invalidCount': 'Número de colores no válido',
+        'palette.invalidJson': 'JSON no válido',
+        'palette.invalidLine': 'Color no válido en la línea {line}',
+        'palette.lastOne': 'Debe quedar al menos una paleta',
+        'palette.luma': '☀️ Luz',
+        'palette.missingColors': 'Faltan colores: se esperaban {count}',
+        'palette.name': 'Nombre de la paleta',
+        'palette.nameTaken': 'Ya existe una paleta con ese nombre',
+        'palette.new': 'Nueva paleta',
+        'palette.noColors': 'La paleta no contiene colores',
+        'palette.notAse': 'No es un archivo ASE',
+        'palette.notBundle': 'No es un paquete de paletas',
+        'palette.notGpl': 'No es una paleta GIMP (falta la cabecera)',
+        'palette.notPal': 'No es una paleta JASC-PAL',
+        'palette.pickTwo': 'Elige dos colores distintos',
+        'palette.rename': 'Renombrar paleta',
+        'palette.reorder': 'Reordenar paleta',
+        'palette.replaceFrom': 'Color a reemplazar',
+        'palette.replaceHistory': 'Reemplazar color',
+        'palette.replaceLabel': 'Reemplazar color en todo el dibujo',
+        'palette.replaceTitle': 'Reemplazar en todo el dibujo',
+        'palette.replaceTo': 'Color nuevo',
+        'palette.replaced': '{count} píxeles reemplazados',
+        'palette.rgbMode': 'Modo RGB',
+        'palette.rgbOn': 'Modo RGB activado',
+        'palette.select': 'Selecciona una paleta',
+        'palette.sort': 'Ordenar paleta',
+        'palette.sortHue': 'Ordenar por tono',
+        'palette.sortLuma': 'Ordenar por luminancia',
+        'palette.sortedHue': 'Paleta ordenada por tono',
+        'palette.sortedLuma': 'Paleta ordenada por luminancia',
+        'palette.swatchTitle': '{color} · Doble clic para editar, arrastra para reordenar',
+        'palette.title': 'Paleta',
+        'palette.toIndexed': 'Convertir a indexado',
+        'palette.toIndexedTitle': 'Convertir a color indexado con la paleta actual',
+        'palette.toRGB': 'Convertir a RGB',
+        'palette.tooMany': 'La paleta tiene más de {max} colores',
+        'palette.unsupported': 'Formato de paleta no soportado',
+        'picker.picked': 'Color seleccionado: {color}',
+        'picker.transparent': 'El píxel es transparente',
+        'project.celCount': 'fotograma {f} no tiene una celda por capa',
+        'project.celSize': 'fotograma {f}, capa {l}: tamaño de celda incorrecto',
+        'project.changeIndices': 'índices del cambio {c}',
+        'project.changeIndicesInvalid': 'cambio {c}: índices de píxel no válidos',
+        'project.changePixels': 'píxeles del cambio {c}',
+        'project.changeSize': 'cambio {c}: tamaño de celda incorrecto',
+        'project.colorIndex': 'fotograma {f}, capa {l}: índice de color no válido',
+        'project.corrupt': 'El archivo del proyecto está dañado (JSON no válido)',
+        'project.document': 'documento',
+        'project.documentLabel': 'Documento',
+        'project.historyEntry': 'historial {i}',
+        'project.invalidChange': 'cambio {c} no válido',
+        'project.invalidColor': 'color {i} no válido',
+        'project.invalidDimensions': 'Dimensiones no válidas ({width}×{height})',
+        'project.invalidEntry': 'entrada no válida',
+        'project.invalidFrameId': 'fotograma {f} con id no válido',
+        'project.invalidFrames': 'fotogramas no válidos',
+        'project.invalidLayerId': 'capa {i} con id no válido',
+        'project.invalidLayers': 'capas no válidas',
+        'project.invalidPalette': 'paleta indexada no válida',
+        'project.invalidSize': 'dimensiones no válidas ({cols}×{rows})',
+        'project.invalidStructure': 'estructura no válida',
+        'project.invalidValues': '{what} no válidos',
+        'project.invalidVersion': 'Versión de proyecto no válida',
+        'project.newerVersion': 'El proyecto usa la versión {version} del formato; actualiza la aplicación para abrirlo',
+        'project.noChanges': 'faltan los cambios de píxeles',
+        'project.noColors': 'falta la tabla de colores',
+        'project.noDocument': 'El proyecto no contiene un documento',
+        'project.noFrames': 'no contiene fotogramas',
+        'project.noLayers': 'no contiene capas',
+        'project.notAnObject': 'no es un objeto',
+        'project.notProject': 'El archivo no es un proyecto de Pixel Art Studio',
+        'project.opened': 'Proyecto "{name}" abierto',
+        'project.saveError': 'Error al guardar el proyecto',
+        'project.saved': 'Proyecto guardado',
+        'project.sizeMismatch': 'El documento no coincide con las dimensiones del proyecto',
+        'project.unnamedLayer': 'capa {i} sin nombre',
+        'project.unnamedPalette': 'paleta indexada sin nombre',
+        'reference.above': 'Encima',
+        'reference.below': 'Debajo',
+        'reference.centerX': 'Centro X de la referencia',
+        'reference.centerY': 'Centro Y de la referencia',
+        'reference.hideButton': '👁️ Ocultar',
+        'reference.load': 'Cargar imagen de referencia',
+        'reference.loadButton': '🖼️ Cargar',
+        'reference.loadError': 'No se pudo cargar la imagen de referencia',
+        'reference.loaded': 'Imagen de referencia cargada',
+        'reference.locked': 'Bloqueada',
+        'reference.lockedTitle': 'Desbloqueada, arrastrar sobre el lienzo mueve la referencia',
+        'reference.none': 'No hay imagen de referencia',
+        'reference.opacity': 'Opacidad de la referencia',
+        'reference.placement': 'Posición de la referencia',
+        'reference.remove': 'Quitar referencia',
+        'reference.removeButton': '🗑️ Quitar',
+        'reference.rotation': 'Rotación (°)',
+        'reference.rotationLabel': 'Rotación de la referencia',
+        'reference.scale': 'Escala (%)',
+        'reference.scaleLabel': 'Escala de la referencia',
+        'reference.show': 'Mostrar referencia',
+        'reference.showButton': '👁️ Mostrar',
+        'reference.title': 'Referencia',
+        'reference.toggleTitle': 'Mostrar/ocultar referencia',
+        'resize.anchor': 'Ancla',
+        'resize.anchorBottom': 'Abajo',
+        'resize.anchorBottomLeft': 'Abajo izquierda',
+        'resize.anchorBottomRight': 'Abajo derecha',
+        'resize.anchorCenter': 'Centro',
+        'resize.anchorLeft': 'Izquierda',
+        'resize.anchorPoint': 'Punto de anclaje',
+        'resize.anchorRight': 'Derecha',
+        'resize.anchorTop': 'Arriba',
+        'resize.anchorTopLeft': 'Arriba izquierda',
+        'resize.anchorTopRight': 'Arriba derecha',
+        'resize.apply': 'Redimensionar',
+        'resize.emptyCanvas': 'El lienzo está vacío, no hay nada que recortar',
+        'resize.height': 'Alto',
+        'resize.mode': 'Modo de redimensionado',
+        'resize.modeCanvas': 'Ampliar / recortar lienzo',
+        'resize.modeScale': 'Escalar imagen',
+        'resize.newHeight': 'Nuevo alto',
+        'resize.newWidth': 'Nuevo ancho',
+        'resize.nothingToTrim': 'No hay bordes vacíos que recortar',
+        'resize.resized': 'Lienzo redimensionado a {cols}×{rows}',
+        'resize.sameSize': 'El lienzo ya tiene ese tamaño',
+        'resize.scaleHistory': 'Escalar',
+        'resize.scaled': 'Imagen escalada a {cols}×{rows}',
+        'resize.title': '📐 Redimensionar',
+        'resize.trimHistory': 'Recortar',
+        'resize.trimmed': 'Lienzo recortado a {width}×{height}',
+        'resize.width': 'Ancho',
+        'selection.clipboardEmpty': 'El portapapeles está vacío',
+        'selection.copied': 'Selección copiada',
+        'selection.cut': 'Selección cortada',
+        'selection.layerCopied': 'Capa copiada',
+        'selection.pasteError': 'No se pudo pegar la imagen',
+        'selection.pasted': 'Pegado: arrastra la selección para moverla',
+        'shortcuts.constrain': 'Restringir forma',
+        'shortcuts.customize': '⚙️ Personalizar atajos',
+        'shortcuts.gestures': 'Gestos',
+        'shortcuts.moveCenter': 'Mover centro de simetría',
+        'shortcuts.pan': 'Desplazar vista',
+        'shortcuts.title': '⌨️ Atajos de Teclado',
+        'shortcuts.zoomCursor': 'Zoom al cursor',
+        'tool.brush': 'Pincel',
+        'tool.brushTitle': 'Pincel',
+        'tool.dither': 'Trama',
+        'tool.ditherTitle': 'Pincel de trama',
+        'tool.ellipse': 'Elipse',
+        'tool.ellipseTitle': 'Elipse',
+        'tool.eraser': 'Borrador',
+        'tool.eraserTitle': 'Borrador',
+        'tool.fill': 'Relleno',
+        'tool.fillTitle': 'Relleno',
+        'tool.gradient': 'Degradado',
+        'tool.gradientTitle': 'Degradado',
+        'tool.line': 'Línea',
+        'tool.lineTitle': 'Línea',
+        'tool.pan': 'Mano',
+        'tool.panTitle': 'Mano, o Espacio+arrastrar',
+        'tool.picker': 'Selector',
+        'tool.pickerTitle': 'Selector',
+        'tool.rect': 'Rectángulo',
+        'tool.rectTitle': 'Rectángulo',
+        'tool.select': 'Selección',
+        'tool.selectTitle': 'Selección rectangular',
+        'tool.wand': 'Varita',
+        'tool.wandLabel': 'Varita mágica',
+        'tool.wandTitle': 'Varita mágica',
+        'tools.brushShape': 'Forma del pincel',
+        'tools.brushSize': 'Tamaño del pincel',
+        'tools.pixelPerfectOff': 'Pixel perfect desactivado',
+        'tools.pixelPerfectOn': 'Pixel perfect activado',
+        'tools.pixelPerfectTitle': 'Pixel perfect: quita las esquinas dobles en trazos de 1px',
+        'tools.round': 'Redondo',
+        'tools.shapeFill': 'Alternar formas rellenas',
+        'tools.shapeFillTitle': 'Contorno o relleno (Mayús para restringir)',
+        'tools.shapeFilled': '◼️ Relleno',
+        'tools.shapeOutline': '◻️ Contorno',
+        'tools.shapesFilled': 'Formas rellenas',
+        'tools.shapesOutlined': 'Formas con contorno',
+        'tools.square': 'Cuadrado',
+        'tools.tileMode': '🧩 Mosaico',
+        'tools.tileModeOff': 'Modo mosaico desactivado',
+        'tools.tileModeOn': 'Modo mosaico activado',
+        'tools.tileModeTitle': 'Modo mosaico',
+        'transform.flipHLabel': 'Voltear horizontalmente',
+        'transform.flipHTitle': 'Voltear horizontal',
+        'transform.flipVLabel': 'Voltear verticalmente',
+        'transform.flipVTitle': 'Voltear vertical',
+        'transform.flippedH': 'Volteado horizontal',
+        'transform.flippedV': 'Volteado vertical',
+        'transform.rotate180Title': 'Rotar 180°',
+        'transform.rotateCCWTitle': 'Rotar 90° a la izquierda',
+        'transform.rotateCWTitle': 'Rotar 90° a la derecha',
+        'transform.rotated180': 'Rotado 180°',
+        'transform.rotatedCCW': 'Rotado 90° a la izquierda',
+        'transform.rotatedCW': 'Rotado 90° a la derecha',
+        'transform.selection': '{label} (selección)',
+        'transform.shiftDownTitle': 'Desplazar abajo',
+        'transform.shiftLeftTitle': 'Desplazar a la izquierda',
+        'transform.shiftRightTitle': 'Desplazar a la derecha',
+        'transform.shiftUpTitle': 'Desplazar arriba',
+        'transform.shifted': 'Desplazado',
+        'zoom.actualTitle': 'Tamaño real',
+        'zoom.fitTitle': 'Ajustar a pantalla',
+        'zoom.in': 'Aumentar zoom',
+        'zoom.inTitle': 'Zoom In',
+        'zoom.out': 'Disminuir zoom',
+        'zoom.outTitle': 'Zoom Out',
+        'zoom.slider': 'Zoom slider'
+    },
+    en: {
+        'animation.deleteFrame': 'Delete frame',
+        'animation.duplicateFrame': 'Duplicate frame',
+        'animation.duration': 'Duration (ms)',
+        'animation.durationLabel': 'Frame duration in milliseconds',
+        'animation.exportGif': '🎞️ Export GIF',
+        'animation.exportGifLabel': 'Export animated GIF',
+        'animation.exportSheet': '🧩 Sheet',
+        'animation.exportSheetLabel': 'Export sprite sheet',
+        'animation.fps': 'Animation at {fps} FPS',
+        'animation.fpsLabel': 'Frames per second for all frames',
+        'animation.frameDeleted': 'Frame deleted',
+        'animation.frameDuplicated': 'Frame {n} duplicated',
+        'animation.frameDuration': 'Frame duration',
+        'animation.frameTitle': 'Frame {n} ({duration} ms)',
+        'animation.frames': 'Frames',
+        'animation.gifError': 'Error exporting GIF',
+        'animation.gifSaved': 'Animation saved as GIF',
+        'animation.moveFrame': 'Move frame',
+        'animation.moveFrameLeft': 'Move frame left',
+        'animation.moveFrameRight': 'Move frame right',
+        'animation.moveLeft': 'Move left',
+        'animation.moveRight': 'Move right',
+        'animation.newFrame': 'New frame',
+        'animation.next': 'Next',
+        'animation.onion': '🧅 Onion',
+        'animation.onionOff': 'Onion skin off',
+        'animation.onionOn': 'Onion skin on',
+        'animation.onionTitle': 'Onion skin',
+        'animation.onlyFrame': 'Can\'t delete the only frame',
+        'animation.pause': '⏸ Pause',
+        'animation.play': 'Play animation',
+        'animation.playButton': '▶ Play',
+        'animation.preview': 'Animation preview',
+        'animation.previous': 'Previous',
+        'animation.sheetExported': 'Sprite sheet exported ({count} frames)',
+        'animation.sheetLayout': 'Sprite sheet layout',
+        'animation.sheetTooLarge': 'The sprite sheet is too large to export',
+        'animation.speed': 'Animation speed',
+        'app.language': 'Language',
+        'app.welcome': 'Welcome to Pixel Art Studio Pro++!',
+        'canvas.label': 'Drawing canvas',
+        'color.alpha': 'Alpha',
+        'color.alphaLabel': 'Color transparency',
+        'color.hex': 'Color hex code',
+        'color.pick': 'Pick a color',
+        'color.secondary': 'Secondary',
+        'color.secondaryHint': 'Right-click a palette swatch to use it as the secondary color',
+        'color.secondaryLabel': 'Secondary color',
+        'color.title': 'Color',
+        'command.app.commandPalette': 'Command palette',
+        'command.app.keyBindings': 'Customize shortcuts',
+        'command.app.shortcuts': 'Shortcuts panel',
+        'command.canvas.clear': 'Clear canvas',
+        'command.canvas.resize': 'Resize canvas',
+        'command.canvas.trim': 'Trim to content',
+        'command.color.swap': 'Swap primary and secondary color',
+        'command.color.swatch': 'Palette color {n}',
+        'command.edit.cancel': 'Cancel shape / Deselect',
+        'command.edit.copy': 'Copy',
+        'command.edit.cut': 'Cut',
+        'command.edit.deleteSelection': 'Delete selection',
+        'command.edit.paste': 'Paste',
+        'command.edit.redo': 'Redo',
+        'command.edit.selectAll': 'Select all',
+        'command.edit.undo': 'Undo',
+        'command.file.export': 'Export image',
+        'command.file.exportGif': 'Export animated GIF',
+        'command.file.exportSheet': 'Export sprite sheet',
+        'command.file.gallery': 'Project gallery',
+        'command.file.importImage': 'Import image',
+        'command.file.newProject': 'New project',
+        'command.file.openProject': 'Open project',
+        'command.file.saveProject': 'Save project',
+        'command.frame.add': 'New frame',
+        'command.frame.delete': 'Delete frame',
+        'command.frame.duplicate': 'Duplicate frame',
+        'command.frame.moveLeft': 'Move frame earlier',
+        'command.frame.moveRight': 'Move frame later',
+        'command.frame.next': 'Next frame',
+        'command.frame.play': 'Play/pause animation',
+        'command.frame.previous': 'Previous frame',
+        'command.layer.add': 'New layer',
+        'command.layer.delete': 'Delete layer',
+        'command.layer.duplicate': 'Duplicate layer',
+        'command.layer.mergeDown': 'Merge down',
+        'command.layer.moveDown': 'Move layer down',
+        'command.layer.moveUp': 'Move layer up',
+        'command.palette.addColor': 'Add color to palette',
+        'command.palette.delete': 'Delete palette',
+        'command.palette.duplicate': 'Duplicate palette',
+        'command.palette.export': 'Export palette',
+        'command.palette.exportAll': 'Export all palettes',
+        'command.palette.import': 'Import palette',
+        'command.palette.indexed': 'Toggle indexed mode',
+        'command.palette.new': 'New palette',
+        'command.palette.rename': 'Rename palette',
+        'command.palette.sortHue': 'Sort palette by hue',
+        'command.palette.sortLuma': 'Sort palette by lightness',
+        'command.tool.brush': 'Brush',
+        'command.tool.dither': 'Dither brush',
+        'command.tool.ellipse': 'Ellipse',
+        'command.tool.eraser': 'Eraser',
+        'command.tool.fill': 'Fill',
+        'command.tool.gradient': 'Gradient',
+        'command.tool.line': 'Line',
+        'command.tool.pan': 'Hand',
+        'command.tool.picker': 'Color picker',
+        'command.tool.rect': 'Rectangle',
+        'command.tool.select': 'Selection',
+        'command.tool.wand': 'Magic wand',
+        'command.transform.flipH': 'Flip horizontal',
+        'command.transform.flipV': 'Flip vertical',
+        'command.transform.rotate180': 'Rotate 180°',
+        'command.transform.rotateCCW': 'Rotate 90° left',
+        'command.transform.rotateCW': 'Rotate 90° right',
+        'command.transform.shiftDown': 'Shift down',
+        'command.transform.shiftLeft': 'Shift left',
+        'command.transform.shiftRight': 'Shift right',
+        'command.transform.shiftUp': 'Shift up',
+        'command.view.actualSize': 'Actual size',
+        'command.view.fit': 'Fit to screen',
+        'command.view.grid': 'Show/hide grid',
+        'command.view.mirror': 'Symmetry',
+        'command.view.onion': 'Onion skin',
+        'command.view.reference': 'Show/hide reference',
+        'command.view.tile': 'Tile mode',
+        'command.view.zoomIn': 'Zoom in',
+        'command.view.zoomOut': 'Zoom out',
+        'commandGroup.animation': 'Animation',
+        'commandGroup.canvas': 'Canvas',
+        'commandGroup.color': 'Color',
+        'commandGroup.edit': 'Edit',
+        'commandGroup.file': 'File',
+        'commandGroup.general': 'General',
+        'commandGroup.layers': 'Layers',
+        'commandGroup.tools': 'Tools',
+        'commandGroup.transform': 'Transform',
+        'commandGroup.view': 'View',
+        'commands.noMatch': 'No matching commands',
+        'commands.results': 'Commands',
+        'commands.search': 'Search commands',
+        'commands.searchPlaceholder': 'Search commands…',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.delete': 'Delete',
+        'common.opacity': 'Opacity',
+        'common.readError': 'Couldn\'t read the file',
+        'common.renameHint': 'Double-click to rename',
+        'dither.cell': 'Cell {x}, {y}',
+        'dither.checker': 'Checkerboard',
+        'dither.custom': 'Custom 8×8',
+        'dither.customLabel': 'Custom pattern',
+        'dither.density': 'Density',
+        'dither.densityLabel': 'Primary color density',
+        'dither.mode': 'Dither mode',
+        'dither.pattern': 'Dither pattern',
+        'export.background': 'Background',
+        'export.backgroundColor': 'Background color',
+        'export.copied': 'PNG copied to clipboard',
+        'export.copy': '📋 Copy',
+        'export.copyError': 'Couldn\'t copy the image',
+        'export.copyPng': 'Copy PNG to clipboard',
+        'export.download': 'Download',
+        'export.error': 'Error exporting the image',
+        'export.file': 'File',
+        'export.fileName': 'File name',
+        'export.format': 'Format',
+        'export.gridFrom': ' · grid from {scale}×',
+        'export.includeGrid': 'Include grid',
+        'export.noClipboard': 'Your browser doesn\'t allow copying images',
+        'export.noWebp': 'Your browser can\'t export WebP',
+        'export.preview': 'Export preview',
+        'export.saved': 'Art saved as {format}',
+        'export.scale': 'Scale',
+        'export.scaleLabel': 'Export scale',
+        'export.solid': 'Solid background',
+        'export.title': '💾 Export',
+        'export.tooLarge': 'The {width}×{height} px image is too large for the browser; lower the scale',
+        'export.transparent': 'Transparent background',
+        'export.trim': 'Trim to content',
+        'fill.connectivity': 'Fill neighbours',
+        'fill.contiguous': 'Contiguous',
+        'fill.eight': '8 neighbours',
+        'fill.four': '4 neighbours',
+        'fill.global': 'Global',
+        'fill.mode': 'Fill mode',
+        'fill.sampleMerged': 'Sample visible layers',
+        'fill.tolerance': 'Tolerance',
+        'fill.toleranceLabel': 'Fill color tolerance',
+        'gallery.autosaveError': 'Autosave failed',
+        'gallery.confirmDelete': 'Delete the project "{name}" from the gallery?',
+        'gallery.copyName': '{name} copy',
+        'gallery.created': 'New project created',
+        'gallery.current': 'Current project',
+        'gallery.currentName': 'Current project name',
+        'gallery.deleteError': 'Couldn\'t delete the project',
+        'gallery.deleted': 'Project "{name}" deleted',
+        'gallery.duplicate': 'Duplicate',
+        'gallery.duplicateError': 'Couldn\'t duplicate the project',
+        'gallery.duplicated': 'Project "{name}" duplicated',
+        'gallery.empty': 'There are no saved projects yet.',
+        'gallery.newProject': 'New project',
+        'gallery.newProjectButton': 'New Project',
+        'gallery.noIndexedDB': 'IndexedDB isn\'t available',
+        'gallery.open': 'Open',
+        'gallery.openError': 'Couldn\'t open "{name}": {error}',
+        'gallery.readError': 'Couldn\'t read the saved project',
+        'gallery.rename': 'Rename',
+        'gallery.renameError': 'Couldn\'t rename the project',
+        'gallery.restore': 'Restore',
+        'gallery.restorePrompt': 'Found "{name}" autosaved on {date}. Do you want to restore it?',
+        'gallery.restored': 'Project "{name}" restored',
+        'gallery.startOver': 'Start over',
+        'gallery.title': '🖼️ Gallery',
+        'gallery.unavailable': 'The gallery isn\'t available in this browser.',
+        'gallery.untitled': 'Untitled',
+        'grid.apply': 'Apply Size',
+        'grid.columns': 'Columns',
+        'grid.hidden': 'Grid hidden',
+        'grid.resize': 'Resize canvas',
+        'grid.rows': 'Rows',
+        'grid.shown': 'Grid visible',
+        'grid.title': 'Grid',
+        'grid.trim': 'Trim to Content',
+        'grid.updateError': 'Error updating the grid',
+        'header.gallery': 'Project gallery',
+        'header.openPanel': 'Open tools panel',
+        'header.panel': 'Panel',
+        'header.redoTitle': 'Redo',
+        'header.shortcuts': 'Keyboard shortcuts',
+        'header.undoTitle': 'Undo',
+        'history.brushStroke': 'Brush stroke',
+        'history.edit': 'Edit',
+        'history.goTo': 'Click to go back to this point',
+        'history.moveSelection': 'Move selection',
+        'history.newDocument': 'New document',
+        'history.redoTo': 'Click to redo up to here',
+        'history.redone': 'Redone: {label}',
+        'history.title': 'History',
+        'history.undone': 'Undone: {label}',
+        'import.apply': 'Import',
+        'import.average': 'Area average',
+        'import.colorCount': 'Number of colors',
+        'import.colorReduction': 'Color reduction',
+        'import.crop': 'Crop',
+        'import.currentPalette': 'Current palette',
+        'import.dithering': 'Dithering',
+        'import.done': 'Image imported into a new layer',
+        'import.history': 'Import image',
+        'import.info': '{width}×{height} · {colors} colors',
+        'import.invalidImage': 'Invalid image',
+        'import.keepRatio': 'Keep aspect ratio',
+        'import.layerName': 'Image',
+        'import.loadError': 'Couldn\'t load the image',
+        'import.nearest': 'Nearest neighbour',
+        'import.noDithering': 'No dithering',
+        'import.ordered': 'Ordered (Bayer)',
+        'import.originalColors': 'Original colors',
+        'import.preview': 'Result preview',
+        'import.resampling': 'Resampling',
+        'import.size': 'Size',
+        'import.smooth': 'Smooth',
+        'import.source': 'Original image and crop',
+        'import.title': '🖼️ Import Image',
+        'key.backspace': 'Backspace',
+        'key.delete': 'Del',
+        'key.drag': 'Drag',
+        'key.enter': 'Enter',
+        'key.shift': 'Shift',
+        'key.space': 'Space',
+        'key.wheel': 'Wheel',
+        'keys.browserReserved': '{keys} is reserved by the browser',
+        'keys.change': 'Change shortcut for {command}',
+        'keys.clear': 'Remove shortcut',
+        'keys.clearFor': 'Remove shortcut for {command}',
+        'keys.conflict': '{keys} is already assigned to "{command}".',
+        'keys.customizeTitle': '⌨️ Customize shortcuts',
+        'keys.hint': 'Click a shortcut and press the new combination (Esc cancels).',
+        'keys.keep': 'Keep',
+        'keys.pressKey': 'Press a key…',
+        'keys.reassign': 'Reassign',
+        'keys.reassigned': '{keys} is now "{command}"',
+        'keys.reset': 'Reset',
+        'keys.resetDone': 'Shortcuts reset',
+        'keys.spaceReserved': 'Space is reserved for panning the canvas',
+        'keys.titleWithKeys': '{title} ({keys})',
+        'layers.copyName': '{name} copy',
+        'layers.created': 'Layer "{name}" created',
+        'layers.defaultName': 'Layer {n}',
+        'layers.delete': 'Delete layer',
+        'layers.deleted': 'Layer "{name}" deleted',
+        'layers.duplicate': 'Duplicate layer',
+        'layers.duplicated': 'Layer "{name}" duplicated',
+        'layers.hidden': 'Layer "{name}" is hidden',
+        'layers.hide': 'Hide layer',
+        'layers.lock': 'Layer lock',
+        'layers.lockTitle': 'Lock layer',
+        'layers.locked': 'Layer "{name}" is locked',
+        'layers.merge': 'Merge layers',
+        'layers.mergeDown': 'Merge down',
+        'layers.mergeHidden': 'Show both layers before merging them',
+        'layers.mergeLocked': 'Locked layers can\'t be merged',
+        'layers.merged': 'Layer "{upper}" merged into "{lower}"',
+        'layers.move': 'Move layer',
+        'layers.moveDown': 'Move layer down',
+        'layers.moveUp': 'Move layer up',
+        'layers.new': 'New layer',
+        'layers.notEditable': 'Layer "{name}" can\'t be edited',
+        'layers.nothingBelow': 'There\'s no layer below to merge into',
+        'layers.onlyOne': 'Can\'t delete the only layer',
+        'layers.opacity': 'Layer opacity',
+        'layers.rename': 'Rename layer',
+        'layers.show': 'Show layer',
+        'layers.title': 'Layers',
+        'layers.unlock': 'Unlock layer',
+        'layers.visibility': 'Layer visibility',
+        'mobile.currentColor': 'Current color',
+        'mobile.save': 'Save',
+        'options.centerAxes': 'Center axes',
+        'options.centerHint': 'Alt + drag on the canvas to move the center',
+        'options.centerX': 'Center X',
+        'options.clear': 'Clear grid',
+        'options.clearButton': '🧹 Clear',
+        'options.clearHistory': 'Clear',
+        'options.cleared': 'Grid cleared',
+        'options.exportTitle': 'Export image',
+        'options.grid': 'Toggle grid',
+        'options.gridButton': '🔲 Grid',
+        'options.gridTitle': 'Toggle grid',
+        'options.includeHistory': 'Include history when saving',
+        'options.loadImage': 'Load image',
+        'options.loadImageButton': '📁 Load Image',
+        'options.mirror': '🪞 Symmetry',
+        'options.mirrorOff': 'Symmetry off',
+        'options.mirrorOn': 'Symmetry on',
+        'options.mirrorTitle': 'Symmetry',
+        'options.mirrorType': 'Symmetry type',
+        'options.openProject': '📂 Open Project',
+        'options.openProjectTitle': 'Open project',
+        'options.quad': '4-way',
+        'options.saveProject': '📦 Save Project',
+        'options.saveProjectTitle': 'Save project',
+        'options.segments': 'Segments',
+        'options.title': 'Options',
+        'palette.addColor': 'Add Color',
+        'palette.addColorHistory': 'Add color',
+        'palette.addColorLabel': 'Add color to palette',
+        'palette.aseDamaged': 'Damaged ASE file',
+        'palette.colorAdded': 'Color added to the palette',
+        'palette.colorDeleted': 'Color deleted',
+        'palette.colorExists': 'The color is already in the palette',
+        'palette.colorInUse': 'The color is used in the drawing; replace it before deleting it',
+        'palette.colorNotUsed': 'The color doesn\'t appear in the drawing',
+        'palette.confirmDelete': 'Delete the palette "{name}"?',
+        'palette.confirmDeleteColor': 'Are you sure you want to delete this color?',
+        'palette.confirmIndexed': 'Convert the drawing to indexed color with the palette "{name}"? Colors that aren\'t in the palette will be approximated.',
+        'palette.convert': 'Convert',
+        'palette.copyName': '{name} (copy)',
+        'palette.createLabel': 'Create new palette',
+        'palette.created': 'Palette "{name}" created',
+        'palette.delete': 'Delete palette',
+        'palette.deleteColor': 'Delete color',
+        'palette.deleteSwatch': 'Delete {color}',
+        'palette.deleted': 'Palette "{name}" deleted',
+        'palette.duplicate': 'Duplicate palette',
+        'palette.editColor': 'Edit color',
+        'palette.empty': 'The palette is empty',
+        'palette.export': 'Export palette',
+        'palette.exportAll': '🗂️ Export All',
+        'palette.exportAllLabel': 'Export all palettes',
+        'palette.exportButton': '📤 Export',
+        'palette.exported': 'Palette exported as {format}',
+        'palette.exportedAll': '{count} palettes exported',
+        'palette.fileName': 'palette',
+        'palette.format': 'Palette format',
+        'palette.fromProject': '{name} (project {n})',
+        'palette.fromProjectFirst': '{name} (project)',
+        'palette.hue': '🌈 Hue',
+        'palette.import': 'Import palette',
+        'palette.importButton': '📥 Import',
+        'palette.importTitle': 'GPL, HEX, PAL, ASE, PNG or JSON bundle',
+        'palette.imported': 'Palette "{name}" imported',
+        'palette.importedMany': '{count} palettes imported',
+        'palette.inUse': 'The indexed drawing uses this palette',
+        'palette.indexed': '🔢 Indexed',
+        'palette.indexedApproximated': 'Indexed mode: {count} colors approximated to the palette',
+        'palette.indexedLabel': 'Palette: {name}',
+        'palette.indexedMode': 'Indexed color mode',
+        'palette.indexedOn': 'Indexed mode on',
+        'palette.invalidColors': 'The palette "{name}" has invalid colors',
+        'palette.invalidCount': 'Invalid number of colors',
+        'palette.invalidJson': 'Invalid JSON',
+        'palette.invalidLine': 'Invalid color on line {line}',
+        'palette.lastOne': 'At least one palette must remain',
+        'palette.luma': '☀️ Light',
+        'palette.missingColors': 'Missing colors: expected {count}',
+        'palette.name': 'Palette name',
+        'palette.nameTaken': 'A palette with that name already exists',
+        'palette.new': 'New palette',
+        'palette.noColors': 'The palette has no colors',
+        'palette.notAse': 'Not an ASE file',
+        'palette.notBundle': 'Not a palette bundle',
+        'palette.notGpl': 'Not a GIMP palette (missing header)',
+        'palette.notPal': 'Not a JASC-PAL palette',
+        'palette.pickTwo': 'Pick two different colors',
+        'palette.rename': 'Rename palette',
+        'palette.reorder': 'Reorder palette',
+        'palette.replaceFrom': 'Color to replace',
+        'palette.replaceHistory': 'Replace color',
+        'palette.replaceLabel': 'Replace color in the whole drawing',
+        'palette.replaceTitle': 'Replace in the whole drawing',
+        'palette.replaceTo': 'New color',
+        'palette.replaced': '{count} pixels replaced',
+        'palette.rgbMode': 'RGB mode',
+        'palette.rgbOn': 'RGB mode on',
+        'palette.select': 'Select a palette',
+        'palette.sort': 'Sort palette',
+        'palette.sortHue': 'Sort by hue',
+        'palette.sortLuma': 'Sort by luminance',
+        'palette.sortedHue': 'Palette sorted by hue',
+        'palette.sortedLuma': 'Palette sorted by luminance',
+        'palette.swatchTitle': '{color} · Double-click to edit, drag to reorder',
+        'palette.title': 'Palette',
+        'palette.toIndexed': 'Convert to indexed',
+        'palette.toIndexedTitle': 'Convert to indexed color with the current palette',
+        'palette.toRGB': 'Convert to RGB',
+        'palette.tooMany': 'The palette has more than {max} colors',
+        'palette.unsupported': 'Unsupported palette format',
+        'picker.picked': 'Picked color: {color}',
+        'picker.transparent': 'The pixel is transparent',
+        'project.celCount': 'frame {f} doesn\'t have one cel per layer',
+        'project.celSize': 'frame {f}, layer {l}: wrong cel size',
+        'project.changeIndices': 'indices of change {c}',
+        'project.changeIndicesInvalid': 'change {c}: invalid pixel indices',
+        'project.changePixels': 'pixels of change {c}',
+        'project.changeSize': 'change {c}: wrong cel size',
+        'project.colorIndex': 'frame {f}, layer {l}: invalid color index',
+        'project.corrupt': 'The project file is damaged (invalid JSON)',
+        'project.document': 'document',
+        'project.documentLabel': 'Document',
+        'project.historyEntry': 'history {i}',
+        'project.invalidChange': 'invalid change {c}',
+        'project.invalidColor': 'invalid color {i}',
+        'project.invalidDimensions': 'Invalid dimensions ({width}×{height})',
+        'project.invalidEntry': 'invalid entry',
+        'project.invalidFrameId': 'frame {f} has an invalid id',
+        'project.invalidFrames': 'invalid frames',
+        'project.invalidLayerId': 'layer {i} has an invalid id',
+        'project.invalidLayers': 'invalid layers',
+        'project.invalidPalette': 'invalid indexed palette',
+        'project.invalidSize': 'invalid dimensions ({cols}×{rows})',
+        'project.invalidStructure': 'invalid structure',
+        'project.invalidValues': 'invalid {what}',
+        'project.invalidVersion': 'Invalid project version',
+        'project.newerVersion': 'The project uses version {version} of the format; update the app to open it',
+        'project.noChanges': 'missing pixel changes',
+        'project.noColors': 'missing color table',
+        'project.noDocument': 'The project doesn\'t contain a document',
+        'project.noFrames': 'has no frames',
+        'project.noLayers': 'has no layers',
+        'project.notAnObject': 'not an object',
+        'project.notProject': 'The file isn\'t a Pixel Art Studio project',
+        'project.opened': 'Project "{name}" opened',
+        'project.saveError': 'Error saving the project',
+        'project.saved': 'Project saved',
+        'project.sizeMismatch': 'The document doesn\'t match the project dimensions',
+        'project.unnamedLayer': 'layer {i} has no name',
+        'project.unnamedPalette': 'unnamed indexed palette',
+        'reference.above': 'Above',
+        'reference.below': 'Below',
+        'reference.centerX': 'Reference center X',
+        'reference.centerY': 'Reference center Y',
+        'reference.hideButton': '👁️ Hide',
+        'reference.load': 'Load reference image',
+        'reference.loadButton': '🖼️ Load',
+        'reference.loadError': 'Couldn\'t load the reference image',
+        'reference.loaded': 'Reference image loaded',
+        'reference.locked': 'Locked',
+        'reference.lockedTitle': 'When unlocked, dragging on the canvas moves the reference',
+        'reference.none': 'There\'s no reference image',
+        'reference.opacity': 'Reference opacity',
+        'reference.placement': 'Reference placement',
+        'reference.remove': 'Remove reference',
+        'reference.removeButton': '🗑️ Remove',
+        'reference.rotation': 'Rotation (°)',
+        'reference.rotationLabel': 'Reference rotation',
+        'reference.scale': 'Scale (%)',
+        'reference.scaleLabel': 'Reference scale',
+        'reference.show': 'Show reference',
+        'reference.showButton': '👁️ Show',
+        'reference.title': 'Reference',
+        'reference.toggleTitle': 'Show/hide reference',
+        'resize.anchor': 'Anchor',
+        'resize.anchorBottom': 'Bottom',
+        'resize.anchorBottomLeft': 'Bottom left',
+        'resize.anchorBottomRight': 'Bottom right',
+        'resize.anchorCenter': 'Center',
+        'resize.anchorLeft': 'Left',
+        'resize.anchorPoint': 'Anchor point',
+        'resize.anchorRight': 'Right',
+        'resize.anchorTop': 'Top',
+        'resize.anchorTopLeft': 'Top left',
+        'resize.anchorTopRight': 'Top right',
+        'resize.apply': 'Resize',
+        'resize.emptyCanvas': 'The canvas is empty, there\'s nothing to trim',
+        'resize.height': 'Height',
+        'resize.mode': 'Resize mode',
+        'resize.modeCanvas': 'Extend / crop canvas',
+        'resize.modeScale': 'Scale image',
+        'resize.newHeight': 'New height',
+        'resize.newWidth': 'New width',
+        'resize.nothingToTrim': 'There are no empty edges to trim',
+        'resize.resized': 'Canvas resized to {cols}×{rows}',
+        'resize.sameSize': 'The canvas already has that size',
+        'resize.scaleHistory': 'Scale',
+        'resize.scaled': 'Image scaled to {cols}×{rows}',
+        'resize.title': '📐 Resize',
+        'resize.trimHistory': 'Trim',
+        'resize.trimmed': 'Canvas trimmed to {width}×{height}',
+        'resize.width': 'Width',
+        'selection.clipboardEmpty': 'The clipboard is empty',
+        'selection.copied': 'Selection copied',
+        'selection.cut': 'Selection cut',
+        'selection.layerCopied': 'Layer copied',
+        'selection.pasteError': 'Couldn\'t paste the image',
+        'selection.pasted': 'Pasted: drag the selection to move it',
+        'shortcuts.constrain': 'Constrain shape',
+        'shortcuts.customize': '⚙️ Customize shortcuts',
+        'shortcuts.gestures': 'Gestures',
+        'shortcuts.moveCenter': 'Move symmetry center',
+        'shortcuts.pan': 'Pan view',
+        'shortcuts.title': '⌨️ Keyboard Shortcuts',
+        'shortcuts.zoomCursor': 'Zoom at cursor',
+        'tool.brush': 'Brush',
+        'tool.brushTitle': 'Brush',
+        'tool.dither': 'Dither',
+        'tool.ditherTitle': 'Dither brush',
+        'tool.ellipse': 'Ellipse',
+        'tool.ellipseTitle': 'Ellipse',
+        'tool.eraser': 'Eraser',
+        'tool.eraserTitle': 'Eraser',
+        'tool.fill': 'Fill',
+        'tool.fillTitle': 'Fill',
+        'tool.gradient': 'Gradient',
+        'tool.gradientTitle': 'Gradient',
+        'tool.line': 'Line',
+        'tool.lineTitle': 'Line',
+        'tool.pan': 'Hand',
+        'tool.panTitle': 'Hand, or Space+drag',
+        'tool.picker': 'Picker',
+        'tool.pickerTitle': 'Picker',
+        'tool.rect': 'Rectangle',
+        'tool.rectTitle': 'Rectangle',
+        'tool.select': 'Selection',
+        'tool.selectTitle': 'Rectangular selection',
+        'tool.wand': 'Wand',
+        'tool.wandLabel': 'Magic wand',
+        'tool.wandTitle': 'Magic wand',
+        'tools.brushShape': 'Brush shape',
+        'tools.brushSize': 'Brush size',
+        'tools.pixelPerfectOff': 'Pixel perfect off',
+        'tools.pixelPerfectOn': 'Pixel perfect on',
+        'tools.pixelPerfectTitle': 'Pixel perfect: removes double corners from 1px strokes',
+        'tools.round': 'Round',
+        'tools.shapeFill': 'Toggle filled shapes',
+        'tools.shapeFillTitle': 'Outline or fill (Shift to constrain)',
+        'tools.shapeFilled': '◼️ Filled',
+        'tools.shapeOutline': '◻️ Outline',
+        'tools.shapesFilled': 'Filled shapes',
+        'tools.shapesOutlined': 'Outlined shapes',
+        'tools.square': 'Square',
+        'tools.tileMode': '🧩 Tile',
+        'tools.tileModeOff': 'Tile mode off',
+        'tools.tileModeOn': 'Tile mode on',
+        'tools.tileModeTitle': 'Tile mode',
+        'transform.flipHLabel': 'Flip horizontally',
+        'transform.flipHTitle': 'Flip horizontal',
+        'transform.flipVLabel': 'Flip vertically',
+        'transform.flipVTitle': 'Flip vertical',
+        'transform.flippedH': 'Flipped horizontally',
+        'transform.flippedV': 'Flipped vertically',
+        'transform.rotate180Title': 'Rotate 180°',
+        'transform.rotateCCWTitle': 'Rotate 90° left',
+        'transform.rotateCWTitle': 'Rotate 90° right',
+        'transform.rotated180': 'Rotated 180°',
+        'transform.rotatedCCW': 'Rotated 90° left',
+        'transform.rotatedCW': 'Rotated 90° right',
+        'transform.selection': '{label} (selection)',
+        'transform.shiftDownTitle': 'Shift down',
+        'transform.shiftLeftTitle': 'Shift left',
+        'transform.shiftRightTitle': 'Shift right',
+        'transform.shiftUpTitle': 'Shift up',
+        'transform.shifted': 'Shifted',
+        'zoom.actualTitle': 'Actual size',
+        'zoom.fitTitle': 'Fit to screen',
+        'zoom.in': 'Zoom in',
+        'zoom.inTitle': 'Zoom in',
+        'zoom.out': 'Zoom out',
+        'zoom.outTitle': 'Zoom out',
+        'zoom.slider': 'Zoom'
+    }
+};
+
+const I18N_ATTRIBUTES = ['title', 'aria-label', 'placeholder'];
+
+// Falls back to Spanish, then to the key itself
+function t(key, params = {}) {
+    if (typeof key !== 'string') return '';
+    const message = (MESSAGES[state.locale] || MESSAGES.es)[key] ?? MESSAGES.es[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// A saved choice wins; otherwise the first supported browser language, then English
+function detectLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (MESSAGES[saved]) return saved;
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    const match = languages.map(language => String(language || '').toLowerCase().split('-')[0]).find(base => MESSAGES[base]);
+    return match || 'en';
+}
+
+// Static markup carries its message keys in data-i18n (text) and
+// data-i18n-title / -aria-label / -placeholder attributes
+function applyTranslations() {
+    document.documentElement.lang = state.locale;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    dom.languageSelector.value = state.locale;
+}
+
+function setLocale(locale) {
+    if (!MESSAGES[locale] || locale === state.locale) return;
+    state.locale = locale;
+    localStorage.setItem(LOCALE_KEY, locale);
+    applyTranslations();
+
+    // Text built in JS is re-rendered, including the history panel
+    dom.toggleShapeFillBtn.textContent = t(state.shapeFilled ? 'tools.shapeFilled' : 'tools.shapeOutline');
+    dom.playAnimationBtn.textContent = t(state.playback.playing ? 'animation.pause' : 'animation.playButton');
+    renderShortcutsPanel();
+    renderKeyBindings();
+    updateCommandTitles();
+    if (state.commandPalette) renderCommandResults();
+    if (dom.galleryPanel.classList.contains('open')) renderGallery();
+    renderHistoryPanel();
+    renderLayersPanel();
+    renderTimeline();
+    renderPalette();
+    updateIndexedControls();
+    renderDitherPatternEditor();
+    updateReference();
+    if (dom.exportDialog.style.display === 'flex') updateExportPreview();
 }
 
 // ==================== Initialization ====================
 
 function refreshGridSize() {
-    const pixelSize = getPixelSize();
-    const cols = parseInt(document.getElementById('cols').value) || 16;
-    dom.grid.style.gridTemplateColumns = `repeat(${cols}, ${pixelSize})`;
+    sizeGrid(lastValidState.rows, lastValidState.cols);
 }
 
 let resizeTimer;
@@ -888,10 +8128,18 @@ function handleResize() {
 
 function init() {
     cacheDom();
+    state.locale = detectLocale();
+    applyTranslations();
+    state.keyBindings = loadKeyBindings();
+    buildKeyMap();
+    renderShortcutsPanel();
+    updateCommandTitles();
     setupEventListeners();
+    setCurrentProject(generateId(), t('gallery.untitled'));
     safeUpdateGrid();
     updateColorPreview();
     updateMobileColorPreview();
+    setSecondaryColor(state.secondaryColor);
     initPalettes();
 
     // Set initial grid toggle state
@@ -901,7 +8149,14 @@ function init() {
     window.addEventListener('resize', handleResize);
     window.addEventListener('orientationchange', () => setTimeout(refreshGridSize, 300));
 
-    showToast('¡Bienvenido a Pixel Art Studio Pro++!', 'info');
+    // Persist pending edits when the tab is hidden or closed
+    window.addEventListener('pagehide', flushAutosave);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAutosave();
+    });
+
+    showToast(t('app.welcome'), 'info');
+    offerRecovery();
 }
 
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
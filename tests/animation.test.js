@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+function loadWithFrames(durations) {
+    const app = loadApp();
+    app.context.pushHistory = () => {};
+    app.run('state.frames.length = 0');
+    durations.forEach((duration, id) => app.run('state').frames.push({ id, duration, cels: {} }));
+    return app;
+}
+
+const durations = (app) => Array.from(app.run('state').frames, (frame) => frame.duration);
+
+test('changing the FPS keeps custom frame durations', () => {
+    const app = loadWithFrames([100, 100, 500, 100]);
+    app.context.setAnimationFps(20);
+    assert.deepStrictEqual(durations(app), [50, 50, 500, 50]);
+
+    app.context.setAnimationFps(5);
+    assert.deepStrictEqual(durations(app), [200, 200, 500, 200]);
+});
+
+test('a uniform animation follows every FPS change', () => {
+    const app = loadWithFrames([100, 100, 100]);
+    app.context.setAnimationFps(12);
+    assert.deepStrictEqual(durations(app), [83, 83, 83]);
+});
\ No newline at end of file
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const image = (pixels) => ({ width: 2, height: 1, pixels: Uint32Array.from(pixels) });
+
+test('a system clipboard image of the same size is not mistaken for our copy', () => {
+    const app = loadApp();
+    assert.ok(app.context.isSameImage(image([0xFF0000FF, 0]), image([0xFF0000FF, 0])));
+    assert.ok(!app.context.isSameImage(image([0xFF0000FF, 0]), image([0xFF00FF00, 0])));
+    assert.ok(!app.context.isSameImage(image([0xFF0000FF, 0]), { width: 1, height: 2, pixels: Uint32Array.from([0xFF0000FF, 0]) }));
+});
+
+test('small shifts from the PNG round trip still count as our copy', () => {
+    const app = loadApp();
+    assert.ok(app.context.isSameImage(image([0x800000FE, 0]), image([0x800000FF, 0])));
+});
\ No newline at end of file
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+test('stored project names are shown as text when opening fails', () => {
+    const app = loadApp();
+    const opened = app.context.openStoredProject({ id: 'p1', name: PAYLOAD, project: { format: 'other' } });
+    assert.strictEqual(opened, false);
+
+    const toast = app.run('dom.toastContainer').childNodes[0];
+    assert.match(toast.className, /error/);
+    assert.strictEqual(toast.innerHTML, undefined);
+    assert.ok(toast.textContent.includes(PAYLOAD));
+});
\ No newline at end of file
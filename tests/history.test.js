@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+test('loaded history labels must be message keys', () => {
+    const app = loadApp();
+    const entry = app.context.decodeHistoryEntry({ label: PAYLOAD, time: 1 }, 'history[0]');
+    assert.strictEqual(entry.label, 'history.edit');
+
+    const known = app.context.decodeHistoryEntry({ label: 'history.edit', time: 1 }, 'history[0]');
+    assert.strictEqual(known.label, 'history.edit');
+    const inherited = app.context.decodeHistoryEntry({ label: 'constructor', time: 1 }, 'history[0]');
+    assert.strictEqual(inherited.label, 'history.edit');
+});
+
+test('loaded history params keep only short strings and finite numbers', () => {
+    const app = loadApp();
+    const entry = app.context.decodeHistoryEntry({
+        label: 'history.edit',
+        params: { name: PAYLOAD.repeat(10), count: 3, bad: NaN, nested: { html: PAYLOAD } },
+        time: 1
+    }, 'history[0]');
+
+    assert.deepStrictEqual(Object.keys(entry.params), ['name', 'count']);
+    assert.strictEqual(entry.params.name.length, 64);
+    assert.strictEqual(entry.params.count, 3);
+});
+
+test('undo toasts render history params as text', () => {
+    const app = loadApp();
+    app.run("showToast(t('history.undone', { label: '" + PAYLOAD + "' }), 'info')");
+    const toast = app.run('dom.toastContainer').childNodes[0];
+    assert.strictEqual(toast.innerHTML, undefined);
+    assert.ok(toast.textContent.includes(PAYLOAD));
+});
\ No newline at end of file
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+function loadWithLayers(lowerVisible) {
+    const app = loadApp();
+    app.context.pushHistory = () => {};
+    app.run('state.layers.length = 0; state.frames.length = 0');
+    const layer = (id, visible) => ({ id, name: `Capa ${id}`, visible, locked: false, opacity: 1 });
+    const state = app.run('state');
+    state.layers.push(layer(1, lowerVisible), layer(2, true));
+    state.frames.push({ id: 1, duration: 100, cels: { 1: new Uint32Array(4), 2: new Uint32Array(4) } });
+    state.activeLayerIndex = 1;
+    return app;
+}
+
+test('merging into a hidden layer is refused', () => {
+    const app = loadWithLayers(false);
+    app.context.mergeLayerDown();
+
+    assert.strictEqual(app.run('state.layers.length'), 2);
+    const toast = app.run('dom.toastContainer').childNodes[0];
+    assert.match(toast.className, /warning/);
+    assert.ok(toast.textContent.includes(app.run("t('layers.mergeHidden')")));
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Loads app.js into a sandbox with a minimal fake DOM so its functions can be
+// exercised from node:test without a browser.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+
+function createElement(tagName) {
+    const classes = new Set();
+    const el = {
+        tagName: tagName.toUpperCase(),
+        childNodes: [],
+        parentElement: null,
+        style: {},
+        dataset: {},
+        attributes: {},
+        className: '',
+        value: '',
+        classList: {
+            add: (...names) => names.forEach((n) => classes.add(n)),
+            remove: (...names) => names.forEach((n) => classes.delete(n)),
+            toggle: (name, force = !classes.has(name)) => {
+                if (force) classes.add(name); else classes.delete(name);
+                return force;
+            },
+            contains: (name) => classes.has(name)
+        },
+        get children() {
+            return el.childNodes.filter((node) => node.nodeType === 1);
+        },
+        get textContent() {
+            return el.childNodes.map((node) => node.textContent).join('');
+        },
+        set textContent(text) {
+            el.childNodes = [createText(text)];
+        },
+        // Only records what was assigned: the tests check markup never gets parsed
+        set innerHTML(html) {
+            el.html = String(html);
+            el.childNodes = [];
+        },
+        get innerHTML() {
+            return el.html;
+        },
+        nodeType: 1,
+        append: (...nodes) => nodes.forEach((node) => el.appendChild(typeof node === 'string' ? createText(node) : node)),
+        appendChild: (node) => {
+            node.parentElement = el;
+            el.childNodes.push(node);
+            return node;
+        },
+        remove: () => {
+            if (!el.parentElement) return;
+            const siblings = el.parentElement.childNodes;
+            siblings.splice(siblings.indexOf(el), 1);
+            el.parentElement = null;
+        },
+        setAttribute: (name, value) => { el.attributes[name] = String(value); },
+        getAttribute: (name) => el.attributes[name] ?? null,
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+    return el;
+}
+
+function createText(text) {
+    return { nodeType: 3, textContent: String(text), parentElement: null };
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// Fake files carry their data in `content` (a string or an ArrayBuffer)
+class FakeFileReader {
+    readAsText(file) {
+        setTimeout(() => this.onload({ target: { result: file.content } }));
+    }
+
+    readAsArrayBuffer(file) {
+        setTimeout(() => this.onload({ target: { result: file.content } }));
+    }
+}
+
+function loadApp() {
+    const elements = new Map();
+    const document = {
+        documentElement: createElement('html'),
+        body: createElement('body'),
+        createElement,
+        createTextNode: createText,
+        getElementById: (id) => {
+            if (!elements.has(id)) elements.set(id, createElement('div'));
+            return elements.get(id);
+        },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: () => {}
+    };
+    const context = {
+        console,
+        document,
+        localStorage: createStorage(),
+        navigator: { language: 'es' },
+        FileReader: FakeFileReader,
+        getComputedStyle: (el) => ({ getPropertyValue: (name) => el.style[name] || '' }),
+        // Timers never keep the test process alive (toasts remove themselves after 3s)
+        setTimeout: (fn, ms) => setTimeout(fn, ms).unref(),
+        clearTimeout,
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame: () => {}
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(source, context, { filename: 'app.js' });
+    vm.runInContext('cacheDom()', context);
+    return {
+        context,
+        run: (code) => vm.runInContext(code, context)
+    };
+}
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { loadApp, tick };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+// One "RGB " color entry named "a"; `cut` drops bytes from the end of the block
+function aseFile(cut = 0) {
+    const block = 2 + 4 + 4 + 12 + 2 - cut;
+    const buffer = new ArrayBuffer(12 + 6 + block);
+    const view = new DataView(buffer);
+    new Uint8Array(buffer).set([65, 83, 69, 70]);
+    view.setUint16(4, 1);
+    view.setUint32(8, 1);
+    view.setUint16(12, 0x0001);
+    view.setUint32(14, block);
+    view.setUint16(18, 2);
+    view.setUint16(20, 97);
+    new Uint8Array(buffer).set([82, 71, 66, 32], 24);
+    if (!cut) [1, 0, 0].forEach((v, i) => view.setFloat32(28 + i * 4, v));
+    return buffer;
+}
+
+test('ASE color entries are read within their block', () => {
+    const app = loadApp();
+    assert.deepStrictEqual(Array.from(app.context.parseAse(aseFile(), 'x').colors), ['#ff0000']);
+
+    const damaged = app.run("t('palette.aseDamaged')");
+    assert.throws(() => app.context.parseAse(aseFile(10), 'x'), { message: damaged });
+});
+
+test('every palette format drops repeated colors', () => {
+    const app = loadApp();
+    const { parseGpl, parseHexList, parsePal, parsePaletteBundle } = app.context;
+    const expected = ['#ff0000', '#00ff00'];
+
+    assert.deepStrictEqual(Array.from(parseGpl('GIMP Palette\n255 0 0\n0 255 0\n255 0 0').colors), expected);
+    assert.deepStrictEqual(Array.from(parseHexList('ff0000\n00ff00\n#FF0000').colors), expected);
+    assert.deepStrictEqual(Array.from(parsePal('JASC-PAL\n0100\n3\n255 0 0\n0 255 0\n255 0 0').colors), expected);
+
+    const bundle = JSON.stringify({ format: app.run('PALETTE_BUNDLE_FORMAT'), palettes: { a: ['#ff0000', '#00ff00', '#ff0000'] } });
+    assert.deepStrictEqual(Array.from(parsePaletteBundle(bundle)[0].colors), expected);
+});
\ No newline at end of file
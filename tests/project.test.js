@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+test('invalid project dimensions are reported as numbers', () => {
+    const app = loadApp();
+    const project = { format: app.run('PROJECT_FORMAT'), version: 1, width: PAYLOAD, height: 16 };
+
+    assert.throws(() => app.context.parseProject(project), (error) => {
+        assert.ok(!error.message.includes(PAYLOAD));
+        assert.ok(error.message.includes('NaN'));
+        return true;
+    });
+});
+
+test('onion skin settings are validated field by field', () => {
+    const app = loadApp();
+    const onionSkin = app.context.sanitizeOnionSkin({ active: 'yes', previous: false, next: 1, opacity: 7, extra: PAYLOAD });
+
+    assert.deepStrictEqual(Object.keys(onionSkin), ['active', 'previous', 'next', 'opacity']);
+    assert.strictEqual(onionSkin.active, false);
+    assert.strictEqual(onionSkin.previous, false);
+    assert.strictEqual(onionSkin.next, true);
+    assert.strictEqual(onionSkin.opacity, 1);
+    assert.strictEqual(app.context.sanitizeOnionSkin('on'), null);
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+function loadWithKeys() {
+    const app = loadApp();
+    app.run('state.keyBindings = loadKeyBindings(); buildKeyMap()');
+    return app;
+}
+
+const keydown = (key, modifiers = {}) => ({ key, target: { tagName: 'BODY' }, preventDefault: () => {}, ...modifiers });
+
+test('default bindings are unique and never reserved', () => {
+    const app = loadWithKeys();
+    const commands = app.run('COMMANDS');
+    const ids = commands.map((command) => command.id);
+    assert.strictEqual(new Set(ids).size, ids.length);
+
+    const combos = commands.flatMap((command) => command.keys);
+    assert.strictEqual(new Set(combos).size, combos.length);
+    combos.forEach((combo) => assert.ok(!app.context.isReservedCombo(combo), combo));
+});
+
+test('layer, frame, canvas, file and palette actions are commands', () => {
+    const app = loadWithKeys();
+    ['layer.add', 'layer.mergeDown', 'frame.add', 'frame.delete', 'canvas.clear', 'canvas.resize', 'canvas.trim',
+        'file.importImage', 'file.exportGif', 'file.exportSheet', 'palette.indexed', 'palette.new'].forEach((id) => {
+        const command = app.context.getCommand(id);
+        assert.ok(command, id);
+        assert.notStrictEqual(app.context.getCommandLabel(command), command.label);
+    });
+});
+
+test('shortcuts are ignored while a dialog is open', () => {
+    const app = loadWithKeys();
+    let runs = 0;
+    app.context.getCommand('tool.brush').run = () => runs++;
+
+    app.context.handleKeyboard(keydown('b'));
+    assert.strictEqual(runs, 1);
+
+    app.run("dom.dialogOverlay.style.display = 'block'");
+    app.context.handleKeyboard(keydown('b'));
+    assert.strictEqual(runs, 1);
+});
+
+test('browser combos cannot be bound', () => {
+    const app = loadWithKeys();
+    app.run("state.keyCapture = 'tool.brush'");
+    app.context.captureKeyBinding(keydown('w', { ctrlKey: true }));
+
+    assert.deepStrictEqual(Array.from(app.context.getCommandKeys(app.context.getCommand('tool.brush'))), ['b']);
+    const toasts = app.run('dom.toastContainer').childNodes;
+    assert.match(toasts[toasts.length - 1].className, /warning/);
+
+    app.context.localStorage.setItem(app.run('KEY_BINDINGS_KEY'), JSON.stringify({ 'tool.brush': ['ctrl+v', 'q'] }));
+    assert.deepStrictEqual(Array.from(app.context.loadKeyBindings()['tool.brush']), ['q']);
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, tick } = require('./load-app');
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+function lastToast(app) {
+    const toasts = app.run('dom.toastContainer').childNodes;
+    return toasts[toasts.length - 1];
+}
+
+function assertPlainText(toast) {
+    assert.strictEqual(toast.innerHTML, undefined);
+    assert.ok(toast.children.every((child) => child.tagName === 'SPAN' && child.childNodes.every((node) => node.nodeType === 3)));
+    assert.ok(toast.textContent.includes(PAYLOAD));
+}
+
+async function uploadPalette(app, name, content) {
+    app.context.initPalettes = () => {};
+    app.context.savePalettes = () => {};
+    app.context.handlePaletteUpload({ target: { files: [{ name, content }], value: '' } });
+    await tick(10);
+}
+
+test('palette names from imported files are shown as text', async () => {
+    const app = loadApp();
+    await uploadPalette(app, 'evil.gpl', `GIMP Palette\nName: ${PAYLOAD}\n255 0 0 Red\n`);
+
+    const toast = lastToast(app);
+    assert.match(toast.className, /success/);
+    assertPlainText(toast);
+});
+
+test('import errors show the file name as text', async () => {
+    const app = loadApp();
+    await uploadPalette(app, `${PAYLOAD}.gpl`, 'not a palette');
+
+    const toast = lastToast(app);
+    assert.match(toast.className, /error/);
+    assertPlainText(toast);
+});
+
+test('invalid colors report the palette name as text', async () => {
+    const app = loadApp();
+    await uploadPalette(app, 'evil.json', JSON.stringify({ format: app.run('PALETTE_BUNDLE_FORMAT'), palettes: { [PAYLOAD]: ['#zzzzzz'] } }));
+
+    const toast = lastToast(app);
+    assert.match(toast.className, /error/);
+    assertPlainText(toast);
+});
\ No newline at end of file
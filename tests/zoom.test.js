@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('grid lines come back once zooming makes cells large enough', () => {
+    const app = loadApp();
+    app.run('lastValidState = { rows: 512, cols: 512 }');
+    const grid = app.run('dom.grid');
+
+    app.context.setZoom(1);
+    assert.ok(grid.classList.contains('grid-dense'));
+
+    app.context.setZoom(2);
+    assert.ok(!grid.classList.contains('grid-dense'));
+
+    app.context.setZoom(0.5);
+    assert.ok(grid.classList.contains('grid-dense'));
+});
\ No newline at end of file